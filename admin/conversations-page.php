@@ -0,0 +1,192 @@
+<div class="wrap">
+    <h1 class="wp-heading-inline"><?php esc_html_e('ChatKit Conversations', 'chatkit-wp'); ?></h1>
+    <?php if ($conversation): ?>
+        <a href="<?php echo esc_url($page_url); ?>" class="page-title-action"><?php esc_html_e('Back to list', 'chatkit-wp'); ?></a>
+    <?php endif; ?>
+    <hr class="wp-header-end">
+
+    <?php if ($notice): ?>
+        <div class="notice notice-success is-dismissible"><p><?php echo esc_html($notice); ?></p></div>
+    <?php endif; ?>
+
+    <?php if (!get_option('chatkit_enable_logging', false)): ?>
+        <div class="notice notice-warning">
+            <p>
+                <?php esc_html_e('Conversation logging is turned off, so no new conversations are stored.', 'chatkit-wp'); ?>
+                <a href="<?php echo esc_url(admin_url('options-general.php?page=chatkit-settings')); ?>"><?php esc_html_e('Change this in the Advanced settings.', 'chatkit-wp'); ?></a>
+            </p>
+        </div>
+    <?php endif; ?>
+
+    <?php if ($view && !$conversation): ?>
+        <p><?php esc_html_e('This conversation no longer exists.', 'chatkit-wp'); ?></p>
+
+    <?php elseif ($conversation): ?>
+        <h2><?php echo esc_html($conversation->title !== '' ? $conversation->title : __('(untitled)', 'chatkit-wp')); ?></h2>
+        <table class="widefat striped" style="max-width:800px; margin-bottom:20px;">
+            <tr>
+                <th style="width:160px;"><?php esc_html_e('Started', 'chatkit-wp'); ?></th>
+                <td><?php echo esc_html(get_date_from_gmt($conversation->started_at, get_option('date_format') . ' ' . get_option('time_format'))); ?></td>
+            </tr>
+            <tr>
+                <th><?php esc_html_e('Last activity', 'chatkit-wp'); ?></th>
+                <td><?php echo esc_html(get_date_from_gmt($conversation->updated_at, get_option('date_format') . ' ' . get_option('time_format'))); ?></td>
+            </tr>
+            <tr>
+                <th><?php esc_html_e('Page', 'chatkit-wp'); ?></th>
+                <td>
+                    <?php if ($conversation->page_url): ?>
+                        <a href="<?php echo esc_url($conversation->page_url); ?>" target="_blank"><?php echo esc_html($conversation->post_id ? get_the_title($conversation->post_id) : $conversation->page_url); ?></a>
+                    <?php else: ?>
+                        &mdash;
+                    <?php endif; ?>
+                </td>
+            </tr>
+            <tr>
+                <th><?php esc_html_e('Visitor', 'chatkit-wp'); ?></th>
+                <td><code><?php echo esc_html($conversation->user_hash); ?></code></td>
+            </tr>
+            <?php if ($prechat): ?>
+                <?php foreach ((array) json_decode($prechat->answers, true) as $key => $answer): ?>
+                    <tr>
+                        <th><?php echo esc_html($key); ?></th>
+                        <td><?php echo esc_html(is_bool($answer) ? ($answer ? __('Yes', 'chatkit-wp') : __('No', 'chatkit-wp')) : $answer); ?></td>
+                    </tr>
+                <?php endforeach; ?>
+                <tr>
+                    <th><?php esc_html_e('Consent given', 'chatkit-wp'); ?></th>
+                    <td><?php echo $prechat->consented_at ? esc_html(get_date_from_gmt($prechat->consented_at, get_option('date_format') . ' ' . get_option('time_format'))) : '&mdash;'; ?></td>
+                </tr>
+            <?php endif; ?>
+            <tr>
+                <th><?php esc_html_e('Thread', 'chatkit-wp'); ?></th>
+                <td><code><?php echo esc_html($conversation->thread_id); ?></code><?php echo $conversation->workflow !== '' ? ' &middot; <code>' . esc_html($conversation->workflow) . '</code>' : ''; ?></td>
+            </tr>
+        </table>
+
+        <?php if (empty($messages)): ?>
+            <p><?php esc_html_e('No messages have been stored for this conversation yet.', 'chatkit-wp'); ?></p>
+        <?php endif; ?>
+
+        <div style="max-width:800px;">
+            <?php foreach ($messages as $message): ?>
+                <div style="background:<?php echo $message->role === 'user' ? '#f0f6fc' : '#fff'; ?>; border:1px solid #dcdcde; border-radius:4px; padding:12px 16px; margin-bottom:10px;">
+                    <p style="margin:0 0 6px; color:#646970; font-size:12px;">
+                        <strong><?php echo $message->role === 'user' ? esc_html__('Visitor', 'chatkit-wp') : esc_html__('Assistant', 'chatkit-wp'); ?></strong>
+                        &middot; <?php echo esc_html(get_date_from_gmt($message->created_at, get_option('time_format'))); ?>
+                    </p>
+                    <div style="white-space:pre-wrap;"><?php echo esc_html($message->content); ?></div>
+                </div>
+            <?php endforeach; ?>
+        </div>
+
+        <p>
+            <a href="<?php echo esc_url(wp_nonce_url(add_query_arg(['action' => 'delete', 'conversation' => $conversation->id], $page_url), 'chatkit_delete_conversation_' . $conversation->id)); ?>"
+               class="button button-link-delete"
+               onclick="return confirm('<?php echo esc_js(__('Delete this conversation?', 'chatkit-wp')); ?>');">
+                <?php esc_html_e('Delete conversation', 'chatkit-wp'); ?>
+            </a>
+        </p>
+
+    <?php else: ?>
+        <form method="get" action="<?php echo esc_url(admin_url('tools.php')); ?>" style="margin:12px 0;">
+            <input type="hidden" name="page" value="chatkit-conversations">
+            <input type="search" name="s" value="<?php echo esc_attr($filters['s']); ?>"
+                   placeholder="<?php esc_attr_e('Search messages…', 'chatkit-wp'); ?>">
+            <label>
+                <?php esc_html_e('From', 'chatkit-wp'); ?>
+                <input type="date" name="from" value="<?php echo esc_attr($filters['from']); ?>">
+            </label>
+            <label>
+                <?php esc_html_e('To', 'chatkit-wp'); ?>
+                <input type="date" name="to" value="<?php echo esc_attr($filters['to']); ?>">
+            </label>
+            <select name="post_id">
+                <option value="0"><?php esc_html_e('All pages', 'chatkit-wp'); ?></option>
+                <?php foreach ($logged_pages as $logged_page): ?>
+                    <option value="<?php echo esc_attr($logged_page); ?>" <?php selected($filters['post_id'], (int) $logged_page); ?>>
+                        <?php echo esc_html(get_the_title($logged_page) ?: '#' . $logged_page); ?>
+                    </option>
+                <?php endforeach; ?>
+            </select>
+            <?php submit_button(__('Filter', 'chatkit-wp'), '', '', false); ?>
+        </form>
+
+        <form method="post" action="">
+            <?php wp_nonce_field('chatkit_bulk_delete'); ?>
+
+            <table class="wp-list-table widefat fixed striped">
+                <thead>
+                    <tr>
+                        <td class="manage-column column-cb check-column"><input type="checkbox" id="chatkit-select-all"></td>
+                        <th><?php esc_html_e('Conversation', 'chatkit-wp'); ?></th>
+                        <th style="width:90px;"><?php esc_html_e('Messages', 'chatkit-wp'); ?></th>
+                        <th><?php esc_html_e('Page', 'chatkit-wp'); ?></th>
+                        <th style="width:170px;"><?php esc_html_e('Last activity', 'chatkit-wp'); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php if (empty($conversations)): ?>
+                        <tr><td colspan="5"><?php esc_html_e('No conversations found.', 'chatkit-wp'); ?></td></tr>
+                    <?php endif; ?>
+
+                    <?php foreach ($conversations as $row): ?>
+                        <tr>
+                            <th scope="row" class="check-column">
+                                <input type="checkbox" name="conversation_ids[]" value="<?php echo esc_attr($row->id); ?>">
+                            </th>
+                            <td>
+                                <strong>
+                                    <a href="<?php echo esc_url(add_query_arg('view', $row->id, $page_url)); ?>">
+                                        <?php echo esc_html($row->title !== '' ? $row->title : __('(untitled)', 'chatkit-wp')); ?>
+                                    </a>
+                                </strong>
+                                <div class="row-actions">
+                                    <span class="view"><a href="<?php echo esc_url(add_query_arg('view', $row->id, $page_url)); ?>"><?php esc_html_e('Read', 'chatkit-wp'); ?></a> | </span>
+                                    <span class="trash"><a href="<?php echo esc_url(wp_nonce_url(add_query_arg(['action' => 'delete', 'conversation' => $row->id], $page_url), 'chatkit_delete_conversation_' . $row->id)); ?>"
+                                       onclick="return confirm('<?php echo esc_js(__('Delete this conversation?', 'chatkit-wp')); ?>');"><?php esc_html_e('Delete', 'chatkit-wp'); ?></a></span>
+                                </div>
+                            </td>
+                            <td><?php echo esc_html(number_format_i18n($row->message_count)); ?></td>
+                            <td><?php echo $row->page_url ? '<a href="' . esc_url($row->page_url) . '" target="_blank">' . esc_html($row->post_id ? get_the_title($row->post_id) : wp_parse_url($row->page_url, PHP_URL_PATH)) . '</a>' : '&mdash;'; ?></td>
+                            <td><?php echo esc_html(get_date_from_gmt($row->updated_at, get_option('date_format') . ' ' . get_option('time_format'))); ?></td>
+                        </tr>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+
+            <div class="tablenav bottom">
+                <div class="alignleft actions">
+                    <button type="submit" name="chatkit_bulk_delete" value="1" class="button"
+                            onclick="return confirm('<?php echo esc_js(__('Delete the selected conversations?', 'chatkit-wp')); ?>');">
+                        <?php esc_html_e('Delete selected', 'chatkit-wp'); ?>
+                    </button>
+                </div>
+                <div class="tablenav-pages">
+                    <span class="displaying-num">
+                        <?php
+                        /* translators: %s: number of conversations */
+                        echo esc_html(sprintf(_n('%s conversation', '%s conversations', $total, 'chatkit-wp'), number_format_i18n($total)));
+                        ?>
+                    </span>
+                    <?php
+                    echo paginate_links([
+                        'base' => add_query_arg('paged', '%#%'),
+                        'format' => '',
+                        'current' => $paged,
+                        'total' => max(1, (int) ceil($total / $per_page)),
+                    ]);
+                    ?>
+                </div>
+            </div>
+        </form>
+
+        <script>
+        jQuery(document).ready(function($) {
+            $('#chatkit-select-all').on('change', function() {
+                $('input[name="conversation_ids[]"]').prop('checked', this.checked);
+            });
+        });
+        </script>
+    <?php endif; ?>
+</div>
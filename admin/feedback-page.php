@@ -0,0 +1,147 @@
+<?php
+$total = (int) ($summary->total ?? 0);
+$satisfaction = $total ? round(100 * (int) $summary->up / $total) : null;
+$max_period = 1;
+foreach ($timeline as $period) {
+    $max_period = max($max_period, (int) $period->up + (int) $period->down);
+}
+?>
+<div class="wrap">
+    <h1><?php esc_html_e('ChatKit Feedback', 'chatkit-wp'); ?></h1>
+
+    <?php if (!get_option('chatkit_enable_feedback', true)): ?>
+        <div class="notice notice-warning">
+            <p>
+                <?php esc_html_e('Reply ratings are turned off, so visitors cannot rate replies.', 'chatkit-wp'); ?>
+                <a href="<?php echo esc_url(admin_url('options-general.php?page=chatkit-settings')); ?>"><?php esc_html_e('Change this in the Advanced settings.', 'chatkit-wp'); ?></a>
+            </p>
+        </div>
+    <?php endif; ?>
+
+    <form method="get" action="<?php echo esc_url(admin_url('tools.php')); ?>" style="margin:12px 0;">
+        <input type="hidden" name="page" value="chatkit-feedback">
+        <select name="range" onchange="this.form.submit()">
+            <?php foreach ($ranges as $days => $label): ?>
+                <option value="<?php echo esc_attr($days); ?>" <?php selected($range, $days); ?>><?php echo esc_html($label); ?></option>
+            <?php endforeach; ?>
+        </select>
+        <noscript><?php submit_button(__('Show', 'chatkit-wp'), '', '', false); ?></noscript>
+    </form>
+
+    <div style="display:flex; gap:16px; flex-wrap:wrap; margin-bottom:24px;">
+        <div style="background:#fff; border:1px solid #dcdcde; padding:16px 20px; min-width:160px;">
+            <div style="font-size:28px; font-weight:600;"><?php echo $satisfaction === null ? '&mdash;' : esc_html($satisfaction . '%'); ?></div>
+            <div style="color:#646970;"><?php esc_html_e('Satisfaction', 'chatkit-wp'); ?></div>
+        </div>
+        <div style="background:#fff; border:1px solid #dcdcde; padding:16px 20px; min-width:160px;">
+            <div style="font-size:28px; font-weight:600;"><?php echo esc_html(number_format_i18n($total)); ?></div>
+            <div style="color:#646970;">
+                👍 <?php echo esc_html(number_format_i18n((int) ($summary->up ?? 0))); ?>
+                &nbsp; 👎 <?php echo esc_html(number_format_i18n((int) ($summary->down ?? 0))); ?>
+            </div>
+        </div>
+        <div style="background:#fff; border:1px solid #dcdcde; padding:16px 20px; min-width:160px;">
+            <div style="font-size:28px; font-weight:600;"><?php echo esc_html(number_format_i18n((int) ($summary->comments ?? 0))); ?></div>
+            <div style="color:#646970;"><?php esc_html_e('Comments', 'chatkit-wp'); ?></div>
+        </div>
+    </div>
+
+    <?php if (!$total): ?>
+        <p><?php esc_html_e('No replies have been rated in this period.', 'chatkit-wp'); ?></p>
+    <?php else: ?>
+
+        <h2><?php esc_html_e('Satisfaction over time', 'chatkit-wp'); ?></h2>
+        <table class="widefat striped" style="max-width:800px; margin-bottom:24px;">
+            <thead>
+                <tr>
+                    <th style="width:110px;"><?php echo $range > 90 ? esc_html__('Week', 'chatkit-wp') : esc_html__('Day', 'chatkit-wp'); ?></th>
+                    <th><?php esc_html_e('Ratings', 'chatkit-wp'); ?></th>
+                    <th style="width:90px;"><?php esc_html_e('Satisfaction', 'chatkit-wp'); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ($timeline as $period):
+                    $up = (int) $period->up;
+                    $down = (int) $period->down;
+                    ?>
+                    <tr>
+                        <td><?php echo esc_html($range > 90 ? $period->period : date_i18n(get_option('date_format'), strtotime($period->period))); ?></td>
+                        <td>
+                            <div style="display:flex; height:14px; width:<?php echo esc_attr(round(100 * ($up + $down) / $max_period)); ?>%; min-width:4px;"
+                                 title="<?php echo esc_attr('👍 ' . $up . '  👎 ' . $down); ?>">
+                                <span style="flex:<?php echo esc_attr($up); ?>; background:#00a32a;"></span>
+                                <span style="flex:<?php echo esc_attr($down); ?>; background:#d63638;"></span>
+                            </div>
+                        </td>
+                        <td><?php echo esc_html(round(100 * $up / max(1, $up + $down)) . '%'); ?></td>
+                    </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+
+        <h2><?php esc_html_e('Worst-rated replies', 'chatkit-wp'); ?></h2>
+        <p class="description"><?php esc_html_e('Thumbs-down ratings in this period, those with a comment first.', 'chatkit-wp'); ?></p>
+        <table class="widefat striped" style="margin-bottom:24px;">
+            <thead>
+                <tr>
+                    <th><?php esc_html_e('Reply', 'chatkit-wp'); ?></th>
+                    <th style="width:25%;"><?php esc_html_e('Comment', 'chatkit-wp'); ?></th>
+                    <th style="width:15%;"><?php esc_html_e('Page', 'chatkit-wp'); ?></th>
+                    <th style="width:140px;"><?php esc_html_e('Date', 'chatkit-wp'); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php if (empty($worst)): ?>
+                    <tr><td colspan="4"><?php esc_html_e('No thumbs-down ratings in this period.', 'chatkit-wp'); ?></td></tr>
+                <?php endif; ?>
+
+                <?php foreach ($worst as $row): ?>
+                    <tr>
+                        <td>
+                            <div style="white-space:pre-wrap; max-height:8em; overflow:hidden;"><?php echo esc_html(wp_trim_words($row->response, 60)); ?></div>
+                            <?php if ($row->conversation_id): ?>
+                                <a href="<?php echo esc_url(admin_url('tools.php?page=chatkit-conversations&view=' . (int) $row->conversation_id)); ?>"><?php esc_html_e('Read conversation', 'chatkit-wp'); ?></a>
+                            <?php endif; ?>
+                        </td>
+                        <td><?php echo $row->comment !== '' ? esc_html($row->comment) : '&mdash;'; ?></td>
+                        <td><?php echo $row->page_url ? '<a href="' . esc_url($row->page_url) . '" target="_blank">' . esc_html($row->post_id ? get_the_title($row->post_id) : wp_parse_url($row->page_url, PHP_URL_PATH)) . '</a>' : '&mdash;'; ?></td>
+                        <td><?php echo esc_html(get_date_from_gmt($row->created_at, get_option('date_format') . ' ' . get_option('time_format'))); ?></td>
+                    </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+
+        <h2><?php esc_html_e('Ratings by page', 'chatkit-wp'); ?></h2>
+        <table class="widefat striped" style="max-width:800px;">
+            <thead>
+                <tr>
+                    <th><?php esc_html_e('Page', 'chatkit-wp'); ?></th>
+                    <th style="width:70px;">👍</th>
+                    <th style="width:70px;">👎</th>
+                    <th style="width:90px;"><?php esc_html_e('Satisfaction', 'chatkit-wp'); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ($pages as $row):
+                    $up = (int) $row->up;
+                    $down = (int) $row->down;
+                    ?>
+                    <tr>
+                        <td>
+                            <?php if ($row->post_id): ?>
+                                <a href="<?php echo esc_url(get_permalink($row->post_id) ?: $row->page_url); ?>" target="_blank"><?php echo esc_html(get_the_title($row->post_id) ?: '#' . $row->post_id); ?></a>
+                            <?php elseif ($row->page_url): ?>
+                                <a href="<?php echo esc_url($row->page_url); ?>" target="_blank"><?php echo esc_html(wp_parse_url($row->page_url, PHP_URL_PATH) ?: $row->page_url); ?></a>
+                            <?php else: ?>
+                                <?php esc_html_e('Unknown page', 'chatkit-wp'); ?>
+                            <?php endif; ?>
+                        </td>
+                        <td><?php echo esc_html(number_format_i18n($up)); ?></td>
+                        <td><?php echo esc_html(number_format_i18n($down)); ?></td>
+                        <td><?php echo esc_html(round(100 * $up / max(1, $up + $down)) . '%'); ?></td>
+                    </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+    <?php endif; ?>
+</div>
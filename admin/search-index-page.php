@@ -0,0 +1,104 @@
+<div class="wrap">
+    <h1><?php esc_html_e('ChatKit Search Index', 'chatkit-wp'); ?></h1>
+
+    <?php if ($notice): ?>
+        <div class="notice notice-success is-dismissible"><p><?php echo esc_html($notice); ?></p></div>
+    <?php endif; ?>
+
+    <p class="description" style="max-width:800px;">
+        <?php esc_html_e('The search_articles client tool answers from this index, so the assistant only cites content published on this site. Posts are indexed when they are published or updated.', 'chatkit-wp'); ?>
+    </p>
+
+    <div style="display:flex; gap:16px; flex-wrap:wrap; margin:16px 0 24px;">
+        <div style="background:#fff; border:1px solid #dcdcde; padding:16px 20px; min-width:160px;">
+            <div style="font-size:28px; font-weight:600;"><?php echo esc_html(number_format_i18n((int) ($stats->posts ?? 0))); ?></div>
+            <div style="color:#646970;"><?php esc_html_e('Indexed posts', 'chatkit-wp'); ?></div>
+        </div>
+        <div style="background:#fff; border:1px solid #dcdcde; padding:16px 20px; min-width:160px;">
+            <div style="font-size:28px; font-weight:600;"><?php echo esc_html(number_format_i18n((int) ($stats->chunks ?? 0))); ?></div>
+            <div style="color:#646970;"><?php esc_html_e('Chunks', 'chatkit-wp'); ?></div>
+        </div>
+        <div style="background:#fff; border:1px solid #dcdcde; padding:16px 20px; min-width:160px;">
+            <?php if (is_array($rebuild)): ?>
+                <div style="font-size:28px; font-weight:600;"><?php esc_html_e('Rebuilding…', 'chatkit-wp'); ?></div>
+                <div style="color:#646970;">
+                    <?php
+                    /* translators: %s: number of posts indexed so far */
+                    echo esc_html(sprintf(__('%s posts so far', 'chatkit-wp'), number_format_i18n((int) $rebuild['indexed'])));
+                    ?>
+                </div>
+            <?php else: ?>
+                <div style="font-size:28px; font-weight:600;"><?php echo $indexed_at ? esc_html(get_date_from_gmt($indexed_at, get_option('date_format'))) : '&mdash;'; ?></div>
+                <div style="color:#646970;"><?php esc_html_e('Last full rebuild', 'chatkit-wp'); ?></div>
+            <?php endif; ?>
+        </div>
+    </div>
+
+    <form method="post" action="">
+        <?php wp_nonce_field('chatkit_search_index'); ?>
+
+        <table class="form-table">
+            <tr>
+                <th scope="row"><?php esc_html_e('Indexed post types', 'chatkit-wp'); ?></th>
+                <td>
+                    <fieldset>
+                        <?php foreach ($post_types as $type): ?>
+                            <label style="display:block; margin-bottom:4px;">
+                                <input type="checkbox" name="chatkit_search_post_types[]" value="<?php echo esc_attr($type->name); ?>" <?php checked(in_array($type->name, $selected_types, true)); ?>>
+                                <?php echo esc_html($type->labels->name); ?>
+                                <code><?php echo esc_html($type->name); ?></code>
+                            </label>
+                        <?php endforeach; ?>
+                    </fieldset>
+                    <p class="description"><?php esc_html_e('Only published, non-password-protected content of these types is searchable. Saving rebuilds the index.', 'chatkit-wp'); ?></p>
+                </td>
+            </tr>
+        </table>
+
+        <p>
+            <button type="submit" name="chatkit_search_save" value="1" class="button button-primary"><?php esc_html_e('Save and rebuild', 'chatkit-wp'); ?></button>
+            <button type="submit" name="chatkit_search_rebuild" value="1" class="button"><?php esc_html_e('Rebuild index', 'chatkit-wp'); ?></button>
+        </p>
+    </form>
+
+    <h2><?php esc_html_e('Test a search', 'chatkit-wp'); ?></h2>
+    <form method="get" action="<?php echo esc_url(admin_url('tools.php')); ?>" style="margin:12px 0;">
+        <input type="hidden" name="page" value="chatkit-search">
+        <input type="search" name="q" value="<?php echo esc_attr($test_query); ?>" class="regular-text"
+               placeholder="<?php esc_attr_e('What a visitor might ask…', 'chatkit-wp'); ?>">
+        <?php submit_button(__('Search', 'chatkit-wp'), '', '', false); ?>
+    </form>
+
+    <?php if ($test_query !== ''): ?>
+        <table class="widefat striped" style="max-width:1000px;">
+            <thead>
+                <tr>
+                    <th style="width:25%;"><?php esc_html_e('Post', 'chatkit-wp'); ?></th>
+                    <th><?php esc_html_e('Excerpt', 'chatkit-wp'); ?></th>
+                    <th style="width:70px;"><?php esc_html_e('Score', 'chatkit-wp'); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php if (empty($test_results)): ?>
+                    <tr><td colspan="3"><?php esc_html_e('No matching content.', 'chatkit-wp'); ?></td></tr>
+                <?php endif; ?>
+
+                <?php foreach ($test_results as $result): ?>
+                    <tr>
+                        <td>
+                            <a href="<?php echo esc_url($result['url']); ?>" target="_blank"><?php echo esc_html($result['title']); ?></a>
+                            <div style="color:#646970;"><?php echo esc_html($result['type']); ?></div>
+                        </td>
+                        <td>
+                            <?php if ($result['heading'] !== ''): ?>
+                                <strong><?php echo esc_html($result['heading']); ?></strong><br>
+                            <?php endif; ?>
+                            <?php echo esc_html(wp_trim_words($result['excerpt'], 40)); ?>
+                        </td>
+                        <td><?php echo esc_html(number_format_i18n($result['score'], 2)); ?></td>
+                    </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+    <?php endif; ?>
+</div>
@@ -53,6 +53,18 @@
                     </td>
                 </tr>
 
+                <tr>
+                    <th scope="row"><label for="chatkit_workflow_allowlist"><?php esc_html_e('Additional Workflows', 'chatkit-wp'); ?></label></th>
+                    <td>
+                        <textarea id="chatkit_workflow_allowlist" name="chatkit_workflow_allowlist" rows="4" class="large-text code"
+                                  placeholder="housing|wf_...&#10;jobs|wf_..."><?php echo esc_textarea($workflow_allowlist ?? ''); ?></textarea>
+                        <p class="description">
+                            <?php esc_html_e('Workflows that shortcodes may use via the workflow attribute, one per line as key|workflow_id (or just the workflow ID).', 'chatkit-wp'); ?><br>
+                            <?php esc_html_e('Example:', 'chatkit-wp'); ?> <code>[chatkit workflow="housing" button_text="Housing help"]</code>
+                        </p>
+                    </td>
+                </tr>
+
                 <tr>
                     <th scope="row"><?php esc_html_e('File Upload Configuration', 'chatkit-wp'); ?></th>
                     <td>
@@ -77,41 +89,82 @@
                             <strong><?php esc_html_e('Show widget on ALL pages automatically', 'chatkit-wp'); ?></strong>
                         </label>
                         <p class="description">
-                            ⚠️ <?php esc_html_e('If enabled, widget appears on every page (except exclusions below). Otherwise use [openai_chatkit] or [chatkit] shortcode.', 'chatkit-wp'); ?>
+                            ⚠️ <?php esc_html_e('If enabled, widget appears on every page (subject to the display rules below). Otherwise use [openai_chatkit] or [chatkit] shortcode.', 'chatkit-wp'); ?>
                         </p>
                         
                         <div style="margin-top:20px; padding:15px; background:#f9f9f9; border-left:3px solid #2271b1;">
-                            <h4 style="margin-top:0;"><?php esc_html_e('Exclusions', 'chatkit-wp'); ?></h4>
-                            
-                            <p><strong><?php esc_html_e('Exclude Specific Pages/Posts (by ID):', 'chatkit-wp'); ?></strong></p>
-                            <input type="text" name="chatkit_exclude_ids"
-                                   value="<?php echo esc_attr(get_option('chatkit_exclude_ids', '')); ?>"
-                                   class="large-text" placeholder="1, 5, 12, 47">
+                            <h4 style="margin-top:0;"><?php esc_html_e('Display Rules', 'chatkit-wp'); ?></h4>
+                            <?php
+                            $rule_types = [
+                                'page_type' => __('Page type', 'chatkit-wp'),
+                                'post_id' => __('Page/post ID', 'chatkit-wp'),
+                                'post_type' => __('Post type', 'chatkit-wp'),
+                                'taxonomy' => __('Taxonomy term', 'chatkit-wp'),
+                                'url' => __('URL path', 'chatkit-wp'),
+                                'url_regex' => __('URL regex', 'chatkit-wp'),
+                                'user_role' => __('User role', 'chatkit-wp'),
+                                'logged_in' => __('Logged in', 'chatkit-wp'),
+                                'device' => __('Device', 'chatkit-wp'),
+                                'referrer' => __('Referrer', 'chatkit-wp'),
+                                'query' => __('Query parameter', 'chatkit-wp'),
+                                'schedule' => __('Schedule', 'chatkit-wp'),
+                            ];
+                            // The last row is a disabled template cloned by "Add rule"
+                            $rule_rows = array_merge($display_rules, [['action' => 'include', 'type' => 'url', 'value' => '', 'template' => true]]);
+                            ?>
+                            <input type="hidden" name="chatkit_display_rules_submitted" value="1">
+                            <table class="widefat striped" id="chatkit-display-rules" style="max-width:800px;">
+                                <thead>
+                                    <tr>
+                                        <th style="width:110px;"><?php esc_html_e('Action', 'chatkit-wp'); ?></th>
+                                        <th style="width:170px;"><?php esc_html_e('Condition', 'chatkit-wp'); ?></th>
+                                        <th><?php esc_html_e('Value', 'chatkit-wp'); ?></th>
+                                        <th style="width:40px;"></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    <?php foreach ($rule_rows as $index => $rule) : $is_template = !empty($rule['template']); ?>
+                                    <tr class="<?php echo $is_template ? 'chatkit-rule-template' : 'chatkit-rule'; ?>"<?php echo $is_template ? ' style="display:none;"' : ''; ?>>
+                                        <td>
+                                            <select name="chatkit_display_rules[<?php echo (int) $index; ?>][action]" <?php disabled($is_template); ?>>
+                                                <option value="include" <?php selected($rule['action'], 'include'); ?>><?php esc_html_e('Show if', 'chatkit-wp'); ?></option>
+                                                <option value="exclude" <?php selected($rule['action'], 'exclude'); ?>><?php esc_html_e('Hide if', 'chatkit-wp'); ?></option>
+                                            </select>
+                                        </td>
+                                        <td>
+                                            <select name="chatkit_display_rules[<?php echo (int) $index; ?>][type]" <?php disabled($is_template); ?>>
+                                                <?php foreach ($rule_types as $type => $label) : ?>
+                                                <option value="<?php echo esc_attr($type); ?>" <?php selected($rule['type'], $type); ?>><?php echo esc_html($label); ?></option>
+                                                <?php endforeach; ?>
+                                            </select>
+                                        </td>
+                                        <td>
+                                            <input type="text" name="chatkit_display_rules[<?php echo (int) $index; ?>][value]"
+                                                   value="<?php echo esc_attr($rule['value']); ?>" class="large-text code" <?php disabled($is_template); ?>>
+                                        </td>
+                                        <td>
+                                            <button type="button" class="button-link chatkit-remove-rule" aria-label="<?php esc_attr_e('Remove rule', 'chatkit-wp'); ?>">✕</button>
+                                        </td>
+                                    </tr>
+                                    <?php endforeach; ?>
+                                </tbody>
+                            </table>
+                            <p><button type="button" class="button" id="chatkit-add-rule"><?php esc_html_e('Add rule', 'chatkit-wp'); ?></button></p>
+                            <p class="description">
+                                <?php esc_html_e('The widget shows only when every "Show if" rule matches and no "Hide if" rule does. Separate several values with commas to match any of them.', 'chatkit-wp'); ?>
+                            </p>
+                            <ul class="description" style="list-style:disc; margin-left:20px;">
+                                <li><?php esc_html_e('Page type: home, blog, single, archive, search, 404', 'chatkit-wp'); ?></li>
+                                <li><?php esc_html_e('Taxonomy term: taxonomy:slug, e.g. category:services', 'chatkit-wp'); ?></li>
+                                <li><?php esc_html_e('URL path: /contact, /blog/* (use * as wildcard) - URL regex: ^/(fr|es)/', 'chatkit-wp'); ?></li>
+                                <li><?php esc_html_e('User role: administrator, subscriber - Logged in: yes or no', 'chatkit-wp'); ?></li>
+                                <li><?php esc_html_e('Device: mobile, tablet, desktop - Referrer: *google.*', 'chatkit-wp'); ?></li>
+                                <li><?php esc_html_e('Query parameter: utm_source=newsletter, or just utm_campaign', 'chatkit-wp'); ?></li>
+                                <li><?php esc_html_e('Schedule (site timezone): mon-fri 09:00-17:00, sat 10:00-14:00', 'chatkit-wp'); ?></li>
+                            </ul>
                             <p class="description">
-                                <?php esc_html_e('Comma-separated page/post IDs to exclude. Find ID in URL when editing.', 'chatkit-wp'); ?>
+                                <?php esc_html_e('Rules apply to the automatically added widget only; shortcodes and blocks always render.', 'chatkit-wp'); ?>
                             </p>
-                            
-                            <p style="margin-top:15px;"><strong><?php esc_html_e('Exclude Page Types:', 'chatkit-wp'); ?></strong></p>
-                            <label style="display:block; margin-bottom:5px;">
-                                <input type="checkbox" name="chatkit_exclude_home"
-                                       <?php checked(get_option('chatkit_exclude_home', false), true); ?>>
-                                <?php esc_html_e('Homepage', 'chatkit-wp'); ?>
-                            </label>
-                            <label style="display:block; margin-bottom:5px;">
-                                <input type="checkbox" name="chatkit_exclude_archive"
-                                       <?php checked(get_option('chatkit_exclude_archive', false), true); ?>>
-                                <?php esc_html_e('Archives (categories, tags)', 'chatkit-wp'); ?>
-                            </label>
-                            <label style="display:block; margin-bottom:5px;">
-                                <input type="checkbox" name="chatkit_exclude_search"
-                                       <?php checked(get_option('chatkit_exclude_search', false), true); ?>>
-                                <?php esc_html_e('Search results page', 'chatkit-wp'); ?>
-                            </label>
-                            <label style="display:block;">
-                                <input type="checkbox" name="chatkit_exclude_404"
-                                       <?php checked(get_option('chatkit_exclude_404', false), true); ?>>
-                                <?php esc_html_e('404 error page', 'chatkit-wp'); ?>
-                            </label>
                         </div>
                     </td>
                 </tr>
@@ -261,7 +314,8 @@
                                class="regular-text" placeholder="en-US">
                         <p class="description">
                             <?php esc_html_e('Examples:', 'chatkit-wp'); ?> <code>en-US</code>, <code>it-IT</code>, <code>de-DE</code>, <code>fr-FR</code><br>
-                            <?php esc_html_e('Leave empty to use browser default', 'chatkit-wp'); ?>
+                            <?php esc_html_e('Leave empty to use browser default', 'chatkit-wp'); ?><br>
+                            <?php esc_html_e('Ignored when chat languages are set under Messages & Prompts.', 'chatkit-wp'); ?>
                         </p>
                     </td>
                 </tr>
@@ -282,6 +336,18 @@
                     </td>
                 </tr>
 
+                <tr>
+                    <th scope="row"><label for="chatkit_member_greeting_text"><?php esc_html_e('Member Greeting', 'chatkit-wp'); ?></label></th>
+                    <td>
+                        <input type="text" id="chatkit_member_greeting_text" name="chatkit_member_greeting_text"
+                               value="<?php echo esc_attr($member_greeting_text ?? ''); ?>"
+                               class="regular-text"
+                               placeholder="<?php esc_attr_e('Welcome back, {name}! How can I help?', 'chatkit-wp'); ?>">
+                        <p class="description"><?php esc_html_e('Shown instead of the greeting to logged-in users. Leave empty to use the greeting above.', 'chatkit-wp'); ?><br>
+                        <?php esc_html_e('{name} is replaced with the member\'s display name here, in the greeting and in quick prompts (and removed for visitors).', 'chatkit-wp'); ?></p>
+                    </td>
+                </tr>
+
                 <tr>
                     <th scope="row"><label for="chatkit_placeholder_text"><?php esc_html_e('Input Placeholder', 'chatkit-wp'); ?></label></th>
                     <td>
@@ -325,6 +391,241 @@
                     </td>
                 </tr>
                 <?php endfor; ?>
+
+                <tr>
+                    <td colspan="2"><hr><h3><?php esc_html_e('Languages', 'chatkit-wp'); ?></h3></td>
+                </tr>
+
+                <tr>
+                    <th scope="row"><label for="chatkit_languages"><?php esc_html_e('Chat Languages', 'chatkit-wp'); ?></label></th>
+                    <td>
+                        <textarea id="chatkit_languages" name="chatkit_languages" rows="6" class="large-text code"
+                                  placeholder="en | English&#10;fr | Français&#10;ar | العربية&#10;tl | Tagalog&#10;pa | ਪੰਜਾਬੀ&#10;zh | 中文"><?php echo esc_textarea($languages ?? ''); ?></textarea>
+                        <p class="description">
+                            <?php esc_html_e('One per line: language code | name shown in the switcher. The first line is the default language and uses the texts above; save to get translation fields for the others.', 'chatkit-wp'); ?><br>
+                            <?php esc_html_e('The chosen code is also the ChatKit locale and is sent to the workflow as the "language" and "language_name" state variables.', 'chatkit-wp'); ?>
+                        </p>
+                    </td>
+                </tr>
+
+                <tr>
+                    <th scope="row"><label for="chatkit_language_detection"><?php esc_html_e('Detect Language', 'chatkit-wp'); ?></label></th>
+                    <td>
+                        <select id="chatkit_language_detection" name="chatkit_language_detection">
+                            <option value="page" <?php selected($language_detection ?? 'page', 'page'); ?>><?php esc_html_e('Page language first (Polylang/WPML, then <html lang>), then browser', 'chatkit-wp'); ?></option>
+                            <option value="browser" <?php selected($language_detection ?? 'page', 'browser'); ?>><?php esc_html_e('Browser languages first, then page language', 'chatkit-wp'); ?></option>
+                            <option value="off" <?php selected($language_detection ?? 'page', 'off'); ?>><?php esc_html_e('Off - always start in the default language', 'chatkit-wp'); ?></option>
+                        </select>
+                        <p class="description"><?php esc_html_e('A language the visitor picked in the switcher always wins. Unlisted languages fall back to the default.', 'chatkit-wp'); ?></p>
+                    </td>
+                </tr>
+
+                <tr>
+                    <th scope="row"><?php esc_html_e('Language Switcher', 'chatkit-wp'); ?></th>
+                    <td>
+                        <label>
+                            <input type="checkbox" name="chatkit_language_switcher"
+                                   <?php checked($language_switcher ?? true, true); ?>>
+                            <?php esc_html_e('Let visitors change the language in the chat header', 'chatkit-wp'); ?>
+                        </label>
+                    </td>
+                </tr>
+
+                <?php
+                $chatkit_languages = $this->get_languages($languages ?? '');
+                foreach (array_slice($chatkit_languages, 1) as $language):
+                    $code = $language['code'];
+                    $translation = $translations[$code] ?? [];
+                    $field = 'chatkit_translations[' . $code . ']';
+                    ?>
+                <tr>
+                    <th scope="row"><?php echo esc_html($language['label']); ?> <code><?php echo esc_html($code); ?></code></th>
+                    <td>
+                        <details>
+                            <summary><?php esc_html_e('Translated texts (empty fields use the default language)', 'chatkit-wp'); ?></summary>
+
+                            <p><strong><?php esc_html_e('Greeting Text', 'chatkit-wp'); ?></strong></p>
+                            <input type="text" name="<?php echo esc_attr($field); ?>[greeting]" class="regular-text"
+                                   value="<?php echo esc_attr($translation['greeting'] ?? ''); ?>" placeholder="<?php echo esc_attr($greeting_text); ?>">
+
+                            <p><strong><?php esc_html_e('Member Greeting', 'chatkit-wp'); ?></strong></p>
+                            <input type="text" name="<?php echo esc_attr($field); ?>[member_greeting]" class="regular-text"
+                                   value="<?php echo esc_attr($translation['member_greeting'] ?? ''); ?>" placeholder="<?php echo esc_attr($member_greeting_text ?? ''); ?>">
+
+                            <p><strong><?php esc_html_e('Input Placeholder', 'chatkit-wp'); ?></strong></p>
+                            <input type="text" name="<?php echo esc_attr($field); ?>[placeholder]" class="regular-text"
+                                   value="<?php echo esc_attr($translation['placeholder'] ?? ''); ?>" placeholder="<?php echo esc_attr($placeholder_text); ?>">
+
+                            <?php for ($i = 1; $i <= 5; $i++): ?>
+                                <p><strong><?php printf(esc_html__('Quick Prompt %d', 'chatkit-wp'), $i); ?></strong></p>
+                                <input type="text" name="<?php echo esc_attr($field); ?>[prompts][<?php echo $i; ?>][label]" style="width:35%;"
+                                       value="<?php echo esc_attr($translation['prompts'][$i]['label'] ?? ''); ?>" placeholder="<?php echo esc_attr(${'default_prompt_' . $i}); ?>">
+                                <input type="text" name="<?php echo esc_attr($field); ?>[prompts][<?php echo $i; ?>][text]" style="width:60%;"
+                                       value="<?php echo esc_attr($translation['prompts'][$i]['text'] ?? ''); ?>" placeholder="<?php echo esc_attr(${'default_prompt_' . $i . '_text'}); ?>">
+                            <?php endfor; ?>
+
+                            <p><strong><?php esc_html_e('Disclaimer', 'chatkit-wp'); ?></strong></p>
+                            <textarea name="<?php echo esc_attr($field); ?>[disclaimer]" rows="2" class="large-text"
+                                      placeholder="<?php echo esc_attr($disclaimer_text ?? ''); ?>"><?php echo esc_textarea($translation['disclaimer'] ?? ''); ?></textarea>
+                        </details>
+                    </td>
+                </tr>
+                <?php endforeach; ?>
+
+                <tr>
+                    <td colspan="2"><hr><h3><?php esc_html_e('Proactive Engagement', 'chatkit-wp'); ?></h3></td>
+                </tr>
+
+                <tr>
+                    <th scope="row"><label for="chatkit_triggers"><?php esc_html_e('Triggers', 'chatkit-wp'); ?></label></th>
+                    <td>
+                        <textarea id="chatkit_triggers" name="chatkit_triggers" rows="5" class="large-text code"
+                                  placeholder="time|45|teaser|Questions about your checklist? Ask me!|/immigration-checklist*"><?php echo esc_textarea($triggers ?? ''); ?></textarea>
+                        <p class="description">
+                            <?php esc_html_e('One trigger per line: type|value|action|text|pages', 'chatkit-wp'); ?>
+                        </p>
+                        <ul class="description" style="list-style:disc; margin-left:20px;">
+                            <li><?php esc_html_e('time|30 - seconds on the page', 'chatkit-wp'); ?></li>
+                            <li><?php esc_html_e('scroll|60 - percent of the page scrolled', 'chatkit-wp'); ?></li>
+                            <li><?php esc_html_e('exit - pointer leaves towards the browser tabs (desktop only)', 'chatkit-wp'); ?></li>
+                            <li><?php esc_html_e('idle|20 - seconds without scrolling, typing or moving the pointer', 'chatkit-wp'); ?></li>
+                            <li><?php esc_html_e('pageview|3 - from the 3rd page viewed in this visit', 'chatkit-wp'); ?></li>
+                            <li><?php esc_html_e('element|#checklist - a CSS selector scrolled into view', 'chatkit-wp'); ?></li>
+                        </ul>
+                        <p class="description">
+                            <?php esc_html_e('Action "teaser" shows the text in a dismissible bubble next to the chat button; "open" opens the chat with the text ready in the composer. Pages is an optional comma-separated list of URL paths (* as wildcard).', 'chatkit-wp'); ?>
+                        </p>
+                    </td>
+                </tr>
+
+                <tr>
+                    <th scope="row"><label for="chatkit_trigger_cap_hours"><?php esc_html_e('Frequency Cap', 'chatkit-wp'); ?></label></th>
+                    <td>
+                        <input type="number" id="chatkit_trigger_cap_hours" name="chatkit_trigger_cap_hours"
+                               value="<?php echo esc_attr($trigger_cap_hours ?? '24'); ?>" min="0" step="1" class="small-text">
+                        <?php esc_html_e('hours', 'chatkit-wp'); ?>
+                        <p class="description">
+                            <?php esc_html_e('After a trigger fires, or the visitor opens or dismisses the chat, no trigger fires again for this long. At most one trigger fires per page view.', 'chatkit-wp'); ?>
+                        </p>
+                    </td>
+                </tr>
+
+                <tr>
+                    <td colspan="2"><hr><h3><?php esc_html_e('Pre-chat Form', 'chatkit-wp'); ?></h3></td>
+                </tr>
+
+                <tr>
+                    <th scope="row"><?php esc_html_e('Enable', 'chatkit-wp'); ?></th>
+                    <td>
+                        <label>
+                            <input type="checkbox" name="chatkit_prechat_enabled"
+                                   <?php checked($prechat_enabled ?? false, true); ?>>
+                            <?php esc_html_e('Ask these questions before the chat starts', 'chatkit-wp'); ?>
+                        </label>
+                        <p class="description">
+                            <?php esc_html_e('The chat does not load, and no session is created, until the visitor has submitted the form. Returning visitors skip it until the fields change.', 'chatkit-wp'); ?>
+                        </p>
+                    </td>
+                </tr>
+
+                <tr>
+                    <th scope="row"><label for="chatkit_prechat_intro"><?php esc_html_e('Introduction', 'chatkit-wp'); ?></label></th>
+                    <td>
+                        <input type="text" id="chatkit_prechat_intro" name="chatkit_prechat_intro"
+                               value="<?php echo esc_attr($prechat_intro ?? ''); ?>" class="large-text"
+                               placeholder="<?php esc_attr_e('Tell us a little about yourself so we can help you better.', 'chatkit-wp'); ?>">
+                    </td>
+                </tr>
+
+                <tr>
+                    <th scope="row"><label for="chatkit_prechat_fields"><?php esc_html_e('Fields', 'chatkit-wp'); ?></label></th>
+                    <td>
+                        <textarea id="chatkit_prechat_fields" name="chatkit_prechat_fields" rows="6" class="large-text code"
+                                  placeholder="name|text|Your name|required&#10;email|email|Email address|optional&#10;language|select|Preferred language|optional|English,Français&#10;province|province|Province or territory|required&#10;consent|consent|I agree that my answers are stored to help with my questions. {privacy}|required"><?php echo esc_textarea($prechat_fields ?? ''); ?></textarea>
+                        <p class="description">
+                            <?php esc_html_e('One field per line: key|type|label|required|options. Types: text, email, tel, select (comma-separated options), province (Canadian provinces and territories) and consent (a checkbox; {privacy} links to your privacy policy page). Use "required" or "optional".', 'chatkit-wp'); ?>
+                        </p>
+                        <p class="description">
+                            <?php esc_html_e('Answers reach the workflow as state variables named after each key, and are stored on this site with the date consent was given.', 'chatkit-wp'); ?>
+                        </p>
+                    </td>
+                </tr>
+
+                <tr>
+                    <th scope="row"><label for="chatkit_prechat_submit"><?php esc_html_e('Button Text', 'chatkit-wp'); ?></label></th>
+                    <td>
+                        <input type="text" id="chatkit_prechat_submit" name="chatkit_prechat_submit"
+                               value="<?php echo esc_attr($prechat_submit ?? ''); ?>" class="regular-text"
+                               placeholder="<?php esc_attr_e('Start chat', 'chatkit-wp'); ?>">
+                    </td>
+                </tr>
+
+                <tr>
+                    <td colspan="2"><hr><h3><?php esc_html_e('Human Handoff', 'chatkit-wp'); ?></h3></td>
+                </tr>
+
+                <tr>
+                    <th scope="row"><?php esc_html_e('Enable', 'chatkit-wp'); ?></th>
+                    <td>
+                        <label>
+                            <input type="checkbox" name="chatkit_handoff_enabled"
+                                   <?php checked($handoff_enabled ?? false, true); ?>>
+                            <?php esc_html_e('Add a "Talk to a person" button to the chat header', 'chatkit-wp'); ?>
+                        </label>
+                        <p class="description">
+                            <?php esc_html_e('Workflows can start the same flow with a client tool named request_human (optional "summary" parameter).', 'chatkit-wp'); ?>
+                        </p>
+                    </td>
+                </tr>
+
+                <tr>
+                    <th scope="row"><label for="chatkit_handoff_hours"><?php esc_html_e('Business Hours', 'chatkit-wp'); ?></label></th>
+                    <td>
+                        <input type="text" id="chatkit_handoff_hours" name="chatkit_handoff_hours"
+                               value="<?php echo esc_attr($handoff_hours ?? 'mon-fri 09:00-17:00'); ?>" class="regular-text"
+                               placeholder="mon-fri 09:00-17:00, sat 10:00-14:00">
+                        <p class="description">
+                            <?php esc_html_e('Comma-separated, in the site timezone, like the business hours display rule. Outside these hours (or when empty) visitors get a contact form.', 'chatkit-wp'); ?>
+                        </p>
+                    </td>
+                </tr>
+
+                <tr>
+                    <th scope="row"><?php esc_html_e('During Business Hours', 'chatkit-wp'); ?></th>
+                    <td>
+                        <label style="display:block; margin-bottom:8px;">
+                            <select name="chatkit_handoff_live_mode">
+                                <option value="callback" <?php selected($handoff_live_mode ?? 'callback', 'callback'); ?>><?php esc_html_e('Ask for a callback', 'chatkit-wp'); ?></option>
+                                <option value="live_chat" <?php selected($handoff_live_mode ?? 'callback', 'live_chat'); ?>><?php esc_html_e('Open live chat', 'chatkit-wp'); ?></option>
+                            </select>
+                        </label>
+                        <input type="text" name="chatkit_handoff_live_chat" class="regular-text"
+                               value="<?php echo esc_attr($handoff_live_chat ?? ''); ?>"
+                               placeholder="https://… <?php esc_attr_e('or', 'chatkit-wp'); ?> Tawk_API.maximize">
+                        <p class="description">
+                            <?php esc_html_e('Live chat: a URL opened in a new tab, or the global JavaScript function of your live chat provider. If it can\'t be opened, visitors get the callback form.', 'chatkit-wp'); ?>
+                        </p>
+                    </td>
+                </tr>
+
+                <tr>
+                    <th scope="row"><?php esc_html_e('Deliver Requests', 'chatkit-wp'); ?></th>
+                    <td>
+                        <label style="display:block; margin-bottom:8px;">
+                            <select name="chatkit_handoff_delivery">
+                                <option value="email" <?php selected($handoff_delivery ?? 'email', 'email'); ?>><?php esc_html_e('By email', 'chatkit-wp'); ?></option>
+                                <option value="ticket" <?php selected($handoff_delivery ?? 'email', 'ticket'); ?>><?php esc_html_e('As tickets (Tools → ChatKit Tickets)', 'chatkit-wp'); ?></option>
+                                <option value="both" <?php selected($handoff_delivery ?? 'email', 'both'); ?>><?php esc_html_e('Both', 'chatkit-wp'); ?></option>
+                            </select>
+                        </label>
+                        <input type="email" name="chatkit_handoff_email" class="regular-text"
+                               value="<?php echo esc_attr($handoff_email ?? ''); ?>"
+                               placeholder="<?php echo esc_attr(get_option('admin_email')); ?>">
+                        <p class="description">
+                            <?php esc_html_e('Staff address for emailed requests; defaults to the site admin email. Requests include the visitor\'s contact details, their message and the conversation so far.', 'chatkit-wp'); ?>
+                        </p>
+                    </td>
+                </tr>
             </table>
         </div>
 
@@ -371,9 +672,214 @@
                                    <?php checked($persistent_sessions, true); ?>>
                             <?php esc_html_e('Keep conversation history (via cookie)', 'chatkit-wp'); ?>
                         </label>
+                        <label style="display:block; margin-top:8px;">
+                            <input type="checkbox" name="chatkit_merge_anonymous_history"
+                                   <?php checked($merge_anonymous_history ?? false, true); ?>>
+                            <?php esc_html_e('Keep pre-login conversations when a visitor logs in', 'chatkit-wp'); ?>
+                        </label>
+                        <p class="description">
+                            <?php esc_html_e('Logged-in users always get the same chat history on every device. With this option, a member\'s first login adopts the history from the browser they logged in with.', 'chatkit-wp'); ?>
+                        </p>
                     </td>
                 </tr>
                 
+                <tr>
+                    <th scope="row"><?php esc_html_e('Conversation Export', 'chatkit-wp'); ?></th>
+                    <td>
+                        <label style="display:block; margin-bottom:8px;">
+                            <input type="checkbox" name="chatkit_enable_export"
+                                   <?php checked($enable_export ?? true, true); ?>>
+                            <?php esc_html_e('Let visitors copy, download or print their conversation', 'chatkit-wp'); ?>
+                        </label>
+                        <label style="display:block;">
+                            <input type="checkbox" name="chatkit_transcript_email"
+                                   <?php checked($transcript_email ?? false, true); ?>>
+                            <?php esc_html_e('Let logged-in members email the conversation to their account address', 'chatkit-wp'); ?>
+                        </label>
+                        <p class="description">
+                            <?php esc_html_e('Sent with wp_mail() from your site, limited to 3 emails per visitor per hour. Guests never see this option. Only the visitor\'s own conversations can be exported.', 'chatkit-wp'); ?>
+                        </p>
+                    </td>
+                </tr>
+
+                <tr>
+                    <th scope="row"><?php esc_html_e('Reply Ratings', 'chatkit-wp'); ?></th>
+                    <td>
+                        <label>
+                            <input type="checkbox" name="chatkit_enable_feedback"
+                                   <?php checked($enable_feedback ?? true, true); ?>>
+                            <?php esc_html_e('Ask visitors to rate each reply with thumbs up or down', 'chatkit-wp'); ?>
+                        </label>
+                        <p class="description">
+                            <?php esc_html_e('A thumbs-down also offers an optional comment. Ratings are stored with the rated reply and the page it was given on.', 'chatkit-wp'); ?>
+                            <a href="<?php echo esc_url(admin_url('tools.php?page=chatkit-feedback')); ?>"><?php esc_html_e('View the feedback report', 'chatkit-wp'); ?></a>
+                        </p>
+                    </td>
+                </tr>
+
+                <tr>
+                    <th scope="row"><?php esc_html_e('Citation Cards', 'chatkit-wp'); ?></th>
+                    <td>
+                        <label>
+                            <input type="checkbox" name="chatkit_enable_citations"
+                                   <?php checked($enable_citations ?? true, true); ?>>
+                            <?php esc_html_e('Show pages of this site that a reply links to as preview cards', 'chatkit-wp'); ?>
+                        </label>
+                        <p class="description">
+                            <?php esc_html_e('Up to three cards with the featured image, title, excerpt and site icon appear next to the chat after each reply. Workflows can also show cards with the show_citations client tool.', 'chatkit-wp'); ?>
+                        </p>
+                    </td>
+                </tr>
+
+                <tr>
+                    <th scope="row"><?php esc_html_e('Conversation Logging', 'chatkit-wp'); ?></th>
+                    <td>
+                        <label style="display:block; margin-bottom:8px;">
+                            <input type="checkbox" name="chatkit_enable_logging"
+                                   <?php checked($enable_logging ?? false, true); ?>>
+                            <?php esc_html_e('Store conversations on this site', 'chatkit-wp'); ?>
+                        </label>
+                        <label style="display:block; margin-bottom:8px;">
+                            <?php esc_html_e('Consent:', 'chatkit-wp'); ?>
+                            <select name="chatkit_log_consent">
+                                <option value="required" <?php selected($log_consent ?? 'required', 'required'); ?>><?php esc_html_e('Only log visitors who agreed', 'chatkit-wp'); ?></option>
+                                <option value="implied" <?php selected($log_consent ?? 'required', 'implied'); ?>><?php esc_html_e('Log every conversation (consent implied)', 'chatkit-wp'); ?></option>
+                            </select>
+                        </label>
+                        <label style="display:block;">
+                            <?php esc_html_e('Delete conversations after', 'chatkit-wp'); ?>
+                            <input type="number" name="chatkit_log_retention_days" min="0" max="3650"
+                                   value="<?php echo esc_attr($log_retention_days ?? '90'); ?>"
+                                   style="width:80px;">
+                            <?php esc_html_e('days without activity', 'chatkit-wp'); ?>
+                        </label>
+                        <p class="description">
+                            <?php esc_html_e('Messages are copied from OpenAI once each reply finishes and stored under an anonymized visitor ID. With "Only log visitors who agreed", nothing is stored until a consent plugin (WP Consent API, statistics category) or your own script calls ChatKitWP.setLoggingConsent(true). Use 0 days to keep conversations indefinitely.', 'chatkit-wp'); ?>
+                            <a href="<?php echo esc_url(admin_url('tools.php?page=chatkit-conversations')); ?>"><?php esc_html_e('View logged conversations', 'chatkit-wp'); ?></a>
+                        </p>
+                    </td>
+                </tr>
+
+                <tr>
+                    <th scope="row"><?php esc_html_e('Privacy & Consent', 'chatkit-wp'); ?></th>
+                    <td>
+                        <label style="display:block; margin-bottom:8px;">
+                            <?php esc_html_e('Cookies and storage:', 'chatkit-wp'); ?>
+                            <select name="chatkit_consent_mode">
+                                <option value="off" <?php selected($consent_mode ?? 'off', 'off'); ?>><?php esc_html_e('Store without asking', 'chatkit-wp'); ?></option>
+                                <option value="required" <?php selected($consent_mode ?? 'off', 'required'); ?>><?php esc_html_e('Wait for consent', 'chatkit-wp'); ?></option>
+                            </select>
+                        </label>
+                        <label style="display:block; margin-bottom:8px;">
+                            <?php esc_html_e('Consent category:', 'chatkit-wp'); ?>
+                            <select name="chatkit_consent_category">
+                                <?php foreach ([
+                                    'functional' => __('Functional', 'chatkit-wp'),
+                                    'preferences' => __('Preferences', 'chatkit-wp'),
+                                    'statistics' => __('Statistics', 'chatkit-wp'),
+                                    'marketing' => __('Marketing', 'chatkit-wp'),
+                                ] as $category => $category_label): ?>
+                                    <option value="<?php echo esc_attr($category); ?>" <?php selected($consent_category ?? 'functional', $category); ?>><?php echo esc_html($category_label); ?></option>
+                                <?php endforeach; ?>
+                            </select>
+                        </label>
+                        <input type="text" name="chatkit_consent_notice" class="large-text"
+                               value="<?php echo esc_attr($consent_notice ?? ''); ?>"
+                               placeholder="<?php esc_attr_e('This chat stores a visitor ID and your conversation so the assistant can answer you. Do you agree?', 'chatkit-wp'); ?>">
+                        <p class="description">
+                            <?php esc_html_e('With "Wait for consent", the chat sets no cookie, writes nothing to browser storage and does not load until the visitor accepts the notice above, a cookie banner grants the chosen category (WP Consent API, Cookiebot, CookieYes), or your own script calls ChatKitWP.setConsent(true). Use {privacy} in the notice to link your privacy policy.', 'chatkit-wp'); ?>
+                        </p>
+                        <p class="description">
+                            <?php esc_html_e('Add the [chatkit_forget_me] shortcode to your privacy page to let visitors delete their conversations, ratings and pre-chat answers along with the chat cookie.', 'chatkit-wp'); ?>
+                        </p>
+                    </td>
+                </tr>
+
+                <tr>
+                    <th scope="row"><?php esc_html_e('Reply Notifications', 'chatkit-wp'); ?></th>
+                    <td>
+                        <label>
+                            <input type="checkbox" name="chatkit_reply_notifications"
+                                   <?php checked($reply_notifications ?? false, true); ?>>
+                            <?php esc_html_e('Offer browser notifications for replies that arrive while the chat is minimized', 'chatkit-wp'); ?>
+                        </label>
+                        <p class="description">
+                            <?php esc_html_e('Unread replies always show a badge on the chat button and flash the tab title. With this option, visitors who minimize the chat while waiting are asked for notification permission and notified when the tab is in the background.', 'chatkit-wp'); ?>
+                        </p>
+                    </td>
+                </tr>
+
+                <tr>
+                    <th scope="row"><label for="chatkit_load_strategy"><?php esc_html_e('Loading Strategy', 'chatkit-wp'); ?></label></th>
+                    <td>
+                        <select id="chatkit_load_strategy" name="chatkit_load_strategy">
+                            <option value="interaction" <?php selected($load_strategy ?? 'interaction', 'interaction'); ?>><?php esc_html_e('On first interaction (recommended)', 'chatkit-wp'); ?></option>
+                            <option value="idle" <?php selected($load_strategy ?? 'interaction', 'idle'); ?>><?php esc_html_e('When the browser is idle', 'chatkit-wp'); ?></option>
+                            <option value="eager" <?php selected($load_strategy ?? 'interaction', 'eager'); ?>><?php esc_html_e('Immediately on page load', 'chatkit-wp'); ?></option>
+                        </select>
+                        <p class="description">
+                            <?php esc_html_e('When to download the ChatKit library and start a session. "On first interaction" waits until the visitor hovers, focuses or clicks the chat button, so visitors who never chat cost nothing. Inline chats load when the browser is idle.', 'chatkit-wp'); ?>
+                        </p>
+                    </td>
+                </tr>
+
+                <tr>
+                    <th scope="row"><?php esc_html_e('Page Context', 'chatkit-wp'); ?></th>
+                    <td>
+                        <label style="display:block; margin-bottom:8px;">
+                            <input type="checkbox" name="chatkit_page_context"
+                                   <?php checked($page_context ?? true, true); ?>>
+                            <strong><?php esc_html_e('Tell the assistant which page the visitor is on', 'chatkit-wp'); ?></strong>
+                        </label>
+                        <p class="description" style="margin-bottom:12px;">
+                            <?php esc_html_e('Sent to your workflow as state variables: page_url, page_title, page_type, page_categories, page_tags and page_language.', 'chatkit-wp'); ?>
+                        </p>
+
+                        <p><strong><?php esc_html_e('Custom fields to include (one meta key per line):', 'chatkit-wp'); ?></strong></p>
+                        <textarea name="chatkit_context_fields" rows="3" class="large-text code"
+                                  placeholder="guide_topic"><?php echo esc_textarea($context_fields ?? ''); ?></textarea>
+                        <p class="description">
+                            <?php esc_html_e('Each field is sent under its own key. Protected fields (starting with _) are ignored.', 'chatkit-wp'); ?>
+                        </p>
+                    </td>
+                </tr>
+
+                <tr>
+                    <th scope="row"><?php esc_html_e('Composer', 'chatkit-wp'); ?></th>
+                    <td>
+                        <label style="display:block; margin-bottom:8px;">
+                            <input type="checkbox" name="chatkit_enable_model_picker"
+                                   <?php checked($enable_model_picker ?? false, true); ?>>
+                            <strong><?php esc_html_e('Enable model picker', 'chatkit-wp'); ?></strong>
+                        </label>
+                        <textarea name="chatkit_composer_models" rows="3" class="large-text code"
+                                  placeholder="gpt-4.1|GPT-4.1|Best for complex questions"><?php echo esc_textarea($composer_models ?? ''); ?></textarea>
+                        <p class="description" style="margin-bottom:15px;">
+                            <?php esc_html_e('One model per line: id|Label|Description. The first model is selected by default.', 'chatkit-wp'); ?>
+                        </p>
+
+                        <label style="display:block; margin-bottom:8px;">
+                            <input type="checkbox" name="chatkit_enable_tools"
+                                   <?php checked($enable_tools ?? false, true); ?>>
+                            <strong><?php esc_html_e('Enable tool menu', 'chatkit-wp'); ?></strong>
+                        </label>
+                        <textarea name="chatkit_composer_tools" rows="3" class="large-text code"
+                                  placeholder="search_docs|Search the docs|book-open|Ask about the documentation..."><?php echo esc_textarea($composer_tools ?? ''); ?></textarea>
+                        <p class="description" style="margin-bottom:15px;">
+                            <?php esc_html_e('One tool per line: id|Label|icon|Composer placeholder. Your workflow receives the selected tool ID.', 'chatkit-wp'); ?>
+                        </p>
+
+                        <label style="display:block;">
+                            <input type="checkbox" name="chatkit_enable_entity_tags"
+                                   <?php checked($enable_entity_tags ?? false, true); ?>>
+                            <strong><?php esc_html_e('Enable entity tags', 'chatkit-wp'); ?></strong>
+                        </label>
+                        <p class="description">
+                            <?php esc_html_e('Lets visitors @-mention published posts and pages. Tagged entities show a preview and link to the page.', 'chatkit-wp'); ?>
+                        </p>
+                    </td>
+                </tr>
+
                 <tr>
                     <th scope="row"><?php esc_html_e('UI Regions', 'chatkit-wp'); ?></th>
                     <td>
@@ -459,6 +965,28 @@
                         </p>
                     </td>
                 </tr>
+
+                <tr>
+                    <th scope="row"><label for="chatkit_analytics_provider"><?php esc_html_e('Analytics', 'chatkit-wp'); ?></label></th>
+                    <td>
+                        <select id="chatkit_analytics_provider" name="chatkit_analytics_provider">
+                            <option value="none" <?php selected($analytics_provider ?? 'gtag', 'none'); ?>><?php esc_html_e('None (DOM events only)', 'chatkit-wp'); ?></option>
+                            <option value="gtag" <?php selected($analytics_provider ?? 'gtag', 'gtag'); ?>><?php esc_html_e('Google Analytics (gtag.js)', 'chatkit-wp'); ?></option>
+                            <option value="gtm" <?php selected($analytics_provider ?? 'gtag', 'gtm'); ?>><?php esc_html_e('Google Tag Manager (dataLayer)', 'chatkit-wp'); ?></option>
+                            <option value="matomo" <?php selected($analytics_provider ?? 'gtag', 'matomo'); ?>><?php esc_html_e('Matomo (_paq)', 'chatkit-wp'); ?></option>
+                            <option value="custom" <?php selected($analytics_provider ?? 'gtag', 'custom'); ?>><?php esc_html_e('Custom callback', 'chatkit-wp'); ?></option>
+                        </select>
+
+                        <p style="margin-top:12px;"><strong><?php esc_html_e('Custom callback function:', 'chatkit-wp'); ?></strong></p>
+                        <input type="text" name="chatkit_analytics_callback"
+                               value="<?php echo esc_attr($analytics_callback ?? ''); ?>"
+                               class="regular-text" placeholder="myTracker.track">
+                        <p class="description">
+                            <?php esc_html_e('Widget events (open, close, session, messages, errors) are always dispatched on document as chatkit:* CustomEvents. This setting chooses where they are also forwarded.', 'chatkit-wp'); ?><br>
+                            <?php esc_html_e('Custom callback: name of a global function called as callback(eventName, detail).', 'chatkit-wp'); ?>
+                        </p>
+                    </td>
+                </tr>
             </table>
         </div>
 
@@ -487,6 +1015,30 @@
             $('.tab-content').hide();
             $($(this).attr('href')).show();
         });
+
+        // Display rules: rows are renumbered on every change so the posted
+        // array stays dense
+        function renumberRules() {
+            $('#chatkit-display-rules tr.chatkit-rule').each(function(index) {
+                $(this).find('select, input').each(function() {
+                    this.name = this.name.replace(/\[\d+\]/, '[' + index + ']');
+                });
+            });
+        }
+
+        $('#chatkit-add-rule').on('click', function() {
+            const row = $('#chatkit-display-rules tr.chatkit-rule-template').clone();
+            row.removeClass('chatkit-rule-template').addClass('chatkit-rule').show();
+            row.find('select, input').prop('disabled', false);
+            $('#chatkit-display-rules tr.chatkit-rule-template').before(row);
+            renumberRules();
+            row.find('input').trigger('focus');
+        });
+
+        $('#chatkit-display-rules').on('click', '.chatkit-remove-rule', function() {
+            $(this).closest('tr').remove();
+            renumberRules();
+        });
     });
 
     document.getElementById('chatkit-test-btn').addEventListener('click', async () => {
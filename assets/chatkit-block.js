@@ -0,0 +1,79 @@
+(function(blocks, element, components, blockEditor, i18n) {
+  'use strict';
+
+  const el = element.createElement;
+  const __ = i18n.__;
+  const InspectorControls = blockEditor.InspectorControls;
+  const PanelBody = components.PanelBody;
+  const SelectControl = components.SelectControl;
+  const TextControl = components.TextControl;
+  const Placeholder = components.Placeholder;
+
+  // "ChatKit Chat" block - server-rendered through the [chatkit] shortcode
+  blocks.registerBlockType('chatkit-wp/chat', {
+    title: __('ChatKit Chat', 'chatkit-wp'),
+    description: __('Embed the AI assistant in the page content or as a floating button.', 'chatkit-wp'),
+    icon: 'format-chat',
+    category: 'widgets',
+    supports: {
+      html: false,
+      multiple: true
+    },
+    attributes: {
+      mode: { type: 'string', default: 'inline' },
+      height: { type: 'string', default: '600px' },
+      workflow: { type: 'string', default: '' },
+      buttonText: { type: 'string', default: '' }
+    },
+
+    edit: function(props) {
+      const attributes = props.attributes;
+      const isInline = attributes.mode === 'inline';
+
+      const controls = el(InspectorControls, {},
+        el(PanelBody, { title: __('Chat settings', 'chatkit-wp'), initialOpen: true },
+          el(SelectControl, {
+            label: __('Display mode', 'chatkit-wp'),
+            value: attributes.mode,
+            options: [
+              { label: __('Inline (in page content)', 'chatkit-wp'), value: 'inline' },
+              { label: __('Floating button', 'chatkit-wp'), value: 'floating' }
+            ],
+            onChange: function(value) { props.setAttributes({ mode: value }); }
+          }),
+          isInline && el(TextControl, {
+            label: __('Height', 'chatkit-wp'),
+            help: __('A number in px or a CSS length such as 70vh.', 'chatkit-wp'),
+            value: attributes.height,
+            onChange: function(value) { props.setAttributes({ height: value }); }
+          }),
+          !isInline && el(TextControl, {
+            label: __('Button text', 'chatkit-wp'),
+            value: attributes.buttonText,
+            onChange: function(value) { props.setAttributes({ buttonText: value }); }
+          }),
+          el(TextControl, {
+            label: __('Workflow', 'chatkit-wp'),
+            help: __('Optional key from Settings → MCL Newcomer ChatKit → Additional Workflows.', 'chatkit-wp'),
+            value: attributes.workflow,
+            onChange: function(value) { props.setAttributes({ workflow: value }); }
+          })
+        )
+      );
+
+      const preview = el(Placeholder, {
+        icon: 'format-chat',
+        label: __('ChatKit Chat', 'chatkit-wp'),
+        instructions: isInline
+          ? __('The chat renders here on the published page.', 'chatkit-wp') + ' (' + attributes.height + ')'
+          : __('A floating chat button is added to the published page.', 'chatkit-wp')
+      });
+
+      return [controls, preview];
+    },
+
+    save: function() {
+      return null;
+    }
+  });
+})(window.wp.blocks, window.wp.element, window.wp.components, window.wp.blockEditor, window.wp.i18n);
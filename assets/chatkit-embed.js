@@ -2,10 +2,15 @@
   'use strict';
 
   const config = typeof chatkitConfig !== 'undefined' ? chatkitConfig : {};
-  let isOpen = false;
-  let retryCount = 0;
   const MAX_RETRIES = 3;
 
+  // Network reconnect: exponential backoff with jitter, capped per attempt.
+  // After RECONNECT_MAX_ATTEMPTS the banner offers a manual retry; coming back
+  // online always retries immediately.
+  const RECONNECT_BASE_DELAY = 1000;
+  const RECONNECT_MAX_DELAY = 30000;
+  const RECONNECT_MAX_ATTEMPTS = 6;
+
   // Size presets
   const SIZE_PRESETS = {
     small: { width: 360, height: 500 },
@@ -13,9 +18,33 @@
     large: { width: 600, height: 800 }
   };
 
+  // Free window layout (drag to move, edge handles to resize). Minimums match
+  // .chatkit-window in the stylesheet; below MOBILE_BREAKPOINT the window is
+  // always docked. Geometry persists in WINDOW_STORAGE_KEY.
+  const WINDOW_MIN_WIDTH = 280;
+  const WINDOW_MIN_HEIGHT = 400;
+  const SNAP_DISTANCE = 24;
+  const MOBILE_BREAKPOINT = 768;
+  const WINDOW_STORAGE_KEY = 'chatkit_window_size';
+  const LEGACY_WINDOW_STORAGE_KEY = 'chatkit_rangesize';
+  const RESIZE_EDGES = ['n', 's', 'e', 'w', 'ne', 'nw', 'se', 'sw'];
+
+  // Admin setting values -> ChatKit theme values
+  const RADIUS_MAP = {
+    square: 'sharp',
+    round: 'round',
+    'extra-round': 'pill'
+  };
+
+  const DENSITY_MAP = {
+    compact: 'compact',
+    normal: 'normal',
+    comfortable: 'spacious'
+  };
+
   // ChatWindowManager class - centralized state and control management
   class ChatWindowManager {
-    constructor(config) {
+    constructor(config, elements) {
       this.config = config;
       this.state = {
         isOpen: false,
@@ -23,6 +52,8 @@
         previousSize: null, // Store size before maximize
         width: 400,
         height: 600,
+        left: null, // null = docked next to the button
+        top: null,
         controlsLocation: null // 'header' or 'overlay'
       };
       this.elements = {
@@ -30,15 +61,16 @@
         button: null,
         controls: null,
         overlay: null,
-        header: null
+        header: null,
+        handles: null
       };
       this.observers = [];
-      this.init();
+      this.init(elements || {});
     }
     
-    init() {
-      this.elements.chatkit = document.getElementById('myChatkit');
-      this.elements.button = document.getElementById('chatToggleBtn');
+    init(elements) {
+      this.elements.chatkit = elements.chatkit || null;
+      this.elements.button = elements.button || null;
       if (!this.elements.chatkit || !this.elements.button) {
         console.warn('ChatKit elements not found');
         return;
@@ -48,16 +80,20 @@
       this.accentColor = this.config.accentColor || '#FF4500';
       this.loadSavedPreferences();
       this.createControls();
+      this.createResizeHandles();
     }
     
     loadSavedPreferences() {
       try {
-        const saved = localStorage.getItem('chatkit_window_size');
+        // Older versions stored size only, under a different key
+        const saved = localStorage.getItem(WINDOW_STORAGE_KEY) || localStorage.getItem(LEGACY_WINDOW_STORAGE_KEY);
         if (saved) {
           const data = JSON.parse(saved);
           this.state.size = data.size || 'medium';
           this.state.width = data.width || SIZE_PRESETS.medium.width;
           this.state.height = data.height || SIZE_PRESETS.medium.height;
+          this.state.left = typeof data.left === 'number' ? data.left : null;
+          this.state.top = typeof data.top === 'number' ? data.top : null;
         }
       } catch (e) {
         console.warn('Failed to load size preference:', e);
@@ -65,13 +101,17 @@
     }
     
     savePreferences() {
+      if (!hasStorageConsent()) return;
       try {
-        localStorage.setItem('chatkit_window_size', JSON.stringify({
+        localStorage.setItem(WINDOW_STORAGE_KEY, JSON.stringify({
           size: this.state.size,
           width: this.state.width,
           height: this.state.height,
+          left: this.state.left,
+          top: this.state.top,
           timestamp: Date.now()
         }));
+        localStorage.removeItem(LEGACY_WINDOW_STORAGE_KEY);
       } catch (e) {
         console.warn('Failed to save size preference:', e);
       }
@@ -107,6 +147,7 @@
       }
       
       // Ensure window stays within viewport
+      this.applyPosition();
       this.constrainToViewport();
       
       // Update control position (use requestAnimationFrame to ensure DOM has updated)
@@ -126,6 +167,20 @@
         return;
       }
       
+      // Moved windows: pull back fully on screen, shrinking if the viewport got smaller
+      if (this.isFloating()) {
+        const chatkit = this.elements.chatkit;
+        if (this.state.size === 'custom') {
+          const width = Math.max(Math.min(this.state.width, window.innerWidth), WINDOW_MIN_WIDTH);
+          const height = Math.max(Math.min(this.state.height, window.innerHeight), WINDOW_MIN_HEIGHT);
+          chatkit.style.width = width + 'px';
+          chatkit.style.height = height + 'px';
+        }
+        const rect = chatkit.getBoundingClientRect();
+        this.moveTo(this.state.left, this.state.top, rect.width, rect.height);
+        return;
+      }
+      
       const rect = this.elements.chatkit.getBoundingClientRect();
       const viewportWidth = window.innerWidth;
       const viewportHeight = window.innerHeight;
@@ -154,6 +209,229 @@
       this.setupResizeControls(this.elements.chatkit);
     }
     
+    canUseFreeLayout() {
+      return window.innerWidth > MOBILE_BREAKPOINT && this.state.size !== 'maximized';
+    }
+    
+    isFloating() {
+      return this.state.left !== null && this.state.top !== null && window.innerWidth > MOBILE_BREAKPOINT;
+    }
+    
+    // Moved windows use explicit left/top; docked ones fall back to the
+    // stylesheet's corner anchoring
+    applyPosition() {
+      const chatkit = this.elements.chatkit;
+      if (!chatkit) return;
+      
+      if (this.isFloating()) {
+        chatkit.style.left = this.state.left + 'px';
+        chatkit.style.top = this.state.top + 'px';
+        chatkit.style.right = 'auto';
+        chatkit.style.bottom = 'auto';
+        chatkit.classList.add('chatkit-floating');
+      } else {
+        chatkit.style.left = '';
+        chatkit.style.top = '';
+        chatkit.style.right = '';
+        chatkit.style.bottom = '';
+        chatkit.classList.remove('chatkit-floating');
+      }
+    }
+    
+    // Keeps the window inside the viewport and snaps it to edges it comes close to
+    moveTo(left, top, width, height) {
+      const maxLeft = Math.max(window.innerWidth - width, 0);
+      const maxTop = Math.max(window.innerHeight - height, 0);
+      left = Math.min(Math.max(left, 0), maxLeft);
+      top = Math.min(Math.max(top, 0), maxTop);
+      
+      if (left < SNAP_DISTANCE) left = 0;
+      if (maxLeft - left < SNAP_DISTANCE) left = maxLeft;
+      if (top < SNAP_DISTANCE) top = 0;
+      if (maxTop - top < SNAP_DISTANCE) top = maxTop;
+      
+      this.state.left = Math.round(left);
+      this.state.top = Math.round(top);
+      this.applyPosition();
+      this.positionResizeHandles();
+    }
+    
+    // Back to the corner next to the button (double-click the header)
+    resetPosition() {
+      this.state.left = null;
+      this.state.top = null;
+      this.applyPosition();
+      this.constrainToViewport();
+      this.savePreferences();
+      this.positionResizeHandles();
+      emitEvent('move', { instanceId: this.config.instanceId, left: null, top: null });
+    }
+    
+    // Drag the window by its header (or the overlay toolbar when the header
+    // isn't reachable). Buttons and links inside the handle keep working.
+    enableDrag(handle) {
+      if (!handle || handle._chatkitDrag) return;
+      handle._chatkitDrag = true;
+      handle.style.cursor = 'move';
+      handle.style.touchAction = 'none';
+      
+      // True unless the event started on a control inside the handle
+      const onHandleItself = (e) => {
+        const path = e.composedPath ? e.composedPath() : [e.target];
+        const hit = path.find((node) => node === handle || (node.matches && node.matches('button, a, input, textarea, select, [role="button"]')));
+        return !hit || hit === handle;
+      };
+      
+      handle.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0 || !this.state.isOpen || !this.canUseFreeLayout() || !onHandleItself(e)) return;
+        
+        e.preventDefault();
+        const chatkit = this.elements.chatkit;
+        const rect = chatkit.getBoundingClientRect();
+        const offsetX = e.clientX - rect.left;
+        const offsetY = e.clientY - rect.top;
+        chatkit.classList.add('chatkit-resizing', 'chatkit-dragging');
+        handle.setPointerCapture(e.pointerId);
+        
+        const onMove = (moveEvent) => {
+          this.moveTo(moveEvent.clientX - offsetX, moveEvent.clientY - offsetY, rect.width, rect.height);
+          this.updateControlPosition();
+        };
+        const onUp = () => {
+          handle.removeEventListener('pointermove', onMove);
+          handle.removeEventListener('pointerup', onUp);
+          handle.removeEventListener('pointercancel', onUp);
+          chatkit.classList.remove('chatkit-resizing', 'chatkit-dragging');
+          if (this.state.left === null) return;
+          this.savePreferences();
+          emitEvent('move', { instanceId: this.config.instanceId, left: this.state.left, top: this.state.top });
+        };
+        
+        handle.addEventListener('pointermove', onMove);
+        handle.addEventListener('pointerup', onUp);
+        handle.addEventListener('pointercancel', onUp);
+      });
+      
+      handle.addEventListener('dblclick', (e) => {
+        if (onHandleItself(e) && this.isFloating()) this.resetPosition();
+      });
+    }
+    
+    // Edge and corner grips live outside <openai-chatkit> (its children are
+    // not rendered) and follow the window's rect
+    createResizeHandles() {
+      const chatkit = this.elements.chatkit;
+      if (!chatkit || this.elements.handles) return;
+      
+      const container = document.createElement('div');
+      container.className = 'chatkit-resize-handles';
+      container.hidden = true;
+      
+      RESIZE_EDGES.forEach((edge) => {
+        const grip = document.createElement('div');
+        grip.className = 'chatkit-resize-handle chatkit-resize-handle--' + edge;
+        grip.setAttribute('data-edge', edge);
+        grip.addEventListener('pointerdown', (e) => this.startEdgeResize(e, edge, grip));
+        container.appendChild(grip);
+      });
+      
+      (chatkit.parentNode || document.body).appendChild(container);
+      this.elements.handles = container;
+      
+      // Preset sizes animate; follow the window once it settles
+      chatkit.addEventListener('transitionend', () => this.positionResizeHandles());
+    }
+    
+    positionResizeHandles() {
+      const container = this.elements.handles;
+      const chatkit = this.elements.chatkit;
+      if (!container || !chatkit) return;
+      
+      const visible = this.state.isOpen && chatkit.style.display !== 'none' && this.canUseFreeLayout();
+      container.hidden = !visible;
+      if (!visible) return;
+      
+      const rect = chatkit.getBoundingClientRect();
+      container.style.left = rect.left + 'px';
+      container.style.top = rect.top + 'px';
+      container.style.width = rect.width + 'px';
+      container.style.height = rect.height + 'px';
+    }
+    
+    startEdgeResize(e, edge, grip) {
+      if (e.button !== 0 || !this.state.isOpen || !this.canUseFreeLayout()) return;
+      e.preventDefault();
+      
+      const chatkit = this.elements.chatkit;
+      const start = chatkit.getBoundingClientRect();
+      const startX = e.clientX;
+      const startY = e.clientY;
+      let geometry = { left: start.left, top: start.top, width: start.width, height: start.height };
+      chatkit.classList.add('chatkit-resizing');
+      grip.setPointerCapture(e.pointerId);
+      
+      const onMove = (moveEvent) => {
+        const dx = moveEvent.clientX - startX;
+        const dy = moveEvent.clientY - startY;
+        let left = start.left;
+        let top = start.top;
+        let width = start.width;
+        let height = start.height;
+        
+        if (edge.indexOf('e') !== -1) {
+          width = Math.min(start.width + dx, window.innerWidth - start.left);
+        }
+        if (edge.indexOf('w') !== -1) {
+          width = Math.min(start.width - dx, start.right);
+        }
+        if (edge.indexOf('s') !== -1) {
+          height = Math.min(start.height + dy, window.innerHeight - start.top);
+        }
+        if (edge.indexOf('n') !== -1) {
+          height = Math.min(start.height - dy, start.bottom);
+        }
+        width = Math.max(width, WINDOW_MIN_WIDTH);
+        height = Math.max(height, WINDOW_MIN_HEIGHT);
+        
+        // Growing to the west/north moves the opposite edge, so anchor on it
+        if (edge.indexOf('w') !== -1) left = start.right - width;
+        if (edge.indexOf('n') !== -1) top = start.bottom - height;
+        
+        // Snap the edge being dragged to the screen edge
+        if (edge.indexOf('e') !== -1 && window.innerWidth - (left + width) < SNAP_DISTANCE) width = window.innerWidth - left;
+        if (edge.indexOf('s') !== -1 && window.innerHeight - (top + height) < SNAP_DISTANCE) height = window.innerHeight - top;
+        if (edge.indexOf('w') !== -1 && left < SNAP_DISTANCE) { width += left; left = 0; }
+        if (edge.indexOf('n') !== -1 && top < SNAP_DISTANCE) { height += top; top = 0; }
+        
+        geometry = { left: left, top: top, width: width, height: height };
+        chatkit.classList.remove('chatkit-small', 'chatkit-medium', 'chatkit-large');
+        chatkit.style.width = width + 'px';
+        chatkit.style.height = height + 'px';
+        this.state.left = Math.round(left);
+        this.state.top = Math.round(top);
+        this.applyPosition();
+        this.positionResizeHandles();
+        this.updateControlPosition();
+      };
+      
+      const onUp = () => {
+        grip.removeEventListener('pointermove', onMove);
+        grip.removeEventListener('pointerup', onUp);
+        grip.removeEventListener('pointercancel', onUp);
+        chatkit.classList.remove('chatkit-resizing');
+        
+        const width = Math.round(geometry.width);
+        const height = Math.round(geometry.height);
+        this.state.previousSize = null;
+        this.setSize('custom', width, height);
+        emitEvent('resize', { instanceId: this.config.instanceId, size: 'custom', width: width, height: height, label: 'custom' });
+      };
+      
+      grip.addEventListener('pointermove', onMove);
+      grip.addEventListener('pointerup', onUp);
+      grip.addEventListener('pointercancel', onUp);
+    }
+    
     setupResizeControls(chatkitElement) {
       // If controls already exist, just update them
       if (this.elements.controls) {
@@ -228,6 +506,26 @@
     
     createButtonElements() {
       const sizes = [
+        {
+          key: 'export',
+          label: i18nText('exportTranscript', 'Export conversation'),
+          icon: '<svg width="14" height="14" viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M7 1.5v7.5"/><path d="M4 6l3 3 3-3"/><path d="M2 10v1.5a1 1 0 0 0 1 1h8a1 1 0 0 0 1-1V10"/></svg>'
+        },
+        {
+          key: 'human',
+          label: i18nText('talkToPerson', 'Talk to a person'),
+          icon: '<svg width="14" height="14" viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><circle cx="7" cy="4.5" r="2.5"/><path d="M2 12.5a5 5 0 0 1 10 0"/></svg>'
+        },
+        {
+          key: 'language',
+          label: i18nText('language', 'Language'),
+          icon: '<svg width="14" height="14" viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><circle cx="7" cy="7" r="5.5"/><path d="M1.5 7h11"/><path d="M7 1.5c1.5 1.6 2.2 3.4 2.2 5.5S8.5 10.9 7 12.5C5.5 10.9 4.8 9.1 4.8 7S5.5 3.1 7 1.5z"/></svg>'
+        },
+        {
+          key: 'new',
+          label: i18nText('newConversation', 'Start new conversation'),
+          icon: '<svg width="14" height="14" viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M12 8v3.5a1 1 0 0 1-1 1H2.5a1 1 0 0 1-1-1V3a1 1 0 0 1 1-1H6"/><path d="M10 1.5l2.5 2.5L7 9.5H4.5V7z"/></svg>'
+        },
         { 
           key: 'small', 
           label: 'Small window', 
@@ -251,7 +549,9 @@
       ];
       
       const buttons = [];
-      sizes.forEach(size => {
+      sizes.filter(size => (size.key !== 'export' || toBool(this.config.enableExport))
+        && (size.key !== 'human' || this.config.handoff)
+        && (size.key !== 'language' || (this.config.languages && this.config.languages.switcher))).forEach(size => {
         const btn = document.createElement('button');
         btn.className = 'chatkit-resize-btn';
         btn.setAttribute('data-size', size.key);
@@ -265,6 +565,14 @@
           e.stopPropagation();
           if (size.key === 'minimize') {
             this.close();
+          } else if (size.key === 'export') {
+            if (this.onExport) this.onExport(btn);
+          } else if (size.key === 'new') {
+            if (this.onNewConversation) this.onNewConversation();
+          } else if (size.key === 'human') {
+            if (this.onRequestHuman) this.onRequestHuman();
+          } else if (size.key === 'language') {
+            if (this.onLanguage) this.onLanguage(btn);
           } else {
             this.handlePresetSize(size.key);
           }
@@ -310,14 +618,15 @@
       
       this.elements.controls = controls;
       this.state.controlsLocation = 'header';
+      this.enableDrag(header);
       
       // Update button states
       this.updateResizeButtons();
     }
     
     createOverlayResizeControls(chatkitElement) {
-      // Check if overlay already exists
-      let overlay = document.querySelector('.chatkit-resize-controls-overlay');
+      // Check if this window's overlay already exists
+      let overlay = this.elements.overlay;
       if (overlay) {
         this.elements.overlay = overlay;
         this.elements.controls = overlay.querySelector('.chatkit-resize-controls');
@@ -346,6 +655,7 @@
       this.elements.overlay = overlay;
       this.elements.controls = controls;
       this.state.controlsLocation = 'overlay';
+      this.enableDrag(controls);
       
       // Setup position updates (only needed for overlay)
       this.setupPositionUpdates();
@@ -411,6 +721,8 @@
     }
     
     updateControlPosition() {
+      this.positionResizeHandles();
+      
       // Header-embedded controls: only handle visibility (CSS Grid handles positioning)
       if (this.state.controlsLocation === 'header') {
         if (this.elements.controls && this.elements.chatkit) {
@@ -483,6 +795,7 @@
           }
           
           this.setSize(size, preset.width, preset.height);
+          emitEvent('resize', { instanceId: this.config.instanceId, size: size, width: preset.width, height: preset.height, label: size });
         }
       }
     }
@@ -501,6 +814,7 @@
           const preset = SIZE_PRESETS.medium;
           this.setSize('medium', preset.width, preset.height);
         }
+        emitEvent('maximize', { instanceId: this.config.instanceId, maximized: false, size: this.state.size });
       } else {
         // Maximize
         const rect = this.elements.chatkit.getBoundingClientRect();
@@ -510,6 +824,7 @@
           height: rect.height
         };
         this.setSize('maximized', window.innerWidth, window.innerHeight);
+        emitEvent('maximize', { instanceId: this.config.instanceId, maximized: true, size: 'maximized' });
       }
     }
     
@@ -570,6 +885,7 @@
       }
       document.body.style.overflow = '';
       this.updateControlPosition();
+      if (this.onClose) this.onClose();
     }
     
     cleanup() {
@@ -601,9 +917,30 @@
     }
   }
 
-  // Global instance
+  // Widget instances keyed by instance id (one per [chatkit] shortcode)
+  const instances = new Map();
+  let primaryInstance = null;
+
+  // Primary instance's window manager (legacy helpers below delegate to it)
   let chatWindowManager = null;
-  
+
+  // Promise plus its settle functions; rejections are pre-handled so
+  // nothing is logged when no page code listens
+  function createDeferred() {
+    const deferred = {};
+    deferred.promise = new Promise((resolve, reject) => {
+      deferred.resolve = resolve;
+      deferred.reject = reject;
+    });
+    deferred.promise.catch(() => {});
+    return deferred;
+  }
+
+  // Settles once the primary instance finishes initChatKit (ChatKitWP.ready)
+  const primaryReady = createDeferred();
+
+  // Resolves once initAllInstances has registered the widgets on the page
+  const instancesRegistered = createDeferred();
 
   // Helper to convert WordPress boolean strings to actual booleans
   function toBool(value) {
@@ -613,287 +950,3174 @@
     return !!value;
   }
 
-  function loadChatkitScript() {
-    return new Promise((resolve, reject) => {
-      if (customElements.get('openai-chatkit')) {
-        console.log('✅ ChatKit custom element already registered');
-        resolve();
-        return;
-      }
-
-      const script = document.createElement('script');
-      // Use latest ChatKit library from CDN
-      script.src = 'https://cdn.platform.openai.com/deployments/chatkit/chatkit.js';
-      script.defer = true;
-      
-      script.onload = () => {
-        console.log('✅ ChatKit library loaded from CDN');
-        // Wait a bit for custom element to register
-        setTimeout(() => {
-          if (customElements.get('openai-chatkit')) {
-            console.log('✅ ChatKit custom element registered successfully');
-            resolve();
-          } else {
-            console.warn('⚠️ ChatKit custom element not found after load, waiting...');
-            customElements.whenDefined('openai-chatkit').then(() => {
-              console.log('✅ ChatKit custom element defined');
-              resolve();
-            }).catch(reject);
-          }
-        }, 100);
-      };
-      
-      script.onerror = (error) => {
-        console.error('❌ Failed to load ChatKit CDN script:', error);
-        reject(new Error('Failed to load ChatKit CDN - check network connection and CDN availability'));
-      };
-      
-      document.head.appendChild(script);
-      console.log('📥 Loading ChatKit library from CDN...');
-    });
+  // Translated UI string from the localized config, or the English fallback
+  function i18nText(key, fallback) {
+    return config.i18n?.[key] || fallback;
   }
 
-  // Store deployment URL if available from session
-  let deploymentUrl = null;
+  // Lifecycle events: dispatched on document as `chatkit:<name>` CustomEvents
+  // and forwarded to the analytics adapter selected in settings.
+  const EVENT_PREFIX = 'chatkit:';
+
+  function emitEvent(name, detail) {
+    const payload = Object.assign({ timestamp: Date.now() }, detail || {});
 
-  async function getClientSecret() {
     try {
-      if (!config.restUrl) {
-        throw new Error('Missing configuration');
-      }
+      document.dispatchEvent(new CustomEvent(EVENT_PREFIX + name, { detail: payload }));
+    } catch (e) {
+      console.warn('Failed to dispatch ChatKit event:', name, e);
+    }
 
-      const headers = {
-        'Content-Type': 'application/json'
-      };
+    forwardToAnalytics(name, payload);
+  }
 
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 10000);
+  // Resolve a dotted global path such as "myTracker" or "MyApp.analytics.track"
+  function resolveGlobalFunction(path) {
+    if (!path || typeof path !== 'string' || !/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(path)) {
+      return null;
+    }
+    let target = window;
+    let context = window;
+    for (const part of path.split('.')) {
+      if (target == null) return null;
+      context = target;
+      target = target[part];
+    }
+    return typeof target === 'function' ? target.bind(context) : null;
+  }
 
-      const response = await fetch(config.restUrl, {
-        method: 'POST',
-        headers: headers,
-        signal: controller.signal,
-        credentials: 'same-origin'
-      });
+  // "session.failed" -> "chatkit_session_failed"
+  function analyticsEventName(name) {
+    return 'chatkit_' + name.replace(/[^a-z0-9]+/gi, '_');
+  }
 
-      clearTimeout(timeoutId);
+  const ANALYTICS_ADAPTERS = {
+    gtag(name, detail) {
+      if (typeof window.gtag !== 'function') return;
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        
-        console.error('ChatKit Session Error:', {
-          status: response.status,
-          statusText: response.statusText,
-          error: errorData
+      if (name === 'session.failed' || name === 'error') {
+        window.gtag('event', 'exception', {
+          description: 'ChatKit ' + name + ': ' + (detail.message || 'unknown error'),
+          fatal: false
         });
-        
-        throw new Error(errorData.message || `HTTP ${response.status}`);
+        return;
       }
 
-      const data = await response.json();
-      
-      if (!data.client_secret) {
-        throw new Error('Invalid response: missing client_secret');
-      }
+      window.gtag('event', analyticsEventName(name), {
+        event_category: 'engagement',
+        event_label: detail.label || name
+      });
+    },
 
-      // Store deployment URL if provided
-      if (data.deployment_url) {
-        deploymentUrl = data.deployment_url;
-        console.log('✅ ChatKit: Deployment URL received:', deploymentUrl);
-      } else {
-        console.warn('⚠️ ChatKit: No deployment URL in session response');
-        console.log('📋 Full session response:', data);
-      }
-      
-      return data.client_secret;
+    gtm(name, detail) {
+      window.dataLayer = window.dataLayer || [];
+      window.dataLayer.push({
+        event: analyticsEventName(name),
+        chatkit: detail
+      });
+    },
 
-    } catch (error) {
-      console.error('Fetch Session Error:', error);
+    matomo(name, detail) {
+      window._paq = window._paq || [];
+      window._paq.push(['trackEvent', 'ChatKit', name, detail.label || '']);
+    },
 
-      const errorMessage = config.i18n?.unableToStart || '⚠️ Unable to start chat. Please try again later.';
-      
-      const el = document.getElementById('myChatkit');
-      if (el && el.parentNode) {
-        const errorDiv = document.createElement('div');
-        errorDiv.style.cssText = 'padding: 20px; text-align: center; color: #721c24; background: #f8d7da; border-radius: 8px; margin: 20px;';
-        errorDiv.setAttribute('role', 'alert');
-        errorDiv.innerHTML = `<p style="margin: 0; font-size: 14px;">${errorMessage}</p>`;
-        el.parentNode.insertBefore(errorDiv, el);
+    custom(name, detail) {
+      const callback = resolveGlobalFunction(config.analyticsCallback);
+      if (callback) {
+        callback(name, detail);
       }
+    }
+  };
 
-      if (typeof gtag !== 'undefined') {
-        gtag('event', 'exception', {
-          description: 'ChatKit session error: ' + error.message,
-          fatal: false
-        });
-      }
+  function forwardToAnalytics(name, detail) {
+    const adapter = ANALYTICS_ADAPTERS[config.analyticsProvider || 'gtag'];
+    if (!adapter) return;
 
-      return null;
+    try {
+      adapter(name, detail);
+    } catch (e) {
+      console.warn('ChatKit analytics adapter failed:', e);
     }
   }
 
-  // Legacy functions for backward compatibility (delegate to ChatWindowManager)
-  function loadSizePreference() {
-    if (chatWindowManager) {
-      return {
-        size: chatWindowManager.state.size,
-        width: chatWindowManager.state.width,
-        height: chatWindowManager.state.height
-      };
-    }
-    return {
-      size: 'medium',
-      width: SIZE_PRESETS.medium.width,
-      height: SIZE_PRESETS.medium.height
-    };
-  }
-  
-  function saveSizePreference(size, width, height) {
-    if (chatWindowManager) {
-      chatWindowManager.setSize(size, width, height);
-    }
-  }
-  
-  function applySize(chatkit, size, width, height) {
-    if (chatWindowManager) {
-      chatWindowManager.setSize(size, width, height);
-    }
-  }
-  
-  function constrainToViewport(chatkit) {
-    if (chatWindowManager) {
-      chatWindowManager.constrainToViewport();
-    }
+  // source: composer, or api for ChatKitWP.sendMessage() (client tools call it via context.api)
+  function emitMessageSent(instance, source) {
+    emitEvent('message.sent', { instanceId: instance.id, threadId: instance.threadId, source: source });
   }
-  
-  // Handle window resize (debounced to prevent infinite loops)
-  let resizeTimeout = null;
-  window.addEventListener('resize', () => {
-    if (resizeTimeout) clearTimeout(resizeTimeout);
-    resizeTimeout = setTimeout(() => {
-      const chatkit = document.getElementById('myChatkit');
-      if (chatkit && isOpen) {
-        const isMobile = window.innerWidth <= 768;
-        
-        if (isMobile) {
-          // On mobile, hide controls
-          if (chatWindowManager && chatWindowManager.elements.overlay) {
-            chatWindowManager.elements.overlay.style.display = 'none';
-          }
-          
-          // Reset to mobile layout
-          if (chatWindowManager && chatWindowManager.state.size === 'maximized') {
-            chatkit.classList.remove('chatkit-maximized');
-            chatWindowManager.state.size = 'medium';
-          }
-          chatkit.style.width = '';
-          chatkit.style.height = '';
-        } else {
-          // On desktop, show controls
-          if (chatWindowManager) {
-            chatWindowManager.updateControlPosition();
-          }
-          
-          constrainToViewport(chatkit);
-        }
-      }
-    }, 100);
-  });
 
-  function setupToggle() {
-    const button = document.getElementById('chatToggleBtn');
-    const chatkit = document.getElementById('myChatkit');
+  // Bridge ChatKit's own element events into our lifecycle stream
+  function bindChatkitEvents(instance) {
+    const chatkitElement = instance.elements.chatkit;
+    const instanceId = instance.id;
 
-    if (!button || !chatkit) {
-      console.warn('ChatKit toggle elements not found');
-      return;
-    }
-
-    // Initialize ChatWindowManager
-    chatWindowManager = new ChatWindowManager(config);
-
-    const originalText = button.textContent || config.buttonText || 'Chat now';
-    const closeText = config.closeText || '✕';
-    const accentColor = config.accentColor || '#FF4500';
-
-    button.addEventListener('click', () => {
-      isOpen = !isOpen;
-      
-      if (isOpen) {
-        chatWindowManager.open();
-        button.classList.add('chatkit-open');
-        button.textContent = closeText;
-        button.style.backgroundColor = accentColor;
-        chatkit.style.animation = 'chatkit-slide-up 0.3s ease-out';
-        
-        // Ensure chatkit has proper positioning
-        const computedPosition = window.getComputedStyle(chatkit).position;
-        if (computedPosition === 'static') {
-          chatkit.style.position = 'relative';
-        }
-        if (!chatkit.style.zIndex || parseInt(chatkit.style.zIndex) < 10000) {
-          chatkit.style.zIndex = '9998';
-        }
-        
-        // On mobile, always use full screen
-        if (window.innerWidth <= 768) {
-          document.body.style.overflow = 'hidden';
-          // Force mobile layout
-          chatkit.classList.remove('chatkit-small', 'chatkit-medium', 'chatkit-large', 'chatkit-maximized');
-          chatkit.style.width = '';
-          chatkit.style.height = '';
-        } else {
-          // Restore saved size preference on desktop
-          const saved = chatWindowManager.state;
-          // Don't restore maximized on mobile-sized screens
-          if (saved.size === 'maximized' && window.innerWidth > 768) {
-            chatWindowManager.setSize(saved.size, saved.width, saved.height);
-          } else if (saved.size !== 'maximized') {
-            chatWindowManager.setSize(saved.size, saved.width, saved.height);
-          } else {
-            // Default to medium if saved was maximized but screen is small
-            const preset = SIZE_PRESETS.medium;
-            chatWindowManager.setSize('medium', preset.width, preset.height);
-          }
-        }
-        
-        setTimeout(() => chatkit.focus(), 100);
-      } else {
-        chatWindowManager.close();
-        button.classList.remove('chatkit-open');
-        button.textContent = originalText;
-        button.style.backgroundColor = accentColor;
-        button.focus();
-        document.body.style.overflow = '';
+    chatkitElement.addEventListener('chatkit.thread.change', (e) => {
+      const threadId = e.detail && e.detail.threadId ? e.detail.threadId : null;
+      if (threadId && !instance.threadId) {
+        emitEvent('thread.started', { instanceId: instanceId, threadId: threadId });
       }
+      instance.threadId = threadId;
+      saveStoredThread(instance, threadId);
     });
 
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && isOpen) {
-        button.click();
+    chatkitElement.addEventListener('chatkit.response.start', () => {
+      instance.responding = true;
+      // ChatKit does not report composer submits, so a response nothing else
+      // explains (an API send, a client tool result, a retry) was typed in
+      const cause = instance.replyCause;
+      instance.replyCause = null;
+      if (!cause) {
+        emitMessageSent(instance, 'composer');
       }
+      emitEvent('response.started', { instanceId: instanceId, threadId: instance.threadId });
     });
 
-    document.addEventListener('click', (e) => {
-      if (isOpen && 
-          !chatkit.contains(e.target) && 
-          !button.contains(e.target)) {
-        button.click();
+    chatkitElement.addEventListener('chatkit.response.end', () => {
+      instance.responding = false;
+      emitEvent('response.ended', { instanceId: instanceId, threadId: instance.threadId });
+      if (!isInstanceOpen(instance)) {
+        markUnread(instance);
       }
     });
+
+    chatkitElement.addEventListener('chatkit.error', (e) => {
+      const error = e.detail && e.detail.error;
+      instance.replyCause = 'retry';
+      emitEvent('error', {
+        instanceId: instanceId,
+        threadId: instance.threadId,
+        message: error && error.message ? error.message : String(error || 'unknown error')
+      });
+    });
   }
 
-  function buildPrompts() {
-    const prompts = [];
+  // Unread replies: a response that finishes while the window is minimized
+  // badges and pulses the toggle button, flashes the tab title and, if the
+  // visitor allowed it, shows a browser notification. Opening clears it all.
+  const TITLE_FLASH_INTERVAL = 1500;
+  let titleFlashTimer = null;
+  let originalTitle = null;
 
-    // Support for new array format
-    if (config.prompts && Array.isArray(config.prompts) && config.prompts.length > 0) {
-      config.prompts.forEach(prompt => {
-        if (prompt && prompt.label && prompt.text) {
+  function markUnread(instance) {
+    instance.unread += 1;
+    renderUnread(instance);
+    startTitleFlash();
+    showReplyNotification(instance);
+    emitEvent('unread', { instanceId: instance.id, count: instance.unread });
+  }
+
+  function clearUnread(instance) {
+    if (!instance.unread) return;
+    instance.unread = 0;
+    renderUnread(instance);
+    if (!Array.from(instances.values()).some((other) => other.unread > 0)) {
+      stopTitleFlash();
+    }
+  }
+
+  // The badge lives in an attribute: ChatWindowManager.close() resets the
+  // button's text content, which would wipe a child element
+  function renderUnread(instance) {
+    const button = instance.elements.button;
+    if (!button) return;
+
+    if (instance.unread > 0) {
+      button.setAttribute('data-chatkit-unread', instance.unread > 9 ? '9+' : String(instance.unread));
+      button.classList.add('chatkit-unread');
+    } else {
+      button.removeAttribute('data-chatkit-unread');
+      button.classList.remove('chatkit-unread');
+    }
+  }
+
+  function unreadTitle() {
+    const total = Array.from(instances.values()).reduce((sum, instance) => sum + instance.unread, 0);
+    const template = i18nText('unreadTitle', '(%d) New reply');
+    return template.replace('%d', total);
+  }
+
+  function startTitleFlash() {
+    if (titleFlashTimer) return;
+    originalTitle = document.title;
+    document.title = unreadTitle();
+    titleFlashTimer = setInterval(() => {
+      document.title = document.title === originalTitle ? unreadTitle() : originalTitle;
+    }, TITLE_FLASH_INTERVAL);
+  }
+
+  function stopTitleFlash() {
+    if (!titleFlashTimer) return;
+    clearInterval(titleFlashTimer);
+    titleFlashTimer = null;
+    document.title = originalTitle;
+  }
+
+  function canNotify() {
+    return toBool(config.replyNotifications) && typeof Notification !== 'undefined';
+  }
+
+  // Asked when the visitor minimizes the window mid-response - that click is
+  // the user gesture browsers require, and the moment the prompt makes sense
+  function requestNotificationPermission(instance) {
+    if (!canNotify() || !instance.responding || Notification.permission !== 'default') return;
+
+    try {
+      Notification.requestPermission().catch(() => {});
+    } catch (e) {
+      // Older Safari only supports the callback form
+      Notification.requestPermission(() => {});
+    }
+  }
+
+  // Only for background tabs; on a visible page the badge is enough
+  function showReplyNotification(instance) {
+    if (!canNotify() || Notification.permission !== 'granted' || !document.hidden) return;
+
+    try {
+      const notification = new Notification(instance.config.headerTitleText || i18nText('newReply', 'New reply'), {
+        body: i18nText('newReplyBody', 'The assistant answered your question.'),
+        tag: 'chatkit-reply-' + instance.id
+      });
+      notification.onclick = () => {
+        window.focus();
+        openChat(instance);
+        notification.close();
+      };
+    } catch (e) {
+      // Some mobile browsers only allow notifications from a service worker
+    }
+  }
+
+  document.addEventListener(EVENT_PREFIX + 'open', (e) => {
+    const instance = instances.get(e.detail.instanceId);
+    if (instance) clearUnread(instance);
+  });
+
+  // Consent mode: until the visitor agrees, nothing is written to cookies or
+  // browser storage and the widget (CDN bundle, session) does not load.
+  // Consent comes from the widget's own notice, ChatKitWP.setConsent(), the
+  // WP Consent API, Cookiebot or CookieYes - any one of them is enough.
+  const CONSENT_STORAGE_KEY = 'chatkit_consent';
+  let storageConsent = null;
+
+  function detectStorageConsent() {
+    const category = config.consent.category;
+
+    if (typeof window.wp_has_consent === 'function' && window.wp_has_consent(category)) {
+      return true;
+    }
+
+    // Cookiebot calls functional cookies "preferences"
+    const cookiebot = window.Cookiebot && window.Cookiebot.consent;
+    if (cookiebot && cookiebot[category === 'functional' ? 'preferences' : category]) {
+      return true;
+    }
+
+    try {
+      if (typeof window.getCkyConsent === 'function') {
+        const cky = window.getCkyConsent();
+        const ckyCategory = { preferences: 'functional', statistics: 'analytics', marketing: 'advertisement' }[category] || category;
+        if (cky && cky.categories && cky.categories[ckyCategory]) return true;
+      }
+      return localStorage.getItem(CONSENT_STORAGE_KEY) === 'granted';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // A decision made on this page wins over what was detected
+  function hasStorageConsent() {
+    if (!config.consent) return true;
+    return storageConsent !== null ? storageConsent : detectStorageConsent();
+  }
+
+  // Banners keep their own record; the widget's and the API's decisions are
+  // stored once storage is allowed. Withdrawing consent clears the browser.
+  function setStorageConsent(granted, source) {
+    if (!config.consent) return;
+
+    const changed = granted !== hasStorageConsent();
+    storageConsent = granted;
+
+    if (!granted) {
+      clearLocalData();
+    } else if (source !== 'banner') {
+      try {
+        localStorage.setItem(CONSENT_STORAGE_KEY, 'granted');
+      } catch (e) {
+        // Storage disabled - consent then only lasts for this page view
+      }
+    }
+
+    if (granted) {
+      storeLoggingConsent();
+    }
+
+    if (!changed) return;
+
+    emitEvent('consent.change', { granted: granted, source: source, label: granted ? 'granted' : 'withdrawn' });
+    if (granted) {
+      instances.forEach((instance) => resumeAfterConsent(instance));
+    }
+  }
+
+  // Everything the embed keeps in the browser uses the chatkit_ prefix
+  function clearLocalData() {
+    ['localStorage', 'sessionStorage'].forEach((name) => {
+      try {
+        const storage = window[name];
+        Object.keys(storage).filter((key) => key.indexOf('chatkit_') === 0).forEach((key) => storage.removeItem(key));
+      } catch (e) {
+        // Storage disabled - nothing to clear
+      }
+    });
+  }
+
+  // Consent given while the page is open: widgets waiting for it carry on
+  function resumeAfterConsent(instance) {
+    if (instance.loadStarted) return;
+
+    if (instance.panel && instance.panel.getAttribute('data-panel') === 'consent') {
+      if (instance.inline || !instance.panel.hidden) {
+        completePanel(instance);
+        return;
+      }
+      removePanel(instance);
+    }
+
+    // Floating widgets already wait for a click; eager and idle ones load now
+    if (!instance.inline && getLoadStrategy(instance) !== 'interaction') {
+      scheduleIdleLoad(instance);
+    }
+  }
+
+  function onBannerDecision(granted) {
+    if (config.consent && granted !== hasStorageConsent()) {
+      setStorageConsent(granted, 'banner');
+    }
+  }
+
+  // WP Consent API: detail maps categories to 'allow' or 'deny'
+  document.addEventListener('wp_listen_for_consent_change', (e) => {
+    const value = config.consent && e.detail ? e.detail[config.consent.category] : null;
+    if (value === 'allow' || value === 'deny') onBannerDecision(value === 'allow');
+  });
+
+  // Cookiebot also fires these on every page load; only a change on this
+  // page may withdraw consent given elsewhere
+  window.addEventListener('CookiebotOnAccept', () => {
+    if (config.consent && detectStorageConsent()) onBannerDecision(true);
+  });
+  window.addEventListener('CookiebotOnDecline', () => {
+    if (window.Cookiebot && window.Cookiebot.changed) onBannerDecision(false);
+  });
+
+  document.addEventListener('cookieyes_consent_update', () => {
+    if (config.consent) onBannerDecision(detectStorageConsent());
+  });
+
+  function buildConsentNotice(instance) {
+    const consent = instance.config.consent;
+    const notice = document.createElement('div');
+    notice.className = 'chatkit-consent';
+    notice.setAttribute('aria-label', i18nText('consentAccept', 'Accept and chat'));
+
+    const text = document.createElement('p');
+    text.className = 'chatkit-consent-text';
+    appendConsentLabel(instance, text, consent.notice, consent.privacyUrl);
+    notice.appendChild(text);
+
+    const actions = document.createElement('div');
+    actions.className = 'chatkit-panel-actions';
+
+    const accept = document.createElement('button');
+    accept.type = 'button';
+    accept.className = 'chatkit-panel-button chatkit-panel-button--primary';
+    accept.textContent = i18nText('consentAccept', 'Accept and chat');
+    accept.style.backgroundColor = instance.config.accentColor || '#FF4500';
+    accept.addEventListener('click', () => setStorageConsent(true, 'widget'));
+    actions.appendChild(accept);
+
+    // Inline widgets have nothing to go back to
+    if (!instance.inline) {
+      const decline = document.createElement('button');
+      decline.type = 'button';
+      decline.className = 'chatkit-panel-button';
+      decline.textContent = i18nText('consentDecline', 'Not now');
+      decline.addEventListener('click', () => hidePanel(instance));
+      actions.appendChild(decline);
+    }
+
+    notice.appendChild(actions);
+    return notice;
+  }
+
+  // "Forget me": the server deletes the visitor's threads and stored records
+  // and expires the visitor cookie; the browser side is cleared here. Works
+  // without a loaded widget, e.g. from the [chatkit_forget_me] button.
+  async function forgetMe() {
+    const cached = Array.from(instances.values()).map((instance) => readCachedSecret(secretCacheKey(instance))).find(Boolean)
+      || findAnyCachedSecret();
+
+    const response = await fetch(config.forgetUrl, {
+      method: 'POST',
+      headers: restHeaders(),
+      body: JSON.stringify({ client_secret: cached ? cached.secret : '' }),
+      credentials: 'same-origin'
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.message || i18nText('forgetFailed', 'Your chat data could not be deleted.'));
+    }
+
+    clearLocalData();
+    setStorageConsent(false, 'forget');
+
+    // Deleted threads must not stay on screen
+    instances.forEach((instance) => {
+      if (instance.manager) startNewConversation(instance).catch(() => {});
+    });
+
+    emitEvent('forget', { threads: data.threads || 0 });
+    return data;
+  }
+
+  document.addEventListener('click', (e) => {
+    const button = e.target.closest ? e.target.closest('[data-chatkit-forget]') : null;
+    if (!button || button.disabled) return;
+    e.preventDefault();
+
+    if (!window.confirm(i18nText('forgetConfirm', 'Delete your conversations and everything this site stores about your chats?'))) {
+      return;
+    }
+
+    let status = button.nextElementSibling;
+    if (!status || !status.classList.contains('chatkit-forget-status')) {
+      status = document.createElement('span');
+      status.className = 'chatkit-forget-status';
+      status.setAttribute('role', 'status');
+      button.insertAdjacentElement('afterend', status);
+    }
+
+    button.disabled = true;
+    forgetMe().then(() => {
+      status.textContent = i18nText('forgotten', 'Your chat data has been deleted.');
+    }, (error) => {
+      button.disabled = false;
+      status.textContent = error.message;
+    });
+  });
+
+  // Conversation logging is opt-in: the server only logs threads it is told
+  // about, and (unless the site treats consent as implied) only once the
+  // visitor has agreed. The messages are fetched server-side from ChatKit.
+  const LOGGING_CONSENT_KEY = 'chatkit_logging_consent';
+  const logQueues = new Map();
+  // Kept in memory until storage consent allows writing it down
+  let loggingConsent = null;
+
+  function hasLoggingConsent() {
+    const logging = config.logging;
+    if (!logging) return false;
+    if (logging.consent === 'implied') return true;
+
+    // WP Consent API, when a consent plugin provides it
+    if (typeof window.wp_has_consent === 'function' && window.wp_has_consent('statistics')) {
+      return true;
+    }
+
+    if (loggingConsent !== null) return loggingConsent;
+
+    try {
+      return localStorage.getItem(LOGGING_CONSENT_KEY) === 'granted';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function setLoggingConsent(granted) {
+    loggingConsent = granted;
+    storeLoggingConsent();
+  }
+
+  function storeLoggingConsent() {
+    if (loggingConsent === null || (loggingConsent && !hasStorageConsent())) return;
+    try {
+      if (loggingConsent) {
+        localStorage.setItem(LOGGING_CONSENT_KEY, 'granted');
+      } else {
+        localStorage.removeItem(LOGGING_CONSENT_KEY);
+      }
+    } catch (e) {
+      // Storage unavailable; the choice then only lasts for this page view
+    }
+  }
+
+  function reportLogEvent(instance, event, threadId) {
+    if (!config.logging || !threadId || !hasLoggingConsent()) return;
+
+    // Events for one thread are sent in order so the server sees the thread
+    // before its first sync
+    const previous = logQueues.get(threadId) || Promise.resolve();
+    const next = previous.then(async () => {
+      const secret = await getClientSecret(instance);
+      await fetch(config.logging.url, {
+        method: 'POST',
+        headers: restHeaders(),
+        body: JSON.stringify({
+          event: event,
+          thread_id: threadId,
+          client_secret: secret,
+          consent: true,
+          page: { url: window.location.href, post_id: config.logging.postId || 0 }
+        }),
+        credentials: 'same-origin',
+        keepalive: true
+      });
+    }).catch((error) => {
+      console.warn('ChatKit: Could not log conversation event', error);
+    });
+    logQueues.set(threadId, next);
+  }
+
+  if (config.logging) {
+    ['thread.started', 'message.sent', 'response.ended'].forEach((name) => {
+      document.addEventListener(EVENT_PREFIX + name, (e) => {
+        const instance = instances.get(e.detail.instanceId);
+        if (instance) {
+          reportLogEvent(instance, name, e.detail.threadId);
+        }
+      });
+    });
+  }
+
+  // Reply ratings: after each reply a small bar asks whether it helped. ChatKit
+  // renders messages itself, so the bar sits just above the floating window
+  // (inside its top edge when there is no room) or below an inline chat.
+  // Until the server has matched the latest reply, no item ID is sent.
+  function getFeedbackBar(instance) {
+    if (instance.feedback.bar) return instance.feedback.bar;
+
+    const bar = document.createElement('div');
+    bar.className = 'chatkit-feedback';
+    bar.setAttribute('role', 'group');
+    bar.setAttribute('aria-label', i18nText('feedbackPrompt', 'Was this reply helpful?'));
+    bar.hidden = true;
+
+    const question = document.createElement('div');
+    question.className = 'chatkit-feedback-question';
+
+    const prompt = document.createElement('span');
+    prompt.className = 'chatkit-feedback-prompt';
+    prompt.textContent = i18nText('feedbackPrompt', 'Was this reply helpful?');
+    question.appendChild(prompt);
+
+    const addRating = (rating, icon, key, fallback) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'chatkit-feedback-rate';
+      button.setAttribute('data-rating', rating);
+      button.setAttribute('aria-label', i18nText(key, fallback));
+      button.title = i18nText(key, fallback);
+      button.textContent = icon;
+      button.addEventListener('click', () => rateReply(instance, rating));
+      question.appendChild(button);
+    };
+    addRating('up', '👍', 'feedbackUp', 'Helpful');
+    addRating('down', '👎', 'feedbackDown', 'Not helpful');
+
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.className = 'chatkit-feedback-dismiss';
+    dismiss.setAttribute('aria-label', i18nText('dismissTeaser', 'Dismiss'));
+    dismiss.textContent = '×';
+    dismiss.addEventListener('click', () => hideFeedbackBar(instance));
+    question.appendChild(dismiss);
+
+    const form = document.createElement('form');
+    form.className = 'chatkit-feedback-comment';
+    form.hidden = true;
+
+    const comment = document.createElement('textarea');
+    comment.rows = 2;
+    comment.maxLength = 1000;
+    comment.placeholder = i18nText('feedbackComment', 'What was wrong with this reply? (optional)');
+    comment.setAttribute('aria-label', comment.placeholder);
+
+    const actions = document.createElement('div');
+    actions.className = 'chatkit-feedback-actions';
+
+    const skip = document.createElement('button');
+    skip.type = 'button';
+    skip.textContent = i18nText('feedbackSkip', 'Skip');
+    skip.addEventListener('click', () => finishFeedback(instance));
+
+    const send = document.createElement('button');
+    send.type = 'submit';
+    send.textContent = i18nText('send', 'Send');
+
+    actions.appendChild(skip);
+    actions.appendChild(send);
+    form.appendChild(comment);
+    form.appendChild(actions);
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const text = comment.value.trim();
+      if (!text) {
+        finishFeedback(instance);
+        return;
+      }
+      send.disabled = true;
+      sendFeedback(instance, 'down', text)
+        .then(() => finishFeedback(instance), (error) => setFeedbackStatus(instance, error.message, true))
+        .finally(() => { send.disabled = false; });
+    });
+
+    const status = document.createElement('div');
+    status.className = 'chatkit-feedback-status';
+    status.setAttribute('aria-live', 'polite');
+
+    bar.appendChild(question);
+    bar.appendChild(form);
+    bar.appendChild(status);
+
+    // Clicks inside must not reach the document handler that closes the chat
+    bar.addEventListener('click', (e) => e.stopPropagation());
+
+    if (instance.inline && instance.elements.root) {
+      instance.elements.root.appendChild(bar);
+    } else {
+      document.body.appendChild(bar);
+    }
+
+    instance.feedback.bar = bar;
+    return bar;
+  }
+
+  function setFeedbackStatus(instance, message, isError) {
+    const status = instance.feedback.bar.querySelector('.chatkit-feedback-status');
+    status.textContent = message || '';
+    status.classList.toggle('chatkit-feedback-status--error', !!isError);
+    positionFeedbackBar(instance);
+  }
+
+  function showFeedbackBar(instance) {
+    const feedback = instance.feedback;
+    const bar = getFeedbackBar(instance);
+    clearTimeout(feedback.hideTimer);
+
+    bar.querySelector('.chatkit-feedback-question').hidden = false;
+    bar.querySelector('.chatkit-feedback-comment').hidden = true;
+    bar.querySelector('textarea').value = '';
+    bar.querySelectorAll('.chatkit-feedback-rate').forEach((button) => {
+      button.disabled = false;
+      button.setAttribute('aria-pressed', 'false');
+    });
+    setFeedbackStatus(instance, '');
+
+    bar.hidden = !instance.inline && !isInstanceOpen(instance);
+    positionFeedbackBar(instance);
+  }
+
+  function hideFeedbackBar(instance) {
+    const feedback = instance.feedback;
+    clearTimeout(feedback.hideTimer);
+    feedback.pending = false;
+    if (feedback.bar) feedback.bar.hidden = true;
+    positionCitations(instance);
+  }
+
+  function finishFeedback(instance) {
+    const bar = instance.feedback.bar;
+    bar.querySelector('.chatkit-feedback-question').hidden = true;
+    bar.querySelector('.chatkit-feedback-comment').hidden = true;
+    setFeedbackStatus(instance, i18nText('feedbackThanks', 'Thanks for your feedback!'));
+    instance.feedback.pending = false;
+    instance.feedback.hideTimer = setTimeout(() => hideFeedbackBar(instance), 2500);
+  }
+
+  function positionFeedbackBar(instance) {
+    const bar = instance.feedback.bar;
+    const chatkit = instance.elements.chatkit;
+    if (!bar || bar.hidden || instance.inline || !chatkit) return;
+
+    const rect = chatkit.getBoundingClientRect();
+    const height = bar.offsetHeight;
+    const above = rect.top - height - 8;
+
+    bar.style.left = rect.left + 'px';
+    bar.style.width = rect.width + 'px';
+    bar.style.top = (above >= 8 ? above : rect.top + 8) + 'px';
+    positionCitations(instance);
+  }
+
+  async function sendFeedback(instance, rating, comment) {
+    const feedback = instance.feedback;
+    const secret = await getClientSecret(instance);
+    const response = await fetch(config.feedback.url, {
+      method: 'POST',
+      headers: restHeaders(),
+      body: JSON.stringify({
+        thread_id: feedback.threadId,
+        client_secret: secret,
+        item_id: feedback.itemId || '',
+        rating: rating,
+        comment: comment || '',
+        page: { url: window.location.href, post_id: config.feedback.postId || 0 }
+      }),
+      credentials: 'same-origin'
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.message || i18nText('feedbackFailed', 'Your feedback could not be sent.'));
+    }
+
+    feedback.itemId = data.item_id || feedback.itemId;
+    emitEvent('feedback', {
+      instanceId: instance.id,
+      threadId: feedback.threadId,
+      itemId: feedback.itemId,
+      rating: rating,
+      label: rating,
+      hasComment: !!comment
+    });
+    return data;
+  }
+
+  // A thumbs-down is saved right away; the comment form only adds to it
+  async function rateReply(instance, rating) {
+    const bar = instance.feedback.bar;
+    const buttons = bar.querySelectorAll('.chatkit-feedback-rate');
+    buttons.forEach((button) => {
+      button.disabled = true;
+      button.setAttribute('aria-pressed', button.getAttribute('data-rating') === rating ? 'true' : 'false');
+    });
+    setFeedbackStatus(instance, '');
+
+    try {
+      await sendFeedback(instance, rating);
+    } catch (error) {
+      buttons.forEach((button) => { button.disabled = false; });
+      setFeedbackStatus(instance, error.message, true);
+      return;
+    }
+
+    if (rating === 'down') {
+      bar.querySelector('.chatkit-feedback-question').hidden = true;
+      bar.querySelector('.chatkit-feedback-comment').hidden = false;
+      positionFeedbackBar(instance);
+      bar.querySelector('textarea').focus();
+    } else {
+      finishFeedback(instance);
+    }
+  }
+
+  if (config.feedback) {
+    document.addEventListener(EVENT_PREFIX + 'response.ended', (e) => {
+      const instance = instances.get(e.detail.instanceId);
+      if (!instance || !e.detail.threadId) return;
+      Object.assign(instance.feedback, { threadId: e.detail.threadId, itemId: '', pending: true });
+      showFeedbackBar(instance);
+    });
+
+    ['response.started', 'thread.reset'].forEach((name) => {
+      document.addEventListener(EVENT_PREFIX + name, (e) => {
+        const instance = instances.get(e.detail.instanceId);
+        if (instance) hideFeedbackBar(instance);
+      });
+    });
+
+    // A floating window's bar follows it and waits while it is minimized
+    ['open', 'close', 'resize', 'maximize', 'move'].forEach((name) => {
+      document.addEventListener(EVENT_PREFIX + name, (e) => {
+        const instance = instances.get(e.detail.instanceId);
+        const bar = instance && instance.feedback.bar;
+        if (!bar || instance.inline) return;
+        bar.hidden = !instance.feedback.pending || !isInstanceOpen(instance);
+        requestAnimationFrame(() => positionFeedbackBar(instance));
+      });
+    });
+
+    window.addEventListener('resize', () => {
+      instances.forEach((instance) => positionFeedbackBar(instance));
+    });
+  }
+
+  // Citation cards: after each reply /chatkit/v1/citations picks out the
+  // pages of this site it cites (ChatKit URL citations first, then links in
+  // the text) and returns them as cards. Workflows can also show cards with
+  // the show_citations client tool. The strip sits above the rating bar, or
+  // below an inline chat, the same way the bar does.
+  function getCitationStrip(instance) {
+    if (instance.citations.strip) return instance.citations.strip;
+
+    const strip = document.createElement('div');
+    strip.className = 'chatkit-citations';
+    strip.setAttribute('role', 'region');
+    strip.setAttribute('aria-label', i18nText('citationsLabel', 'Sources from this site'));
+    strip.hidden = true;
+
+    const header = document.createElement('div');
+    header.className = 'chatkit-citations-header';
+
+    const label = document.createElement('span');
+    label.textContent = i18nText('citationsLabel', 'Sources from this site');
+
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.className = 'chatkit-citations-dismiss';
+    dismiss.setAttribute('aria-label', i18nText('dismissTeaser', 'Dismiss'));
+    dismiss.textContent = '×';
+    dismiss.addEventListener('click', () => hideCitations(instance));
+
+    header.appendChild(label);
+    header.appendChild(dismiss);
+
+    const list = document.createElement('div');
+    list.className = 'chatkit-citations-list';
+
+    strip.appendChild(header);
+    strip.appendChild(list);
+    strip.addEventListener('click', (e) => e.stopPropagation());
+
+    if (instance.inline && instance.elements.root) {
+      instance.elements.root.appendChild(strip);
+    } else {
+      document.body.appendChild(strip);
+    }
+
+    instance.citations.strip = strip;
+    return strip;
+  }
+
+  function buildCitationCard(instance, card) {
+    const link = document.createElement('a');
+    link.className = 'chatkit-citation';
+    link.href = card.url;
+
+    if (card.image && card.image.url) {
+      const image = document.createElement('img');
+      image.className = 'chatkit-citation-image';
+      image.src = card.image.url;
+      image.alt = card.image.alt || '';
+      image.loading = 'lazy';
+      link.appendChild(image);
+    }
+
+    const body = document.createElement('span');
+    body.className = 'chatkit-citation-body';
+
+    const site = document.createElement('span');
+    site.className = 'chatkit-citation-site';
+    if (card.site && card.site.icon) {
+      const icon = document.createElement('img');
+      icon.src = card.site.icon;
+      icon.alt = '';
+      site.appendChild(icon);
+    }
+    site.appendChild(document.createTextNode([card.site && card.site.name, card.type].filter(Boolean).join(' · ')));
+
+    const title = document.createElement('span');
+    title.className = 'chatkit-citation-title';
+    title.textContent = card.title;
+
+    body.appendChild(site);
+    body.appendChild(title);
+
+    if (card.excerpt) {
+      const excerpt = document.createElement('span');
+      excerpt.className = 'chatkit-citation-excerpt';
+      excerpt.textContent = card.excerpt;
+      body.appendChild(excerpt);
+    }
+
+    link.appendChild(body);
+    link.addEventListener('click', () => {
+      emitEvent('citation.click', {
+        instanceId: instance.id,
+        threadId: instance.threadId,
+        postId: card.id,
+        url: card.url,
+        label: card.url
+      });
+    });
+
+    return link;
+  }
+
+  // Cards already shown for this reply (by the tool) are kept, up to three
+  function showCitations(instance, cards) {
+    const citations = instance.citations;
+    const known = new Set(citations.cards.map((card) => card.id));
+    cards.forEach((card) => {
+      if (card && card.url && !known.has(card.id)) {
+        known.add(card.id);
+        citations.cards.push(card);
+      }
+    });
+    citations.cards = citations.cards.slice(0, 3);
+    if (citations.cards.length === 0) return;
+
+    const strip = getCitationStrip(instance);
+    const list = strip.querySelector('.chatkit-citations-list');
+    list.replaceChildren();
+    citations.cards.forEach((card) => list.appendChild(buildCitationCard(instance, card)));
+
+    citations.pending = true;
+    strip.hidden = !instance.inline && !isInstanceOpen(instance);
+    positionCitations(instance);
+  }
+
+  function hideCitations(instance) {
+    const citations = instance.citations;
+    citations.cards = [];
+    citations.pending = false;
+    if (citations.strip) citations.strip.hidden = true;
+  }
+
+  function positionCitations(instance) {
+    const strip = instance.citations.strip;
+    const chatkit = instance.elements.chatkit;
+    if (!strip || strip.hidden || instance.inline || !chatkit) return;
+
+    const rect = chatkit.getBoundingClientRect();
+    const bar = instance.feedback.bar;
+    const barRect = bar && !bar.hidden ? bar.getBoundingClientRect() : null;
+    const above = (barRect ? Math.min(barRect.top, rect.top) : rect.top) - strip.offsetHeight - 8;
+
+    strip.style.left = rect.left + 'px';
+    strip.style.width = rect.width + 'px';
+    // Without room above, inside the window's top edge (below the rating bar)
+    strip.style.top = (above >= 8 ? above : (barRect && barRect.top > rect.top ? barRect.bottom : rect.top) + 8) + 'px';
+  }
+
+  async function loadCitations(instance, threadId) {
+    const request = ++instance.citations.request;
+    try {
+      const secret = await getClientSecret(instance);
+      const response = await fetch(config.citations.url, {
+        method: 'POST',
+        headers: restHeaders(),
+        body: JSON.stringify({ thread_id: threadId, client_secret: secret }),
+        credentials: 'same-origin'
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.message || 'Request failed with status ' + response.status);
+
+      // A newer reply has started in the meantime
+      if (request === instance.citations.request && Array.isArray(data.cards)) {
+        showCitations(instance, data.cards);
+      }
+    } catch (error) {
+      console.warn('ChatKit: Could not load citation cards', error);
+    }
+  }
+
+  // Card data by URL, so the tool resolves each link once per page
+  const linkPreviews = new Map();
+
+  function fetchLinkPreview(url) {
+    if (!linkPreviews.has(url)) {
+      const previewUrl = new URL(config.citations.previewUrl, window.location.href);
+      previewUrl.searchParams.set('url', url);
+      linkPreviews.set(url, fetchSiteJson(previewUrl.toString()).catch(() => null));
+    }
+    return linkPreviews.get(url);
+  }
+
+  if (config.citations) {
+    document.addEventListener(EVENT_PREFIX + 'response.ended', (e) => {
+      const instance = instances.get(e.detail.instanceId);
+      if (instance && e.detail.threadId) loadCitations(instance, e.detail.threadId);
+    });
+
+    ['response.started', 'thread.reset'].forEach((name) => {
+      document.addEventListener(EVENT_PREFIX + name, (e) => {
+        const instance = instances.get(e.detail.instanceId);
+        if (!instance) return;
+        instance.citations.request++;
+        hideCitations(instance);
+      });
+    });
+
+    ['open', 'close', 'resize', 'maximize', 'move'].forEach((name) => {
+      document.addEventListener(EVENT_PREFIX + name, (e) => {
+        const instance = instances.get(e.detail.instanceId);
+        const strip = instance && instance.citations.strip;
+        if (!strip || instance.inline) return;
+        strip.hidden = !instance.citations.pending || !isInstanceOpen(instance);
+        // After the rating bar has moved
+        requestAnimationFrame(() => requestAnimationFrame(() => positionCitations(instance)));
+      });
+    });
+
+    window.addEventListener('resize', () => {
+      instances.forEach((instance) => positionCitations(instance));
+    });
+  }
+
+  // Transcript export: the thread's items come from the ChatKit API through
+  // /chatkit/v1/transcript, which checks the client secret belongs to the
+  // thread's owner. The rendered chat (shadow DOM) is never scraped.
+  let exportMenu = null;
+
+  async function postTranscriptRequest(instance, url, extra) {
+    const threadId = instance.threadId || instance.resumedThreadId;
+    if (!threadId) {
+      throw new Error(i18nText('noTranscript', 'There is no conversation to export yet.'));
+    }
+
+    const secret = await getClientSecret(instance);
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: restHeaders(),
+      body: JSON.stringify(Object.assign({ thread_id: threadId, client_secret: secret }, extra || {})),
+      credentials: 'same-origin'
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.message || i18nText('exportFailed', 'Could not export the conversation. Please try again.'));
+    }
+    return data;
+  }
+
+  async function fetchTranscript(instance) {
+    const transcript = await postTranscriptRequest(instance, config.transcriptUrl);
+    if (!transcript.items || transcript.items.length === 0) {
+      throw new Error(i18nText('noTranscript', 'There is no conversation to export yet.'));
+    }
+    return transcript;
+  }
+
+  function transcriptTitle(transcript) {
+    return transcript.title || config.siteName || 'Conversation';
+  }
+
+  function roleLabel(role) {
+    return role === 'user' ? i18nText('you', 'You') : i18nText('assistant', 'Assistant');
+  }
+
+  // Assistant replies are already Markdown, so they are kept as they are
+  function formatTranscriptMarkdown(transcript) {
+    const lines = ['# ' + transcriptTitle(transcript), '', '_' + new Date().toLocaleString() + ' - ' + window.location.href + '_'];
+    transcript.items.forEach((item) => {
+      lines.push('', '**' + roleLabel(item.role) + ':**', '', item.text);
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  function formatTranscriptText(transcript) {
+    const lines = [transcriptTitle(transcript), new Date().toLocaleString(), window.location.href];
+    transcript.items.forEach((item) => {
+      lines.push('', roleLabel(item.role) + ':', item.text);
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  function transcriptFilename(transcript, extension) {
+    const slug = transcriptTitle(transcript).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'conversation';
+    return slug.slice(0, 60) + '-' + new Date().toISOString().slice(0, 10) + '.' + extension;
+  }
+
+  function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async function copyToClipboard(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+      await navigator.clipboard.writeText(text);
+      return;
+    }
+
+    // Plain-http sites have no async clipboard API
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    const copied = document.execCommand('copy');
+    textarea.remove();
+    if (!copied) throw new Error(i18nText('exportFailed', 'Could not export the conversation. Please try again.'));
+  }
+
+  // Print view in a new window; the browser's print dialog also saves as PDF
+  function printTranscript(transcript, printWindow) {
+    const doc = printWindow.document;
+    doc.open();
+    doc.write('<!DOCTYPE html><html><head><meta charset="utf-8"><title></title>' +
+      '<style>body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;max-width:720px;margin:32px auto;padding:0 16px;color:#1a1a1a;line-height:1.5}' +
+      'h1{font-size:22px;margin-bottom:4px}.meta{color:#666;font-size:13px;margin-bottom:24px}' +
+      '.item{margin:0 0 16px;page-break-inside:avoid}.role{font-weight:700;margin-bottom:4px}.text{white-space:pre-wrap}</style></head><body></body></html>');
+    doc.close();
+
+    doc.title = transcriptTitle(transcript);
+    const heading = doc.createElement('h1');
+    heading.textContent = transcriptTitle(transcript);
+    const meta = doc.createElement('div');
+    meta.className = 'meta';
+    meta.textContent = new Date().toLocaleString() + ' - ' + window.location.href;
+    doc.body.appendChild(heading);
+    doc.body.appendChild(meta);
+
+    transcript.items.forEach((item) => {
+      const block = doc.createElement('div');
+      block.className = 'item';
+      const role = doc.createElement('div');
+      role.className = 'role';
+      role.textContent = roleLabel(item.role);
+      const text = doc.createElement('div');
+      text.className = 'text';
+      text.textContent = item.text;
+      block.appendChild(role);
+      block.appendChild(text);
+      doc.body.appendChild(block);
+    });
+
+    printWindow.focus();
+    printWindow.print();
+  }
+
+  function closeExportMenu() {
+    if (!exportMenu) return;
+    exportMenu.menu.remove();
+    document.removeEventListener('click', exportMenu.onOutsideClick);
+    document.removeEventListener('keydown', exportMenu.onKeydown, true);
+    exportMenu.anchor.setAttribute('aria-expanded', 'false');
+    exportMenu = null;
+  }
+
+  function toggleExportMenu(instance, anchor) {
+    const wasOpenHere = exportMenu && exportMenu.anchor === anchor;
+    closeExportMenu();
+    if (wasOpenHere) return;
+
+    const menu = document.createElement('div');
+    menu.className = 'chatkit-export-menu';
+    menu.setAttribute('role', 'menu');
+    menu.setAttribute('aria-label', i18nText('exportTranscript', 'Export conversation'));
+
+    const status = document.createElement('div');
+    status.className = 'chatkit-export-status';
+    status.setAttribute('aria-live', 'polite');
+
+    const setStatus = (message, isError) => {
+      status.textContent = message || '';
+      status.classList.toggle('chatkit-export-status--error', !!isError);
+    };
+
+    // Each action fetches the thread fresh, so the export includes the latest reply
+    const run = async (item, action) => {
+      item.disabled = true;
+      setStatus('');
+      try {
+        await action();
+      } catch (error) {
+        setStatus(error.message, true);
+      } finally {
+        item.disabled = false;
+      }
+    };
+
+    const addItem = (label, action) => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'chatkit-export-item';
+      item.setAttribute('role', 'menuitem');
+      item.textContent = label;
+      item.addEventListener('click', () => run(item, action));
+      menu.appendChild(item);
+      return item;
+    };
+
+    addItem(i18nText('copyTranscript', 'Copy to clipboard'), async () => {
+      await copyToClipboard(formatTranscriptText(await fetchTranscript(instance)));
+      setStatus(i18nText('copied', 'Conversation copied.'));
+    });
+
+    addItem(i18nText('downloadMarkdown', 'Download as Markdown'), async () => {
+      const transcript = await fetchTranscript(instance);
+      downloadFile(transcriptFilename(transcript, 'md'), formatTranscriptMarkdown(transcript), 'text/markdown;charset=utf-8');
+      closeExportMenu();
+    });
+
+    addItem(i18nText('downloadText', 'Download as text'), async () => {
+      const transcript = await fetchTranscript(instance);
+      downloadFile(transcriptFilename(transcript, 'txt'), formatTranscriptText(transcript), 'text/plain;charset=utf-8');
+      closeExportMenu();
+    });
+
+    addItem(i18nText('printTranscript', 'Print or save as PDF'), async () => {
+      // Opened before the request so the click still counts as a user gesture
+      const printWindow = window.open('', '_blank');
+      if (!printWindow) {
+        throw new Error(i18nText('exportFailed', 'Could not export the conversation. Please try again.'));
+      }
+      try {
+        printTranscript(await fetchTranscript(instance), printWindow);
+        closeExportMenu();
+      } catch (error) {
+        printWindow.close();
+        throw error;
+      }
+    });
+
+    // Members only, and always to their account address (checked on the server too)
+    if (toBool(config.transcriptEmail) && config.userEmail) {
+      addItem(i18nText('emailTranscript', 'Email me this conversation'), async () => {
+        await postTranscriptRequest(instance, config.transcriptUrl + '/email', {});
+        setStatus(i18nText('emailSent', 'Conversation sent to %s.').replace('%s', config.userEmail));
+      });
+    }
+
+    menu.appendChild(status);
+
+    // Clicks inside must not reach the document handler that closes the chat
+    menu.addEventListener('click', (e) => e.stopPropagation());
+    document.body.appendChild(menu);
+
+    const rect = anchor.getBoundingClientRect();
+    const menuWidth = menu.offsetWidth;
+    menu.style.top = Math.min(rect.bottom + 6, window.innerHeight - menu.offsetHeight - 8) + 'px';
+    menu.style.left = Math.max(Math.min(rect.right - menuWidth, window.innerWidth - menuWidth - 8), 8) + 'px';
+
+    const onOutsideClick = () => closeExportMenu();
+    const onKeydown = (e) => {
+      if (e.key !== 'Escape') return;
+      // Escape closes the menu, not the chat window
+      e.stopPropagation();
+      closeExportMenu();
+      anchor.focus();
+    };
+    document.addEventListener('click', onOutsideClick);
+    document.addEventListener('keydown', onKeydown, true);
+
+    anchor.setAttribute('aria-expanded', 'true');
+    exportMenu = { menu: menu, anchor: anchor, onOutsideClick: onOutsideClick, onKeydown: onKeydown };
+
+    const first = menu.querySelector('.chatkit-export-item');
+    if (first) first.focus();
+  }
+
+  // Human handoff: "Talk to a person" in the header, or the workflow's
+  // request_human client tool. During business hours it opens the live chat or
+  // a callback form, outside them a contact form. Requests go to the handoff
+  // route with the thread ID, so staff get the conversation so far.
+
+  // Same "mon-fri 09:00-17:00" windows as the schedule display rule
+  function isWithinHandoffHours() {
+    const time = getSiteTime();
+    return ruleValues(config.handoff.hours).some((range) => scheduleWindowMatches(range, time));
+  }
+
+  // Returns the mode used, or null when handoff is off
+  function requestHuman(instance, details) {
+    if (!config.handoff) return null;
+
+    const mode = isWithinHandoffHours() ? config.handoff.liveMode : 'contact';
+    emitEvent('handoff.requested', { instanceId: instance.id, mode: mode, source: details.source, label: mode });
+
+    if (mode === 'live_chat' && openLiveChat(instance)) {
+      return mode;
+    }
+
+    const type = mode === 'contact' ? 'contact' : 'callback';
+    showHandoffForm(instance, type, details.summary || '');
+    return type;
+  }
+
+  // A URL opens in a new tab; anything else names the live chat provider's
+  // global function, e.g. "Tawk_API.maximize"
+  function openLiveChat(instance) {
+    const target = config.handoff.liveChat;
+
+    if (/^https?:\/\//i.test(target)) {
+      window.open(target, '_blank', 'noopener');
+      return true;
+    }
+
+    const open = resolveGlobalFunction(target);
+    if (!open) {
+      console.warn('ChatKit: live chat function not found:', target);
+      return false;
+    }
+
+    try {
+      open({ threadId: instance.threadId || '', page: window.location.href });
+    } catch (e) {
+      console.warn('ChatKit: live chat failed to open:', e);
+      return false;
+    }
+
+    // The provider brings its own window
+    closeChat(instance);
+    return true;
+  }
+
+  function buildHandoffField(instance, name, type, label, required, value) {
+    const id = 'chatkit-handoff-' + instance.id + '-' + name;
+    const row = document.createElement('div');
+    row.className = 'chatkit-handoff-field';
+
+    const labelElement = document.createElement('label');
+    labelElement.htmlFor = id;
+    labelElement.textContent = label + (required ? ' *' : '');
+    row.appendChild(labelElement);
+
+    const input = document.createElement(type === 'textarea' ? 'textarea' : 'input');
+    if (type === 'textarea') {
+      input.rows = 4;
+      input.maxLength = 2000;
+    } else {
+      input.type = type;
+      input.maxLength = 100;
+    }
+    input.id = id;
+    input.name = name;
+    input.required = required;
+    input.value = value || '';
+    row.appendChild(input);
+
+    return row;
+  }
+
+  function showHandoffForm(instance, type, summary) {
+    closeHandoffForm(instance);
+
+    const answers = getPrechatAnswers(instance) || {};
+    const form = document.createElement('form');
+    form.className = 'chatkit-panel chatkit-handoff';
+    form.noValidate = true;
+    form.setAttribute('aria-label', i18nText('talkToPerson', 'Talk to a person'));
+
+    const intro = document.createElement('p');
+    intro.className = 'chatkit-handoff-intro';
+    intro.textContent = type === 'contact'
+      ? i18nText('handoffContactIntro', 'Our team is away right now. Leave a message and we will get back to you by email.')
+      : i18nText('handoffCallbackIntro', 'Leave your number and someone from our team will call you back.');
+    form.appendChild(intro);
+
+    const fields = [
+      buildHandoffField(instance, 'name', 'text', i18nText('handoffName', 'Your name'), true, answers.name || config.userDisplayName)
+    ];
+    if (type === 'contact') {
+      fields.push(buildHandoffField(instance, 'email', 'email', i18nText('handoffEmail', 'Email address'), true, answers.email || config.userEmail));
+    } else {
+      fields.push(buildHandoffField(instance, 'phone', 'tel', i18nText('handoffPhone', 'Phone number'), true, answers.phone));
+      fields.push(buildHandoffField(instance, 'when', 'text', i18nText('handoffWhen', 'Best time to call'), false));
+    }
+    fields.push(buildHandoffField(instance, 'message', 'textarea', i18nText('handoffMessage', 'How can we help?'), type === 'contact'));
+    fields.forEach((field) => form.appendChild(field));
+
+    const status = document.createElement('div');
+    status.className = 'chatkit-handoff-status';
+    status.setAttribute('role', 'alert');
+    form.appendChild(status);
+
+    const actions = document.createElement('div');
+    actions.className = 'chatkit-panel-actions';
+
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.className = 'chatkit-panel-button chatkit-panel-button--primary';
+    submit.textContent = i18nText('handoffSend', 'Send request');
+    submit.style.backgroundColor = instance.config.accentColor || '#FF4500';
+    actions.appendChild(submit);
+
+    const back = document.createElement('button');
+    back.type = 'button';
+    back.className = 'chatkit-panel-button';
+    back.textContent = i18nText('handoffBack', 'Back to chat');
+    back.addEventListener('click', () => closeHandoffForm(instance));
+    actions.appendChild(back);
+    form.appendChild(actions);
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const values = {};
+      let firstInvalid = null;
+      Array.from(form.querySelectorAll('input, textarea')).forEach((input) => {
+        values[input.name] = input.value.trim();
+        const invalid = input.required && (!values[input.name] || (input.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values[input.name])));
+        input.setAttribute('aria-invalid', invalid ? 'true' : 'false');
+        if (invalid && !firstInvalid) firstInvalid = input;
+      });
+
+      if (firstInvalid) {
+        status.textContent = i18nText('handoffRequired', 'Please fill in the required fields.');
+        firstInvalid.focus();
+        return;
+      }
+
+      submit.disabled = true;
+      status.textContent = '';
+      try {
+        await sendHandoff(instance, type, values, summary);
+        form.replaceChildren(intro, actions);
+        intro.textContent = i18nText('handoffSent', 'Thank you! Our team will be in touch soon.');
+        submit.remove();
+        back.focus();
+      } catch (error) {
+        submit.disabled = false;
+        status.textContent = error.message;
+      }
+    });
+
+    form.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape') return;
+      e.stopPropagation();
+      closeHandoffForm(instance);
+    });
+    // Clicks inside must not reach the document handler that closes the chat
+    form.addEventListener('click', (e) => e.stopPropagation());
+
+    // Inline: in place of the chat. Floating: over the open chat window.
+    if (instance.inline && instance.elements.root) {
+      form.classList.add('chatkit-panel--inline');
+      instance.elements.chatkit.hidden = true;
+      instance.elements.root.insertBefore(form, instance.elements.chatkit);
+    } else {
+      form.classList.add('chatkit-handoff--floating');
+      document.body.appendChild(form);
+      if (!isInstanceOpen(instance)) openChat(instance);
+    }
+
+    instance.handoffForm = form;
+    positionHandoffForm(instance);
+    form.querySelector('input').focus();
+  }
+
+  function closeHandoffForm(instance) {
+    if (!instance.handoffForm) return;
+    instance.handoffForm.remove();
+    instance.handoffForm = null;
+    if (instance.inline) {
+      instance.elements.chatkit.hidden = false;
+    }
+  }
+
+  function positionHandoffForm(instance) {
+    const form = instance.handoffForm;
+    const chatkit = instance.elements.chatkit;
+    if (!form || instance.inline || !chatkit) return;
+
+    const rect = chatkit.getBoundingClientRect();
+    form.style.left = rect.left + 'px';
+    form.style.top = rect.top + 'px';
+    form.style.width = rect.width + 'px';
+    form.style.height = rect.height + 'px';
+  }
+
+  window.addEventListener('resize', () => {
+    instances.forEach((instance) => positionHandoffForm(instance));
+  });
+
+  // The form follows the chat window when it is moved or resized
+  ['resize', 'move', 'maximize'].forEach((name) => {
+    document.addEventListener(EVENT_PREFIX + name, (e) => {
+      const instance = instances.get(e.detail.instanceId);
+      if (instance) positionHandoffForm(instance);
+    });
+  });
+
+  async function sendHandoff(instance, type, values, summary) {
+    const threadId = instance.threadId || '';
+    const response = await fetch(config.handoff.url, {
+      method: 'POST',
+      headers: restHeaders(),
+      body: JSON.stringify(Object.assign({}, values, {
+        type: type,
+        summary: summary,
+        thread_id: threadId,
+        client_secret: threadId ? await getClientSecret(instance) : '',
+        page: { url: window.location.href }
+      })),
+      credentials: 'same-origin'
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.message || i18nText('handoffFailed', 'Your request could not be sent. Please try again.'));
+    }
+
+    emitEvent('handoff.sent', { instanceId: instance.id, threadId: threadId, type: type, label: type });
+    return data;
+  }
+
+  // Client tools: functions the workflow can call in the visitor's browser.
+  // A handler gets (params, context) and returns - or resolves to - the JSON
+  // result for the workflow; a thrown error is reported back as
+  // { success: false, error }. Themes add their own, or replace the built-in
+  // ones, with ChatKitWP.registerClientTool() or the chatkit:tools.register event.
+  const clientTools = new Map();
+
+  function registerClientTool(name, handler) {
+    if (typeof name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(name) || typeof handler !== 'function') {
+      throw new Error('registerClientTool(name, handler) needs a tool name and a function');
+    }
+    clientTools.set(name, handler);
+  }
+
+  async function handleClientTool(instance, toolCall) {
+    const name = toolCall && toolCall.name;
+    const handler = clientTools.get(name);
+    if (!handler) {
+      return { success: false, error: 'Unknown client tool: ' + name };
+    }
+
+    try {
+      const result = await handler(toolCall.params || {}, {
+        instanceId: instance.id,
+        threadId: instance.threadId,
+        api: instance.api
+      });
+      emitEvent('tool.called', { instanceId: instance.id, name: name, success: true, label: name });
+      // A result sent after the response ended starts a new one, not a message
+      if (!instance.responding && !instance.replyCause) {
+        instance.replyCause = 'tool';
+      }
+      return result && typeof result === 'object' ? result : { success: true };
+    } catch (error) {
+      emitEvent('tool.called', { instanceId: instance.id, name: name, success: false, label: name });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Only published, public content is returned, so no nonce is sent
+  async function fetchSiteJson(url) {
+    const response = await fetch(url, { credentials: 'omit' });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || 'Request failed with status ' + response.status);
+    }
+    return data;
+  }
+
+  function stripHtml(html) {
+    const element = document.createElement('div');
+    element.innerHTML = html || '';
+    return (element.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+
+  function isSameOrigin(url) {
+    try {
+      return new URL(url, window.location.href).origin === window.location.origin;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  registerClientTool('search_site', async (params) => {
+    const query = typeof params.query === 'string' ? params.query.trim() : '';
+    if (!query) throw new Error('search_site needs a query');
+
+    const url = new URL(config.searchUrl, window.location.href);
+    url.searchParams.set('search', query);
+    url.searchParams.set('per_page', String(Math.min(Math.max(parseInt(params.limit, 10) || 5, 1), 10)));
+    url.searchParams.set('_embed', 'self');
+    if (typeof params.type === 'string' && params.type) url.searchParams.set('subtype', params.type);
+
+    const results = await fetchSiteJson(url.toString());
+    return {
+      success: true,
+      results: results.map((result) => {
+        const post = result._embedded && result._embedded.self && result._embedded.self[0];
+        return {
+          id: result.id,
+          title: stripHtml(result.title),
+          url: result.url,
+          type: result.subtype,
+          excerpt: post && post.excerpt ? stripHtml(post.excerpt.rendered) : ''
+        };
+      })
+    };
+  });
+
+  // Ranked, chunked search over the plugin's own index (Tools → ChatKit
+  // Search Index); prefer this over search_site for answering questions
+  registerClientTool('search_articles', async (params) => {
+    const query = typeof params.query === 'string' ? params.query.trim() : '';
+    if (!query) throw new Error('search_articles needs a query');
+
+    const url = new URL(config.contentSearchUrl, window.location.href);
+    url.searchParams.set('query', query);
+    url.searchParams.set('limit', String(Math.min(Math.max(parseInt(params.limit, 10) || 5, 1), 10)));
+    if (typeof params.type === 'string' && params.type) url.searchParams.set('type', params.type);
+
+    const data = await fetchSiteJson(url.toString());
+    return { success: true, results: data.results || [] };
+  });
+
+  registerClientTool('get_post', async (params) => {
+    const url = new URL(config.postsUrl, window.location.href);
+    if (parseInt(params.id, 10) > 0) {
+      url.searchParams.set('id', String(parseInt(params.id, 10)));
+    } else if (typeof params.url === 'string' && isSameOrigin(params.url)) {
+      url.searchParams.set('url', new URL(params.url, window.location.href).href);
+    } else {
+      throw new Error('get_post needs the id or the URL of a post on this site');
+    }
+
+    return { success: true, post: await fetchSiteJson(url.toString()) };
+  });
+
+  // Leaving the page is the visitor's call
+  registerClientTool('navigate_to', (params) => {
+    const target = typeof params.url === 'string' ? params.url : '';
+    if (!isSameOrigin(target)) {
+      throw new Error('navigate_to only opens pages on this site');
+    }
+
+    const template = i18nText('navigateConfirm', 'The assistant wants to open "%s". Go there now?');
+    const label = typeof params.title === 'string' && params.title ? params.title : target;
+    if (!window.confirm(template.replace('%s', label))) {
+      return { success: false, error: 'The visitor chose to stay on this page' };
+    }
+
+    // Let ChatKit receive the result before the page unloads
+    setTimeout(() => window.location.assign(new URL(target, window.location.href).href), 300);
+    return { success: true };
+  });
+
+  // "contact" and "callback" are the handoff forms; anything else is the id
+  // of a form on the page
+  registerClientTool('open_form', (params, context) => {
+    const name = typeof params.form === 'string' ? params.form : '';
+    const instance = instances.get(context.instanceId);
+
+    if (name === 'contact' || name === 'callback') {
+      if (!config.handoff) throw new Error('Contact forms are not enabled on this site');
+      showHandoffForm(instance, name, typeof params.summary === 'string' ? params.summary : '');
+      return { success: true, form: name };
+    }
+
+    const form = name ? document.getElementById(name) : null;
+    if (!form || form.tagName !== 'FORM') {
+      throw new Error('No form with the id "' + name + '" on this page');
+    }
+
+    // The full-screen chat would hide the form on phones
+    if (window.innerWidth <= MOBILE_BREAKPOINT) closeChat(instance);
+    form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    const field = form.querySelector('input:not([type="hidden"]), select, textarea');
+    if (field) field.focus({ preventScroll: true });
+    return { success: true, form: name };
+  });
+
+  registerClientTool('get_page_context', () => {
+    const description = document.querySelector('meta[name="description"]');
+    const selection = window.getSelection ? window.getSelection().toString().trim() : '';
+
+    return {
+      success: true,
+      page: {
+        url: window.location.href.split('#')[0],
+        title: document.title,
+        language: document.documentElement.lang || navigator.language || '',
+        post_id: config.pageContext ? config.pageContext.postId || 0 : 0,
+        description: description ? description.getAttribute('content') || '' : '',
+        headings: Array.from(document.querySelectorAll('main h1, main h2, article h1, article h2'))
+          .map((heading) => heading.textContent.trim())
+          .filter(Boolean)
+          .slice(0, 20),
+        selection: selection.slice(0, 1000)
+      }
+    };
+  });
+
+  registerClientTool('request_human', (params, context) => {
+    const summary = typeof params.summary === 'string' ? params.summary : (typeof params.reason === 'string' ? params.reason : '');
+    const mode = requestHuman(instances.get(context.instanceId), { source: 'tool', summary: summary });
+    if (!mode) throw new Error('Handoff to a person is not available on this site');
+    return { success: true, mode: mode };
+  });
+
+  // Shows cards for pages of this site, e.g. the articles an answer is based on
+  registerClientTool('show_citations', async (params, context) => {
+    const instance = instances.get(context.instanceId);
+    if (!config.citations || !instance) throw new Error('Citation cards are disabled on this site');
+
+    const urls = (Array.isArray(params.citations) ? params.citations : [])
+      .concat(Array.isArray(params.urls) ? params.urls : [])
+      .map((citation) => (citation && typeof citation === 'object' ? citation.url : citation))
+      .filter((url) => typeof url === 'string' && isSameOrigin(url))
+      .map((url) => new URL(url, window.location.href).href);
+    if (urls.length === 0) throw new Error('show_citations needs the URLs of pages on this site');
+
+    const cards = (await Promise.all(urls.slice(0, 3).map(fetchLinkPreview))).filter(Boolean);
+    showCitations(instance, cards);
+    return { success: true, shown: cards.map((card) => card.url) };
+  });
+
+  // Thread resume: each visitor's active thread is kept in localStorage, keyed
+  // by the user_key the session endpoint returns (a hash of chatkit_user_id)
+  // and the workflow, and passed back as initialThread on the next page.
+  const THREAD_STORAGE_PREFIX = 'chatkit_thread_';
+  const USER_KEY_STORAGE = 'chatkit_user_key';
+
+  function canResumeThreads(instance) {
+    return toBool(instance.config.persistentSessions);
+  }
+
+  function getStoredUserKey() {
+    try {
+      return localStorage.getItem(USER_KEY_STORAGE) || '';
+    } catch (e) {
+      return '';
+    }
+  }
+
+  function threadStorageKey(instance) {
+    const userKey = getStoredUserKey();
+    return userKey ? THREAD_STORAGE_PREFIX + userKey + '_' + (instance.config.workflow || 'default') : null;
+  }
+
+  function loadStoredThread(instance) {
+    const key = canResumeThreads(instance) ? threadStorageKey(instance) : null;
+    try {
+      return key ? localStorage.getItem(key) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function saveStoredThread(instance, threadId) {
+    const key = canResumeThreads(instance) ? threadStorageKey(instance) : null;
+    if (!key || !hasStorageConsent()) return;
+    try {
+      if (threadId) {
+        localStorage.setItem(key, threadId);
+      } else {
+        localStorage.removeItem(key);
+      }
+    } catch (e) {
+      console.warn('Failed to save thread:', e);
+    }
+  }
+
+  // Called with the user_key of every session. If the identity changed (cookie
+  // cleared, different account), a resumed thread belongs to someone else.
+  function rememberUserKey(instance, userKey) {
+    if (!userKey || !canResumeThreads(instance) || !hasStorageConsent()) return;
+
+    const previous = getStoredUserKey();
+    if (previous === userKey) return;
+
+    try {
+      localStorage.setItem(USER_KEY_STORAGE, userKey);
+    } catch (e) {
+      return;
+    }
+
+    // Switch to the new identity's own thread (or a fresh one)
+    const chatkit = instance.elements.chatkit;
+    if (previous && instance.resumedThreadId && chatkit && typeof chatkit.setThreadId === 'function') {
+      const threadId = loadStoredThread(instance);
+      instance.threadId = threadId;
+      instance.resumedThreadId = threadId;
+      chatkit.setThreadId(threadId);
+    }
+  }
+
+  // "Start new conversation": forget the stored thread and show a fresh one
+  async function startNewConversation(instance) {
+    saveStoredThread(instance, null);
+    instance.threadId = null;
+    instance.resumedThreadId = null;
+
+    const chatkit = instance.elements.chatkit;
+    if (chatkit && typeof chatkit.setThreadId === 'function') {
+      await chatkit.setThreadId(null);
+    }
+
+    emitEvent('thread.reset', { instanceId: instance.id });
+  }
+
+  // Inline widgets have no window controls, so they get a small toolbar
+  function createInlineToolbar(instance) {
+    const root = instance.elements.root;
+    const chatkit = instance.elements.chatkit;
+    if (!root || !chatkit || root.querySelector('.chatkit-inline-toolbar')) return;
+
+    const label = i18nText('newConversation', 'Start new conversation');
+    const toolbar = document.createElement('div');
+    toolbar.className = 'chatkit-inline-toolbar';
+    toolbar.setAttribute('role', 'toolbar');
+
+    const button = document.createElement('button');
+    button.className = 'chatkit-new-conversation-btn';
+    button.setAttribute('type', 'button');
+    button.setAttribute('aria-label', label);
+    button.setAttribute('title', label);
+    button.textContent = label;
+    button.addEventListener('click', () => startNewConversation(instance));
+
+    if (toBool(instance.config.enableExport)) {
+      const exportLabel = i18nText('exportTranscript', 'Export conversation');
+      const exportButton = document.createElement('button');
+      exportButton.className = 'chatkit-new-conversation-btn chatkit-export-btn';
+      exportButton.setAttribute('type', 'button');
+      exportButton.setAttribute('aria-haspopup', 'menu');
+      exportButton.textContent = exportLabel;
+      exportButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleExportMenu(instance, exportButton);
+      });
+      toolbar.appendChild(exportButton);
+    }
+
+    if (config.handoff) {
+      const humanButton = document.createElement('button');
+      humanButton.className = 'chatkit-new-conversation-btn chatkit-human-btn';
+      humanButton.setAttribute('type', 'button');
+      humanButton.textContent = i18nText('talkToPerson', 'Talk to a person');
+      humanButton.addEventListener('click', () => requestHuman(instance, { source: 'header' }));
+      toolbar.appendChild(humanButton);
+    }
+
+    if (config.languages && config.languages.switcher) {
+      const languageButton = document.createElement('button');
+      languageButton.className = 'chatkit-new-conversation-btn chatkit-language-btn';
+      languageButton.setAttribute('type', 'button');
+      languageButton.setAttribute('aria-haspopup', 'menu');
+      languageButton.setAttribute('aria-label', i18nText('language', 'Language'));
+      languageButton.textContent = getLanguageLabel(instance.language);
+      languageButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleLanguageMenu(instance, languageButton);
+      });
+      document.addEventListener(EVENT_PREFIX + 'language.change', (e) => {
+        if (e.detail.instanceId === instance.id) languageButton.textContent = getLanguageLabel(e.detail.language);
+      });
+      toolbar.appendChild(languageButton);
+    }
+
+    toolbar.appendChild(button);
+    root.insertBefore(toolbar, chatkit);
+  }
+
+  // Shared by all instances so the CDN script is only injected once
+  let chatkitScriptPromise = null;
+
+  function loadChatkitScript() {
+    if (!chatkitScriptPromise) {
+      chatkitScriptPromise = injectChatkitScript().catch((error) => {
+        // Allow a later retry to inject the script again
+        chatkitScriptPromise = null;
+        throw error;
+      });
+    }
+    return chatkitScriptPromise;
+  }
+
+  function injectChatkitScript() {
+    return new Promise((resolve, reject) => {
+      if (customElements.get('openai-chatkit')) {
+        console.log('✅ ChatKit custom element already registered');
+        resolve();
+        return;
+      }
+
+      const script = document.createElement('script');
+      // Use latest ChatKit library from CDN
+      script.src = 'https://cdn.platform.openai.com/deployments/chatkit/chatkit.js';
+      script.defer = true;
+      
+      script.onload = () => {
+        console.log('✅ ChatKit library loaded from CDN');
+        // Wait a bit for custom element to register
+        setTimeout(() => {
+          if (customElements.get('openai-chatkit')) {
+            console.log('✅ ChatKit custom element registered successfully');
+            resolve();
+          } else {
+            console.warn('⚠️ ChatKit custom element not found after load, waiting...');
+            customElements.whenDefined('openai-chatkit').then(() => {
+              console.log('✅ ChatKit custom element defined');
+              resolve();
+            }).catch(reject);
+          }
+        }, 100);
+      };
+      
+      script.onerror = (error) => {
+        console.error('❌ Failed to load ChatKit CDN script:', error);
+        // Drop the failed tag so a reconnect can inject a fresh one
+        script.remove();
+        reject(new Error('Failed to load ChatKit CDN - check network connection and CDN availability'));
+      };
+      
+      document.head.appendChild(script);
+      console.log('📥 Loading ChatKit library from CDN...');
+    });
+  }
+
+  // Connection state per instance: 'online', 'offline', 'reconnecting' or
+  // 'failed'. Anything other than online shows a banner over the chat window
+  // (or above the button when the window has not been created yet).
+  function backoffDelay(attempt) {
+    const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * Math.pow(2, attempt));
+    // Jitter spreads reconnects out when a whole page of visitors comes back at once
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  function connectionText(instance, state) {
+    switch (state) {
+      case 'offline':
+        return i18nText('offline', 'You are offline. The chat will reconnect automatically.');
+      case 'reconnecting':
+        return i18nText('reconnecting', 'Reconnecting…');
+      default:
+        return i18nText('connectionFailed', 'Unable to reach the chat service.');
+    }
+  }
+
+  function getConnectionBanner(instance) {
+    if (instance.connection.banner) return instance.connection.banner;
+
+    const banner = document.createElement('div');
+    banner.className = 'chatkit-connection-banner';
+    banner.setAttribute('role', 'status');
+    banner.setAttribute('aria-live', 'polite');
+
+    const text = document.createElement('span');
+    text.className = 'chatkit-connection-text';
+
+    const retry = document.createElement('button');
+    retry.className = 'chatkit-connection-retry';
+    retry.setAttribute('type', 'button');
+    retry.textContent = i18nText('retry', 'Retry');
+    retry.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (instance.connection.wake) instance.connection.wake();
+    });
+
+    banner.appendChild(text);
+    banner.appendChild(retry);
+
+    if (instance.inline && instance.elements.root) {
+      instance.elements.root.appendChild(banner);
+    } else {
+      document.body.appendChild(banner);
+    }
+
+    instance.connection.banner = banner;
+    return banner;
+  }
+
+  function positionConnectionBanner(instance) {
+    const banner = instance.connection.banner;
+    const chatkit = instance.elements.chatkit;
+    if (!banner || banner.hidden || !chatkit) return;
+
+    if (instance.inline) {
+      banner.style.top = (chatkit.offsetTop + 8) + 'px';
+      return;
+    }
+
+    // Over the top of the open window, otherwise just above the toggle button
+    const anchor = isInstanceOpen(instance) ? chatkit : instance.elements.button;
+    if (!anchor) return;
+    const rect = anchor.getBoundingClientRect();
+
+    if (anchor === chatkit) {
+      banner.style.top = (rect.top + 8) + 'px';
+      banner.style.bottom = '';
+      banner.style.left = (rect.left + 8) + 'px';
+      banner.style.width = Math.max(rect.width - 16, 0) + 'px';
+    } else {
+      banner.style.top = '';
+      banner.style.bottom = (window.innerHeight - rect.top + 8) + 'px';
+      banner.style.left = Math.max(rect.right - 280, 8) + 'px';
+      banner.style.width = '';
+    }
+  }
+
+  function setConnectionState(instance, state) {
+    const connection = instance.connection;
+    if (connection.state === state) return;
+
+    const previous = connection.state;
+    connection.state = state;
+
+    if (instance.elements.button) {
+      instance.elements.button.classList.toggle('chatkit-offline', state === 'offline' || state === 'failed');
+    }
+
+    if (state === 'online') {
+      if (connection.banner) connection.banner.hidden = true;
+      // A click that was waiting on the reconnect gets its spinner back
+      setLoadingState(instance, instance.pendingOpen);
+    } else {
+      const banner = getConnectionBanner(instance);
+      banner.setAttribute('data-state', state);
+      banner.querySelector('.chatkit-connection-text').textContent = connectionText(instance, state);
+      banner.hidden = false;
+      positionConnectionBanner(instance);
+      // The banner explains the wait; no spinner while nothing is happening
+      if (state !== 'reconnecting') setLoadingState(instance, false);
+    }
+
+    emitEvent('connection.change', { instanceId: instance.id, state: state, previous: previous });
+  }
+
+  // Sleep until the delay passes, the browser comes back online or the
+  // visitor presses Retry - whichever happens first
+  function waitForReconnect(instance, delay) {
+    return new Promise((resolve) => {
+      const timer = delay == null ? null : setTimeout(wake, delay);
+      function wake() {
+        clearTimeout(timer);
+        instance.connection.wake = null;
+        resolve();
+      }
+      instance.connection.wake = wake;
+    });
+  }
+
+  // Runs a network task until it succeeds. Retryable failures (network errors,
+  // timeouts, 429/5xx) back off and try again; others are rethrown.
+  async function withReconnect(instance, task, onError) {
+    let attempt = 0;
+
+    for (;;) {
+      try {
+        const result = await task();
+        attempt = 0;
+        setConnectionState(instance, 'online');
+        return result;
+      } catch (error) {
+        if (error && error.retryable === false) {
+          throw error;
+        }
+
+        if (onError) onError(error, attempt);
+
+        if (!navigator.onLine) {
+          setConnectionState(instance, 'offline');
+          await waitForReconnect(instance, null);
+          attempt = 0;
+        } else if (attempt >= RECONNECT_MAX_ATTEMPTS) {
+          setConnectionState(instance, 'failed');
+          await waitForReconnect(instance, null);
+          attempt = 0;
+        } else {
+          const delay = backoffDelay(attempt);
+          attempt++;
+          setConnectionState(instance, 'reconnecting');
+          emitEvent('retry', { instanceId: instance.id, attempt: attempt, maxAttempts: RECONNECT_MAX_ATTEMPTS, reason: error ? error.message : 'unknown' });
+          await waitForReconnect(instance, delay);
+        }
+        setConnectionState(instance, 'reconnecting');
+      }
+    }
+  }
+
+  window.addEventListener('offline', () => {
+    instances.forEach((instance) => {
+      if (instance.loadStarted && instance.connection.state === 'online') {
+        setConnectionState(instance, 'offline');
+      }
+    });
+  });
+
+  window.addEventListener('online', () => {
+    instances.forEach((instance) => {
+      if (instance.connection.wake) {
+        // A pending task retries right away and settles the state itself
+        instance.connection.wake();
+      } else if (instance.connection.state === 'offline') {
+        setConnectionState(instance, 'online');
+      }
+    });
+  });
+
+  ['open', 'close', 'resize', 'maximize'].forEach((name) => {
+    document.addEventListener(EVENT_PREFIX + name, (e) => {
+      const instance = instances.get(e.detail.instanceId);
+      if (instance) requestAnimationFrame(() => positionConnectionBanner(instance));
+    });
+  });
+
+  // Client-secret cache: one entry per workflow in sessionStorage, so browsing
+  // a few pages reuses the same session instead of minting one per page view.
+  // Must not exceed SESSION_REFRESH_MARGIN in chatkit-wp.php.
+  const SECRET_STORAGE_PREFIX = 'chatkit_client_secret_';
+  const SECRET_REFRESH_MARGIN = 60 * 1000;
+  const secretRequests = new Map();
+  const secretRefreshTimers = new Map();
+
+  // Page context sent with the session request; the server looks the post up
+  // and forwards everything to the workflow as state variables
+  function buildPageContext(instance) {
+    if (!config.pageContext) return null;
+
+    return {
+      post_id: config.pageContext.postId || 0,
+      url: window.location.href.split('#')[0],
+      language: document.documentElement.lang || navigator.language || '',
+      extra: instance.context || {}
+    };
+  }
+
+  // A secret made for another page or language is not reused
+  function sessionContextKey(instance) {
+    return JSON.stringify([buildPageContext(instance), instance.language || '']);
+  }
+
+  // Short, stable digest (FNV-1a) that keeps storage keys a sane length
+  function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+  }
+
+  // Widgets share a secret only when both workflow and context match, so one
+  // never starts a session with another widget's page context or language
+  function secretCacheKey(instance) {
+    return (instance.config.workflow || 'default') + '_' + hashString(sessionContextKey(instance));
+  }
+
+  // Scoped by identity so logging in or out never reuses the other one's secret
+  function secretStorageKey(cacheKey) {
+    return SECRET_STORAGE_PREFIX + (config.identityKey || 'guest') + '_' + cacheKey;
+  }
+
+  function readCachedSecret(cacheKey) {
+    try {
+      const cached = JSON.parse(sessionStorage.getItem(secretStorageKey(cacheKey)) || 'null');
+      return cached && cached.secret && cached.expiresAt ? cached : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Any secret this identity holds, for pages without a loaded widget
+  function findAnyCachedSecret() {
+    try {
+      const prefix = secretStorageKey('');
+      const key = Object.keys(sessionStorage).find((name) => name.indexOf(prefix) === 0);
+      return key ? readCachedSecret(key.slice(prefix.length)) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function writeCachedSecret(cacheKey, entry) {
+    if (entry && !hasStorageConsent()) return;
+    try {
+      if (entry) {
+        sessionStorage.setItem(secretStorageKey(cacheKey), JSON.stringify(entry));
+      } else {
+        sessionStorage.removeItem(secretStorageKey(cacheKey));
+      }
+    } catch (e) {
+      // Storage disabled (private mode) - every page view fetches a new secret
+    }
+  }
+
+  function isSecretFresh(entry) {
+    return !!entry && entry.expiresAt - Date.now() > SECRET_REFRESH_MARGIN;
+  }
+
+  // Fetch a replacement shortly before the cached secret expires, so ChatKit
+  // gets a fresh one from the cache without waiting on the network
+  function scheduleSecretRefresh(instance, entry) {
+    const cacheKey = secretCacheKey(instance);
+    clearTimeout(secretRefreshTimers.get(cacheKey));
+
+    const delay = Math.max(entry.expiresAt - Date.now() - SECRET_REFRESH_MARGIN, 30 * 1000);
+    secretRefreshTimers.set(cacheKey, setTimeout(() => {
+      if (document.hidden) return; // ChatKit asks again when the visitor is back
+      requestClientSecret(instance, entry.secret).catch(() => {});
+    }, delay));
+  }
+
+  // One network request per workflow and context at a time, shared by every
+  // widget using them
+  function requestClientSecret(instance, currentClientSecret) {
+    const cacheKey = secretCacheKey(instance);
+    if (!secretRequests.has(cacheKey)) {
+      const request = fetchClientSecret(instance, currentClientSecret).then((entry) => {
+        writeCachedSecret(cacheKey, entry);
+        scheduleSecretRefresh(instance, entry);
+        return entry;
+      }).finally(() => {
+        secretRequests.delete(cacheKey);
+      });
+      secretRequests.set(cacheKey, request);
+    }
+    return secretRequests.get(cacheKey);
+  }
+
+  function restHeaders() {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+
+    // Without the nonce WordPress treats the REST call as logged out
+    if (config.restNonce) {
+      headers['X-WP-Nonce'] = config.restNonce;
+    }
+
+    return headers;
+  }
+
+  async function fetchClientSecret(instance, currentClientSecret) {
+    if (!config.restUrl) {
+      throw new Error('Missing configuration');
+    }
+
+    const headers = restHeaders();
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+    let response;
+    try {
+      response = await fetch(config.restUrl, {
+        method: 'POST',
+        headers: headers,
+        body: JSON.stringify({
+          workflow: instance.config.workflow || '',
+          current_client_secret: currentClientSecret || '',
+          context: buildPageContext(instance),
+          prechat: getPrechatAnswers(instance) || {},
+          language: instance.language || '',
+          // Without it the server sets no visitor cookie in consent mode
+          storage_consent: hasStorageConsent()
+        }),
+        signal: controller.signal,
+        credentials: 'same-origin'
+      });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+
+      console.error('ChatKit Session Error:', {
+        status: response.status,
+        statusText: response.statusText,
+        error: errorData
+      });
+
+      const error = new Error(errorData.message || `HTTP ${response.status}`);
+      // Rate limits and server/upstream errors are worth retrying; 4xx are not
+      error.retryable = response.status === 429 || response.status >= 500;
+      throw error;
+    }
+
+    const data = await response.json();
+
+    if (!data.client_secret) {
+      throw new Error('Invalid response: missing client_secret');
+    }
+
+    return {
+      secret: data.client_secret,
+      contextKey: sessionContextKey(instance),
+      // Server reports seconds; fall back to ChatKit's default 10 minute lifetime
+      expiresAt: data.expires_at ? data.expires_at * 1000 : Date.now() + 10 * 60 * 1000,
+      deploymentUrl: data.deployment_url || null,
+      userKey: data.user_key || ''
+    };
+  }
+
+  // ChatKit calls this with the secret it currently holds (null on first load)
+  // whenever it needs a new one
+  async function getClientSecret(instance, currentClientSecret) {
+    const cacheKey = secretCacheKey(instance);
+    const cached = readCachedSecret(cacheKey);
+
+    // Reuse the cached secret unless it is the one ChatKit wants replaced or it
+    // was created for another page (the old secret still counts as a refresh)
+    const contextKey = sessionContextKey(instance);
+    if (isSecretFresh(cached) && cached.secret !== currentClientSecret && cached.contextKey === contextKey) {
+      instance.deploymentUrl = instance.deploymentUrl || cached.deploymentUrl;
+      rememberUserKey(instance, cached.userKey);
+      if (!secretRefreshTimers.has(cacheKey)) {
+        scheduleSecretRefresh(instance, cached);
+      }
+      return cached.secret;
+    }
+
+    emitEvent('session.requested', { instanceId: instance.id, refresh: !!currentClientSecret });
+
+    try {
+      const entry = await withReconnect(
+        instance,
+        () => requestClientSecret(instance, currentClientSecret || (cached && cached.secret)),
+        (error) => emitEvent('session.failed', { instanceId: instance.id, message: error.message, willRetry: true })
+      );
+
+      // Store deployment URL if provided
+      if (entry.deploymentUrl) {
+        instance.deploymentUrl = entry.deploymentUrl;
+        console.log('✅ ChatKit: Deployment URL received:', instance.deploymentUrl);
+      } else {
+        console.warn('⚠️ ChatKit: No deployment URL in session response');
+      }
+
+      rememberUserKey(instance, entry.userKey);
+      emitEvent('session.succeeded', { instanceId: instance.id, expiresAt: entry.expiresAt });
+      
+      return entry.secret;
+
+    } catch (error) {
+      // Not retryable (configuration, workflow not allowed, ...)
+      console.error('Fetch Session Error:', error);
+      writeCachedSecret(cacheKey, null);
+
+      const errorMessage = i18nText('unableToStart', '⚠️ Unable to start chat. Please try again later.');
+      showUserError(errorMessage);
+
+      emitEvent('session.failed', { instanceId: instance.id, message: error.message, willRetry: false });
+
+      return null;
+    }
+  }
+
+  // Legacy functions for backward compatibility (delegate to ChatWindowManager)
+  function loadSizePreference() {
+    if (chatWindowManager) {
+      return {
+        size: chatWindowManager.state.size,
+        width: chatWindowManager.state.width,
+        height: chatWindowManager.state.height,
+        left: chatWindowManager.state.left,
+        top: chatWindowManager.state.top
+      };
+    }
+    return {
+      size: 'medium',
+      width: SIZE_PRESETS.medium.width,
+      height: SIZE_PRESETS.medium.height,
+      left: null,
+      top: null
+    };
+  }
+  
+  function saveSizePreference(size, width, height) {
+    if (chatWindowManager) {
+      chatWindowManager.setSize(size, width, height);
+    }
+  }
+  
+  function applySize(chatkit, size, width, height) {
+    if (chatWindowManager) {
+      chatWindowManager.setSize(size, width, height);
+    }
+  }
+  
+  function constrainToViewport(chatkit) {
+    if (chatWindowManager) {
+      chatWindowManager.constrainToViewport();
+    }
+  }
+  
+  // Handle window resize (debounced to prevent infinite loops)
+  let resizeTimeout = null;
+  window.addEventListener('resize', () => {
+    if (resizeTimeout) clearTimeout(resizeTimeout);
+    resizeTimeout = setTimeout(() => {
+      instances.forEach((instance) => {
+        positionConnectionBanner(instance);
+
+        const chatkit = instance.elements.chatkit;
+        const manager = instance.manager;
+        if (!chatkit || !manager || !manager.state.isOpen) return;
+
+        const isMobile = window.innerWidth <= 768;
+        
+        if (isMobile) {
+          // On mobile, hide controls
+          if (manager.elements.overlay) {
+            manager.elements.overlay.style.display = 'none';
+          }
+          
+          // Reset to mobile layout
+          if (manager.state.size === 'maximized') {
+            chatkit.classList.remove('chatkit-maximized');
+            manager.state.size = 'medium';
+          }
+          chatkit.style.width = '';
+          chatkit.style.height = '';
+          manager.applyPosition();
+          manager.positionResizeHandles();
+        } else {
+          // On desktop, show controls
+          manager.updateControlPosition();
+          manager.constrainToViewport();
+        }
+      });
+    }, 100);
+  });
+
+  function setupToggle(instance) {
+    const button = instance.elements.button;
+    const chatkit = instance.elements.chatkit;
+
+    if (!button || !chatkit) {
+      console.warn('ChatKit toggle elements not found');
+      return;
+    }
+
+    // Each instance gets its own ChatWindowManager
+    instance.manager = new ChatWindowManager(instance.config, { chatkit: chatkit, button: button });
+    instance.manager.onNewConversation = () => startNewConversation(instance);
+    instance.manager.onClose = () => {
+      requestNotificationPermission(instance);
+      closeExportMenu();
+      closeHandoffForm(instance);
+    };
+    instance.manager.onExport = (anchor) => toggleExportMenu(instance, anchor);
+    instance.manager.onRequestHuman = () => requestHuman(instance, { source: 'header' });
+    instance.manager.onLanguage = (anchor) => toggleLanguageMenu(instance, anchor);
+    if (instance === primaryInstance) {
+      chatWindowManager = instance.manager;
+    }
+
+    button.addEventListener('click', () => {
+      toggleChat(instance);
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && isInstanceOpen(instance)) {
+        closeChat(instance);
+      }
+    });
+
+    document.addEventListener('click', (e) => {
+      if (isInstanceOpen(instance) && 
+          !chatkit.contains(e.target) && 
+          !button.contains(e.target)) {
+        closeChat(instance);
+      }
+    });
+  }
+
+  // Inline widgets render in document flow and are always open
+  function isInstanceOpen(instance) {
+    if (instance && instance.inline) return true;
+    return !!(instance && instance.manager && instance.manager.state.isOpen);
+  }
+
+  function openChat(instance) {
+    if (!instance || instance.inline) return;
+
+    // Lazy-loaded widget: fetch the bundle/session first, then open
+    if (!instance.manager) {
+      if (nextPanel(instance)) {
+        showPanel(instance);
+        return;
+      }
+      instance.pendingOpen = true;
+      setLoadingState(instance, true);
+      loadInstance(instance).then(() => {
+        if (instance.pendingOpen) openChat(instance);
+      }, () => {}).then(() => {
+        instance.pendingOpen = false;
+        setLoadingState(instance, false);
+      });
+      return;
+    }
+
+    if (isInstanceOpen(instance)) return;
+
+    const button = instance.elements.button;
+    const chatkit = instance.elements.chatkit;
+    const manager = instance.manager;
+    const closeText = instance.config.closeText || '✕';
+    const accentColor = instance.config.accentColor || '#FF4500';
+
+    manager.open();
+    button.classList.add('chatkit-open');
+    button.textContent = closeText;
+    button.style.backgroundColor = accentColor;
+    chatkit.style.animation = 'chatkit-slide-up 0.3s ease-out';
+    
+    // Ensure chatkit has proper positioning
+    const computedPosition = window.getComputedStyle(chatkit).position;
+    if (computedPosition === 'static') {
+      chatkit.style.position = 'relative';
+    }
+    if (!chatkit.style.zIndex || parseInt(chatkit.style.zIndex) < 10000) {
+      chatkit.style.zIndex = '9998';
+    }
+    
+    // On mobile, always use full screen
+    if (window.innerWidth <= 768) {
+      document.body.style.overflow = 'hidden';
+      // Force mobile layout
+      chatkit.classList.remove('chatkit-small', 'chatkit-medium', 'chatkit-large', 'chatkit-maximized');
+      chatkit.style.width = '';
+      chatkit.style.height = '';
+      manager.applyPosition();
+    } else {
+      // Restore saved size preference on desktop
+      const saved = manager.state;
+      // Don't restore maximized on mobile-sized screens
+      if (saved.size === 'maximized' && window.innerWidth > 768) {
+        manager.setSize(saved.size, saved.width, saved.height);
+      } else if (saved.size !== 'maximized') {
+        manager.setSize(saved.size, saved.width, saved.height);
+      } else {
+        // Default to medium if saved was maximized but screen is small
+        const preset = SIZE_PRESETS.medium;
+        manager.setSize('medium', preset.width, preset.height);
+      }
+    }
+    
+    setTimeout(() => chatkit.focus(), 100);
+
+    emitEvent('open', { instanceId: instance.id, size: manager.state.size });
+  }
+
+  function closeChat(instance) {
+    if (instance && isPanelOpen(instance)) {
+      hidePanel(instance);
+      return;
+    }
+    if (instance && instance.pendingOpen) {
+      instance.pendingOpen = false;
+      setLoadingState(instance, false);
+      return;
+    }
+    if (!isInstanceOpen(instance) || instance.inline) return;
+
+    // ChatWindowManager.close() restores button text/color and focus
+    instance.manager.close();
+    document.body.style.overflow = '';
+
+    emitEvent('close', { instanceId: instance.id });
+  }
+
+  function toggleChat(instance) {
+    if (instance.inline) return;
+
+    if (isPanelOpen(instance)) {
+      hidePanel(instance);
+    } else if (instance.pendingOpen) {
+      // Second click while still loading cancels the pending open
+      instance.pendingOpen = false;
+      setLoadingState(instance, false);
+    } else if (isInstanceOpen(instance)) {
+      closeChat(instance);
+    } else {
+      openChat(instance);
+    }
+  }
+
+  // Pre-chat form: the admin's questions come before the widget loads, so no
+  // session exists (and nothing reaches the workflow) until the visitor has
+  // answered. Answers are kept per form version in localStorage and sent with
+  // every session request, where they become workflow state variables.
+  const PRECHAT_STORAGE_KEY = 'chatkit_prechat';
+
+  // i18n key of the problem with an answer, or '' when it is fine
+  function prechatFieldError(field, value) {
+    if (field.type === 'consent') {
+      return field.required && value !== true ? 'prechatRequired' : '';
+    }
+
+    value = typeof value === 'string' ? value.trim() : '';
+    if (value === '') {
+      return field.required ? 'prechatRequired' : '';
+    }
+    if (field.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+      return 'prechatEmail';
+    }
+    if (field.type === 'select' && !field.options.includes(value)) {
+      return 'prechatRequired';
+    }
+    return '';
+  }
+
+  // Stored answers only count while they still satisfy the current form
+  function getPrechatAnswers(instance) {
+    const prechat = instance.config.prechat;
+    if (!prechat) return null;
+    if (instance.prechatAnswers) return instance.prechatAnswers;
+
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(PRECHAT_STORAGE_KEY) || 'null');
+    } catch (e) {
+      stored = null;
+    }
+
+    const answers = stored && stored.version === prechat.version ? stored.answers : prechat.answers;
+    if (!answers || prechat.fields.some((field) => prechatFieldError(field, answers[field.key]))) {
+      return null;
+    }
+
+    instance.prechatAnswers = answers;
+    return answers;
+  }
+
+  function savePrechatAnswers(instance, answers) {
+    instance.prechatAnswers = answers;
+    if (!hasStorageConsent()) return;
+    try {
+      localStorage.setItem(PRECHAT_STORAGE_KEY, JSON.stringify({ version: instance.config.prechat.version, answers: answers }));
+    } catch (e) {
+      // Without storage the form is asked again on the next page
+    }
+  }
+
+  function needsPrechat(instance) {
+    return !!instance.config.prechat && !getPrechatAnswers(instance);
+  }
+
+  // "{privacy}" in a consent label becomes a link to the privacy policy page
+  function appendConsentLabel(instance, container, label, privacyUrl) {
+    label.split('{privacy}').forEach((part, index) => {
+      if (index > 0 && privacyUrl) {
+        const link = document.createElement('a');
+        link.href = privacyUrl;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = i18nText('privacyPolicy', 'Privacy policy');
+        container.appendChild(link);
+      }
+      container.appendChild(document.createTextNode(part));
+    });
+  }
+
+  function buildPrechatField(instance, field) {
+    const prechat = instance.config.prechat;
+    const id = 'chatkit-prechat-' + instance.id + '-' + field.key;
+    const row = document.createElement('div');
+    row.className = 'chatkit-prechat-field';
+
+    let input;
+    if (field.type === 'consent') {
+      row.classList.add('chatkit-prechat-field--consent');
+      const label = document.createElement('label');
+      input = document.createElement('input');
+      input.type = 'checkbox';
+      const text = document.createElement('span');
+      appendConsentLabel(instance, text, field.label, prechat.privacyUrl);
+      label.appendChild(input);
+      label.appendChild(text);
+      row.appendChild(label);
+    } else {
+      const label = document.createElement('label');
+      label.htmlFor = id;
+      label.textContent = field.label + (field.required ? ' *' : '');
+      row.appendChild(label);
+
+      if (field.type === 'select') {
+        input = document.createElement('select');
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = i18nText('prechatChoose', 'Choose…');
+        input.appendChild(placeholder);
+        field.options.forEach((value) => {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = value;
+          input.appendChild(option);
+        });
+      } else {
+        input = document.createElement('input');
+        input.type = field.type;
+        input.maxLength = 200;
+        if (field.type === 'email') input.autocomplete = 'email';
+        if (field.type === 'tel') input.autocomplete = 'tel';
+        if (field.key === 'name') input.autocomplete = 'name';
+        input.value = (prechat.prefill && prechat.prefill[field.key]) || '';
+      }
+      row.appendChild(input);
+    }
+
+    input.id = id;
+    input.name = field.key;
+    input.required = field.required;
+
+    const error = document.createElement('div');
+    error.className = 'chatkit-prechat-error';
+    error.id = id + '-error';
+    input.setAttribute('aria-describedby', error.id);
+    row.appendChild(error);
+
+    return row;
+  }
+
+  function buildPrechatForm(instance) {
+    const prechat = instance.config.prechat;
+    const form = document.createElement('form');
+    form.className = 'chatkit-prechat';
+    form.noValidate = true;
+    form.setAttribute('aria-label', prechat.submit);
+
+    if (prechat.intro) {
+      const intro = document.createElement('p');
+      intro.className = 'chatkit-prechat-intro';
+      intro.textContent = prechat.intro;
+      form.appendChild(intro);
+    }
+
+    prechat.fields.forEach((field) => form.appendChild(buildPrechatField(instance, field)));
+
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.className = 'chatkit-prechat-submit';
+    submit.textContent = prechat.submit;
+    submit.style.backgroundColor = instance.config.accentColor || '#FF4500';
+    form.appendChild(submit);
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+
+      const answers = {};
+      let firstInvalid = null;
+
+      prechat.fields.forEach((field) => {
+        const input = form.elements[field.key];
+        const value = field.type === 'consent' ? input.checked : input.value.trim();
+        const errorKey = prechatFieldError(field, value);
+        const error = document.getElementById(input.getAttribute('aria-describedby'));
+
+        error.textContent = errorKey ? i18nText(errorKey, 'Please fill in this field.') : '';
+        input.setAttribute('aria-invalid', errorKey ? 'true' : 'false');
+        if (errorKey && !firstInvalid) firstInvalid = input;
+
+        if (value !== '') answers[field.key] = value;
+      });
+
+      if (firstInvalid) {
+        firstInvalid.focus();
+        return;
+      }
+
+      savePrechatAnswers(instance, answers);
+      emitEvent('prechat.submitted', { instanceId: instance.id, fields: Object.keys(answers) });
+      completePanel(instance);
+    });
+
+    return form;
+  }
+
+  // Panels stand in for the widget until it may load: the storage consent
+  // notice first, then the pre-chat form. Floating widgets show them next to
+  // the toggle button, inline widgets in place of the chat.
+  function nextPanel(instance) {
+    if (!hasStorageConsent()) return 'consent';
+    if (needsPrechat(instance)) return 'prechat';
+    return null;
+  }
+
+  function isPanelOpen(instance) {
+    return !instance.inline && !!instance.panel && !instance.panel.hidden;
+  }
+
+  // Close button and Escape for panels floating over the page
+  function addPanelDismiss(instance, panel) {
+    panel.setAttribute('role', 'dialog');
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'chatkit-panel-close';
+    close.setAttribute('aria-label', i18nText('dismissTeaser', 'Dismiss'));
+    close.textContent = '×';
+    close.addEventListener('click', () => hidePanel(instance));
+    panel.insertBefore(close, panel.firstChild);
+
+    panel.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape') return;
+      e.stopPropagation();
+      hidePanel(instance);
+    });
+    // Clicks inside must not reach the document handler that closes the chat
+    panel.addEventListener('click', (e) => e.stopPropagation());
+  }
+
+  function showPanel(instance) {
+    const kind = nextPanel(instance);
+    if (!kind) return;
+
+    const button = instance.elements.button;
+
+    if (instance.panel && instance.panel.getAttribute('data-panel') !== kind) {
+      removePanel(instance);
+    }
+
+    if (!instance.panel) {
+      const panel = kind === 'consent' ? buildConsentNotice(instance) : buildPrechatForm(instance);
+      panel.classList.add('chatkit-panel');
+      panel.setAttribute('data-panel', kind);
+      if (instance.inline && instance.elements.root) {
+        panel.classList.add('chatkit-panel--inline');
+        instance.elements.chatkit.hidden = true;
+        instance.elements.root.insertBefore(panel, instance.elements.chatkit);
+      } else {
+        panel.classList.add('chatkit-panel--floating');
+        addPanelDismiss(instance, panel);
+        document.body.appendChild(panel);
+      }
+      instance.panel = panel;
+    }
+
+    instance.panel.hidden = false;
+    if (!instance.inline) {
+      hideTeaser(instance);
+      positionPanel(instance);
+      if (button) button.setAttribute('aria-expanded', 'true');
+      const first = instance.panel.querySelector('input, select, button:not(.chatkit-panel-close)');
+      if (first) first.focus();
+    }
+
+    emitEvent(kind + '.shown', { instanceId: instance.id });
+  }
+
+  function hidePanel(instance) {
+    if (!instance.panel || instance.inline) return;
+    instance.panel.hidden = true;
+    if (instance.elements.button) {
+      instance.elements.button.setAttribute('aria-expanded', 'false');
+      instance.elements.button.focus();
+    }
+  }
+
+  function removePanel(instance) {
+    if (!instance.panel) return;
+    instance.panel.remove();
+    instance.panel = null;
+  }
+
+  // Next to the toggle button, on the side with more room
+  function positionPanel(instance) {
+    const panel = instance.panel;
+    const button = instance.elements.button;
+    if (!panel || panel.hidden || instance.inline || !button) return;
+
+    const rect = button.getBoundingClientRect();
+    const onRight = rect.left + rect.width / 2 > window.innerWidth / 2;
+    const onBottom = rect.top + rect.height / 2 > window.innerHeight / 2;
+
+    panel.style.left = onRight ? '' : Math.max(rect.left, 8) + 'px';
+    panel.style.right = onRight ? Math.max(window.innerWidth - rect.right, 8) + 'px' : '';
+    panel.style.top = onBottom ? '' : (rect.bottom + 12) + 'px';
+    panel.style.bottom = onBottom ? (window.innerHeight - rect.top + 12) + 'px' : '';
+    panel.style.maxHeight = Math.max((onBottom ? rect.top : window.innerHeight - rect.bottom) - 24, 200) + 'px';
+  }
+
+  // A step is done: show the next panel, or the widget itself
+  function completePanel(instance) {
+    removePanel(instance);
+
+    if (nextPanel(instance)) {
+      showPanel(instance);
+    } else if (instance.inline) {
+      instance.elements.chatkit.hidden = false;
+      loadInstance(instance);
+    } else {
+      openChat(instance);
+    }
+  }
+
+  window.addEventListener('resize', () => {
+    instances.forEach((instance) => positionPanel(instance));
+  });
+
+  // Loading strategy: 'eager' (on DOM ready), 'idle' (requestIdleCallback) or
+  // 'interaction' (first hover/focus/click of the toggle button). Until a widget
+  // loads, only its button is on the page - no CDN bundle, no session.
+  const LOAD_STRATEGIES = ['eager', 'idle', 'interaction'];
+
+  function getLoadStrategy(instance) {
+    const strategy = LOAD_STRATEGIES.includes(instance.config.loadStrategy) ? instance.config.loadStrategy : 'eager';
+    // Inline widgets have no button to interact with
+    if (strategy === 'interaction' && (instance.inline || !instance.elements.button)) {
+      return 'idle';
+    }
+    return strategy;
+  }
+
+  function loadInstance(instance) {
+    if (!instance.loadStarted && !nextPanel(instance)) {
+      instance.loadStarted = true;
+      initChatKit(instance);
+    }
+    return instance.ready.promise;
+  }
+
+  function setLoadingState(instance, loading) {
+    const button = instance.elements.button;
+    if (!button) return;
+    button.classList.toggle('chatkit-loading', loading);
+    if (loading) {
+      button.setAttribute('aria-busy', 'true');
+    } else {
+      button.removeAttribute('aria-busy');
+    }
+  }
+
+  function scheduleIdleLoad(instance) {
+    if ('requestIdleCallback' in window) {
+      window.requestIdleCallback(() => loadInstance(instance), { timeout: 5000 });
+    } else {
+      setTimeout(() => loadInstance(instance), 2000);
+    }
+  }
+
+  // Before the widget loads: hover/focus prefetches, click loads and opens.
+  // setupToggle() takes over the button once initChatKit has run.
+  function setupInteractionLoad(instance) {
+    const button = instance.elements.button;
+
+    const prefetch = () => loadInstance(instance);
+    const onClick = () => {
+      if (!instance.manager) toggleChat(instance);
+    };
+
+    button.addEventListener('pointerenter', prefetch, { once: true });
+    button.addEventListener('focus', prefetch, { once: true });
+    button.addEventListener('touchstart', prefetch, { once: true, passive: true });
+    button.addEventListener('click', onClick);
+
+    instance.ready.promise.then(() => {
+      button.removeEventListener('click', onClick);
+    }, () => {});
+  }
+
+  function scheduleLoad(instance) {
+    // Nothing loads before storage consent and the pre-chat form
+    if (nextPanel(instance)) {
+      if (instance.inline) {
+        showPanel(instance);
+      } else {
+        setupInteractionLoad(instance);
+      }
+      return;
+    }
+
+    switch (getLoadStrategy(instance)) {
+      case 'interaction':
+        setupInteractionLoad(instance);
+        break;
+      case 'idle':
+        scheduleIdleLoad(instance);
+        break;
+      default:
+        loadInstance(instance);
+    }
+  }
+
+  // Languages: config.languages.list holds { code, label } with the default
+  // language first, and config.languages.texts the other languages' greeting,
+  // placeholder, prompts and disclaimer. A language picked in the switcher is
+  // remembered; otherwise the page language (Polylang/WPML, then <html lang>)
+  // and the browser's languages are tried in the configured order.
+  const LANGUAGE_STORAGE_KEY = 'chatkit_language';
+  const LANGUAGE_TEXT_KEYS = ['greetingText', 'memberGreetingText', 'placeholderText', 'disclaimerText', 'prompts'];
+
+  function normalizeLanguageTag(tag) {
+    return String(tag || '').trim().replace(/_/g, '-').toLowerCase();
+  }
+
+  // The configured code for a language tag: exact match first, then the same
+  // base language (fr-CA -> fr, zh-Hans -> zh)
+  function matchLanguage(tag) {
+    const list = config.languages ? config.languages.list : [];
+    const wanted = normalizeLanguageTag(tag);
+    if (!wanted) return '';
+
+    const exact = list.find((language) => normalizeLanguageTag(language.code) === wanted);
+    if (exact) return exact.code;
+
+    const base = wanted.split('-')[0];
+    const sameBase = list.find((language) => normalizeLanguageTag(language.code).split('-')[0] === base);
+    return sameBase ? sameBase.code : '';
+  }
+
+  function getStoredLanguage() {
+    try {
+      return localStorage.getItem(LANGUAGE_STORAGE_KEY) || '';
+    } catch (e) {
+      return '';
+    }
+  }
+
+  function detectLanguage(instance) {
+    const languages = config.languages;
+    const pageTags = [languages.siteLanguage, document.documentElement.lang];
+    const browserTags = navigator.languages && navigator.languages.length ? Array.from(navigator.languages) : [navigator.language];
+    const detected = languages.detection === 'off' ? []
+      : languages.detection === 'browser' ? browserTags.concat(pageTags) : pageTags.concat(browserTags);
+
+    // The visitor's own pick, then a language="" shortcode attribute
+    const candidates = [getStoredLanguage(), instance.config.language].concat(detected);
+    for (let i = 0; i < candidates.length; i++) {
+      const code = matchLanguage(candidates[i]);
+      if (code) return code;
+    }
+    return languages.list[0].code;
+  }
+
+  function getLanguageLabel(code) {
+    const language = config.languages.list.find((entry) => entry.code === code);
+    return language ? language.label : code;
+  }
+
+  // Texts given on the shortcode stay as they are in every language
+  function applyLanguageTexts(instance, code) {
+    const texts = config.languages.texts[code] || {};
+    const overrides = parseInstanceConfig(instance.elements.root);
+    LANGUAGE_TEXT_KEYS.forEach((key) => {
+      instance.config[key] = key in overrides ? overrides[key] : (key in texts ? texts[key] : config[key]);
+    });
+    instance.language = code;
+  }
+
+  function applyLanguageOptions(instance, options) {
+    const instanceConfig = instance.config;
+    options.locale = instance.language;
+    options.composer = Object.assign({}, options.composer, { placeholder: instanceConfig.placeholderText || 'Send a message...' });
+    options.startScreen = Object.assign({}, options.startScreen, {
+      greeting: buildGreeting(instanceConfig),
+      prompts: buildPrompts(instanceConfig)
+    });
+
+    if (instanceConfig.disclaimerText && instanceConfig.disclaimerText.trim() !== '') {
+      options.disclaimer = { text: instanceConfig.disclaimerText, highContrast: toBool(instanceConfig.disclaimerHighContrast) };
+    } else {
+      delete options.disclaimer;
+    }
+
+    // Stay in the current conversation
+    if (instance.threadId) {
+      options.initialThread = instance.threadId;
+    } else {
+      delete options.initialThread;
+    }
+  }
+
+  // The next session carries the new language to the workflow; the cached
+  // secret is keyed on it, so ChatKit's next request gets a new one
+  function setLanguage(instance, code, source) {
+    code = config.languages ? matchLanguage(code) : '';
+    if (!instance || !code) return false;
+
+    if (source === 'switcher' && hasStorageConsent()) {
+      try {
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, code);
+      } catch (e) {
+        // Storage disabled - the choice lasts for this page view
+      }
+    }
+    if (code === instance.language) return true;
+
+    applyLanguageTexts(instance, code);
+
+    const chatkit = instance.elements.chatkit;
+    if (instance.options && chatkit && typeof chatkit.setOptions === 'function') {
+      applyLanguageOptions(instance, instance.options);
+      chatkit.setOptions(instance.options);
+    }
+
+    emitEvent('language.change', { instanceId: instance.id, language: code, source: source, label: code });
+    return true;
+  }
+
+  // Shares the export menu's slot, so only one header menu is open at a time
+  function toggleLanguageMenu(instance, anchor) {
+    const wasOpenHere = exportMenu && exportMenu.anchor === anchor;
+    closeExportMenu();
+    if (wasOpenHere) return;
+
+    const menu = document.createElement('div');
+    menu.className = 'chatkit-export-menu chatkit-language-menu';
+    menu.setAttribute('role', 'menu');
+    menu.setAttribute('aria-label', i18nText('language', 'Language'));
+
+    config.languages.list.forEach((language) => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'chatkit-export-item';
+      item.setAttribute('role', 'menuitemradio');
+      item.setAttribute('aria-checked', language.code === instance.language ? 'true' : 'false');
+      item.lang = language.code;
+      item.textContent = language.label;
+      item.addEventListener('click', () => {
+        // Every widget on the page follows the visitor's pick
+        instances.forEach((other) => setLanguage(other, language.code, 'switcher'));
+        closeExportMenu();
+        anchor.focus();
+      });
+      menu.appendChild(item);
+    });
+
+    menu.addEventListener('click', (e) => e.stopPropagation());
+    document.body.appendChild(menu);
+
+    const rect = anchor.getBoundingClientRect();
+    const menuWidth = menu.offsetWidth;
+    menu.style.top = Math.min(rect.bottom + 6, window.innerHeight - menu.offsetHeight - 8) + 'px';
+    menu.style.left = Math.max(Math.min(rect.right - menuWidth, window.innerWidth - menuWidth - 8), 8) + 'px';
+
+    const onOutsideClick = () => closeExportMenu();
+    const onKeydown = (e) => {
+      if (e.key !== 'Escape') return;
+      e.stopPropagation();
+      closeExportMenu();
+      anchor.focus();
+    };
+    document.addEventListener('click', onOutsideClick);
+    document.addEventListener('keydown', onKeydown, true);
+
+    anchor.setAttribute('aria-expanded', 'true');
+    exportMenu = { menu: menu, anchor: anchor, onOutsideClick: onOutsideClick, onKeydown: onKeydown };
+
+    const current = menu.querySelector('[aria-checked="true"]') || menu.querySelector('.chatkit-export-item');
+    if (current) current.focus();
+  }
+
+  // Replaces {name} with a logged-in member's display name. For visitors the
+  // placeholder (and a leading comma/space) is dropped: "Hi {name}!" -> "Hi!"
+  function personalize(text, config) {
+    if (typeof text !== 'string' || text.indexOf('{name}') === -1) return text;
+    if (toBool(config.isAuthenticated) && config.userDisplayName) {
+      return text.split('{name}').join(config.userDisplayName);
+    }
+    return text.replace(/,?\s*\{name\}/g, '').trim();
+  }
+
+  function buildGreeting(config) {
+    const greeting = toBool(config.isAuthenticated) && config.memberGreetingText
+      ? config.memberGreetingText
+      : config.greetingText;
+    return personalize(greeting || 'How can I help you today?', config);
+  }
+
+  function buildPrompts(config) {
+    const prompts = [];
+
+    // Support for new array format
+    if (config.prompts && Array.isArray(config.prompts) && config.prompts.length > 0) {
+      config.prompts.forEach(prompt => {
+        if (prompt && prompt.label && prompt.text) {
           prompts.push({
             icon: prompt.icon || 'circle-question',
-            label: prompt.label,
-            prompt: prompt.text
+            label: personalize(prompt.label, config),
+            prompt: personalize(prompt.text, config)
           });
         }
       });
@@ -937,332 +4161,133 @@
     return prompts;
   }
 
-  function showUserError(message) {
-    const errorDiv = document.createElement('div');
-    errorDiv.style.cssText = 'position: fixed; bottom: 20px; right: 20px; padding: 15px 20px; background: #f8d7da; color: #721c24; border-radius: 8px; box-shadow: 0 4px 16px rgba(0,0,0,0.15); z-index: 9999; max-width: 300px; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;';
-    errorDiv.setAttribute('role', 'alert');
-    errorDiv.innerHTML = `<p style="margin: 0; font-size: 14px;">${message}</p>`;
-    document.body.appendChild(errorDiv);
-
-    setTimeout(() => {
-      if (errorDiv.parentNode) {
-        errorDiv.style.opacity = '0';
-        errorDiv.style.transition = 'opacity 0.3s ease';
-        setTimeout(() => errorDiv.remove(), 300);
-      }
-    }, 5000);
-  }
-  
-  // Update resize button active states (delegate to ChatWindowManager)
-  function updateResizeButtons() {
-    if (chatWindowManager) {
-      chatWindowManager.updateResizeButtons();
-    }
-  }
-  
-  // Setup resize control buttons (delegate to ChatWindowManager)
-  function setupResizeControls(chatkitElement) {
-    if (chatWindowManager) {
-      chatWindowManager.setupResizeControls(chatkitElement);
+  // Composer model picker - the first admin-listed model is the default
+  function buildComposerModels(config) {
+    if (!toBool(config.enableModelPicker) || !Array.isArray(config.composerModels)) {
+      return null;
     }
+
+    const models = config.composerModels
+      .filter(model => model && model.id)
+      .map((model, index) => ({
+        id: model.id,
+        label: model.label || model.id,
+        ...(model.description && { description: model.description }),
+        ...(index === 0 && { default: true })
+      }));
+
+    return models.length > 0 ? models : null;
   }
-  
-  // Legacy setupResizeControls function (kept for compatibility)
-  function setupResizeControlsLegacy(chatkitElement) {
-    // Always add controls on desktop, even if header is disabled (use overlay)
-    if (window.innerWidth <= 768) {
-      return;
-    }
-    
-    // If header is disabled, use overlay approach
-    if (!toBool(config.showHeader)) {
-      createOverlayResizeControls(chatkitElement);
-      return;
-    }
-    
-    // Check if controls already exist
-    if (document.querySelector('.chatkit-resize-controls')) {
-      updateResizeButtons();
-      return;
+
+  // Composer tool menu - the selected tool ID is passed to the workflow
+  function buildComposerTools(config) {
+    if (!toBool(config.enableTools) || !Array.isArray(config.composerTools)) {
+      return null;
     }
-    
-    // Try multiple approaches to find header
-    let header = null;
-    let attempts = 0;
-    const maxAttempts = 10;
-    
-    const tryFindHeader = () => {
-      attempts++;
-      
-      // Try shadow DOM first
-      if (chatkitElement.shadowRoot) {
-        header = chatkitElement.shadowRoot.querySelector('header') ||
-                chatkitElement.shadowRoot.querySelector('[role="banner"]');
-      }
-      
-      // Try regular DOM
-      if (!header) {
-        header = chatkitElement.querySelector('header') ||
-                chatkitElement.querySelector('[role="banner"]');
-      }
-      
-      // Try finding by class or data attribute
-      if (!header) {
-        const allElements = chatkitElement.shadowRoot 
-          ? Array.from(chatkitElement.shadowRoot.querySelectorAll('*'))
-          : Array.from(chatkitElement.querySelectorAll('*'));
-        header = allElements.find(el => 
-          el.tagName === 'HEADER' || 
-          el.getAttribute('role') === 'banner' ||
-          el.classList.contains('header') ||
-          el.classList.contains('chatkit-header')
-        );
-      }
-      
-      if (header) {
-        injectResizeControls(header);
-      } else if (attempts < maxAttempts) {
-        setTimeout(tryFindHeader, 200);
-      } else {
-        // Fallback: create overlay controls if header not found
-        createOverlayResizeControls(chatkitElement);
-      }
-    };
-    
-    // Start trying after a short delay
-    setTimeout(tryFindHeader, 300);
+
+    const tools = config.composerTools
+      .filter(tool => tool && tool.id)
+      .map(tool => ({
+        id: tool.id,
+        label: tool.label || tool.id,
+        icon: tool.icon || 'sparkle',
+        ...(tool.placeholder && { placeholderOverride: tool.placeholder })
+      }));
+
+    return tools.length > 0 ? tools : null;
   }
-  
-  // Inject controls into header
-  function injectResizeControls(header) {
-    // Check if controls already exist
-    if (header.querySelector('.chatkit-resize-controls')) {
-      updateResizeButtons();
-      return;
-    }
-    
-    // Create resize controls container
-    const controls = document.createElement('div');
-    controls.className = 'chatkit-resize-controls';
-    controls.setAttribute('role', 'toolbar');
-    controls.setAttribute('aria-label', 'Window size controls');
-    
-    // Create size buttons with SVG icons
-    const sizes = [
-      { 
-        key: 'small', 
-        label: 'Small window', 
-        icon: '<svg width="14" height="14" viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="1.5"><rect x="2" y="2" width="10" height="10" rx="1"/></svg>' 
-      },
-      { 
-        key: 'medium', 
-        label: 'Medium window', 
-        icon: '<svg width="14" height="14" viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="1.5"><rect x="1.5" y="1.5" width="11" height="11" rx="1"/><rect x="3.5" y="3.5" width="7" height="7" rx="0.5"/></svg>' 
-      },
-      { 
-        key: 'large', 
-        label: 'Large window', 
-        icon: '<svg width="14" height="14" viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="1.5"><rect x="1" y="1" width="12" height="12" rx="1"/><rect x="2.5" y="2.5" width="9" height="9" rx="0.5"/><rect x="4" y="4" width="6" height="6" rx="0.5"/></svg>' 
-      },
-      { 
-        key: 'maximize', 
-        label: 'Maximize window', 
-        icon: '<svg width="14" height="14" viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="1.5"><path d="M2 5h10v7H2z"/><path d="M5 2h7v7"/></svg>' 
-      }
-    ];
-    
-    sizes.forEach(size => {
-      const btn = document.createElement('button');
-      btn.className = 'chatkit-resize-btn';
-      btn.setAttribute('data-size', size.key);
-      btn.setAttribute('aria-label', size.label);
-      btn.setAttribute('title', size.label);
-      btn.setAttribute('type', 'button');
-      btn.innerHTML = `<span class="chatkit-icon">${size.icon}</span>`;
-      
-      btn.addEventListener('click', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        handlePresetSize(size.key);
-      });
-      
-      controls.appendChild(btn);
-    });
-    
-    // Insert controls into header
-    // Try to find right action area or append to end
-    const rightAction = header.querySelector('[data-right-action]') || 
-                       header.querySelector('.right-action') ||
-                       header.querySelector('div:last-child');
-    
-    if (rightAction && rightAction.parentNode === header) {
-      header.insertBefore(controls, rightAction);
-    } else {
-      header.appendChild(controls);
+
+  async function fetchEntities(config, path, params) {
+    const url = new URL(config.entitiesUrl + path, window.location.href);
+    Object.keys(params || {}).forEach(key => url.searchParams.set(key, params[key]));
+
+    const response = await fetch(url.toString(), { credentials: 'same-origin' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
     }
-    
-    // Update button states
-    updateResizeButtons();
+    return response.json();
   }
-  
-  // Fallback: Create overlay controls if header not accessible
-  function createOverlayResizeControls(chatkitElement) {
-    // Check if overlay already exists
-    const existing = document.querySelector('.chatkit-resize-controls-overlay');
-    if (existing) {
-      updateResizeButtons();
-      return;
+
+  // Entity tags (@-mentions) backed by the /chatkit/v1/entities route
+  function buildEntitiesOptions(config) {
+    if (!toBool(config.enableEntityTags) || !config.entitiesUrl) {
+      return null;
     }
-    
-    // Create overlay container - append to body with fixed positioning
-    const overlay = document.createElement('div');
-    overlay.className = 'chatkit-resize-controls-overlay';
-    
-    // Create resize controls container
-    const controls = document.createElement('div');
-    controls.className = 'chatkit-resize-controls';
-    controls.setAttribute('role', 'toolbar');
-    controls.setAttribute('aria-label', 'Window size controls');
-    
-    // Create size buttons with SVG icons
-    const sizes = [
-      { 
-        key: 'small', 
-        label: 'Small window', 
-        icon: '<svg width="14" height="14" viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="1.5"><rect x="2" y="2" width="10" height="10" rx="1"/></svg>' 
-      },
-      { 
-        key: 'medium', 
-        label: 'Medium window', 
-        icon: '<svg width="14" height="14" viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="1.5"><rect x="1.5" y="1.5" width="11" height="11" rx="1"/><rect x="3.5" y="3.5" width="7" height="7" rx="0.5"/></svg>' 
+
+    return {
+      onTagSearch: async (query) => {
+        try {
+          return await fetchEntities(config, '', { search: query });
+        } catch (e) {
+          console.warn('⚠️ Entity search failed:', e);
+          return [];
+        }
       },
-      { 
-        key: 'large', 
-        label: 'Large window', 
-        icon: '<svg width="14" height="14" viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="1.5"><rect x="1" y="1" width="12" height="12" rx="1"/><rect x="2.5" y="2.5" width="9" height="9" rx="0.5"/><rect x="4" y="4" width="6" height="6" rx="0.5"/></svg>' 
+      onClick: (entity) => {
+        if (entity.data && entity.data.url) {
+          window.location.href = entity.data.url;
+        }
       },
-      { 
-        key: 'maximize', 
-        label: 'Maximize window', 
-        icon: '<svg width="14" height="14" viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="1.5"><path d="M2 5h10v7H2z"/><path d="M5 2h7v7"/></svg>' 
-      }
-    ];
-    
-    sizes.forEach(size => {
-      const btn = document.createElement('button');
-      btn.className = 'chatkit-resize-btn';
-      btn.setAttribute('data-size', size.key);
-      btn.setAttribute('aria-label', size.label);
-      btn.setAttribute('title', size.label);
-      btn.setAttribute('type', 'button');
-      btn.innerHTML = `<span class="chatkit-icon">${size.icon}</span>`;
-      
-      btn.addEventListener('click', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        handlePresetSize(size.key);
-      });
-      
-      controls.appendChild(btn);
-    });
-    
-    overlay.appendChild(controls);
-    document.body.appendChild(overlay);
-    
-    // Centralized position update function - handles all states
-    const updateOverlayPosition = () => {
-      const chatkit = document.getElementById('myChatkit');
-      
-      // Hide controls when chat is closed
-      if (!chatkit || !isOpen || chatkit.style.display === 'none') {
-        overlay.style.display = 'none';
-        return;
-      }
-      
-      // Show controls when open
-      overlay.style.display = 'block';
-      
-      const rect = chatkit.getBoundingClientRect();
-      const isMaximized = resizeState.currentSize === 'maximized';
-      
-      // Reduced padding for tighter integration with window edge (like native window controls)
-      const controlPadding = 6;
-      
-      if (isMaximized) {
-        // Maximized: Position at top-right of viewport, close to edge
-        overlay.style.cssText = `
-          position: fixed;
-          top: ${controlPadding}px;
-          right: ${controlPadding}px;
-          z-index: 10002;
-          pointer-events: none;
-        `;
-      } else {
-        // Regular size: Position at top-right of chat window, aligned to window edge
-        const topOffset = rect.top + controlPadding;
-        const rightOffset = window.innerWidth - rect.right + controlPadding;
-        overlay.style.cssText = `
-          position: fixed;
-          top: ${topOffset}px;
-          right: ${rightOffset}px;
-          z-index: 10002;
-          pointer-events: none;
-        `;
+      onRequestPreview: async (entity) => {
+        try {
+          const data = entity.data && entity.data.url
+            ? entity.data
+            : (await fetchEntities(config, '/' + encodeURIComponent(entity.id))).data;
+
+          return {
+            preview: {
+              type: 'Card',
+              size: 'sm',
+              children: [
+                { type: 'Title', value: entity.title, size: 'sm' },
+                ...(data.excerpt ? [{ type: 'Text', value: data.excerpt, size: 'sm' }] : [])
+              ]
+            }
+          };
+        } catch (e) {
+          console.warn('⚠️ Entity preview failed:', e);
+          return { preview: null };
+        }
       }
-      
-      controls.style.cssText = 'pointer-events: auto;';
-    };
-    
-    // Initial positioning
-    updateOverlayPosition();
-    
-    // Update position when chatkit moves or state changes
-    const overlayObserver = new MutationObserver(() => {
-      updateOverlayPosition();
-    });
-    overlayObserver.observe(chatkitElement, { attributes: true, attributeFilter: ['style'] });
-    
-    // Update on window resize
-    const resizeHandler = () => {
-      updateOverlayPosition();
     };
-    window.addEventListener('resize', resizeHandler);
-    
-    // Store for cleanup
-    chatkitElement._overlayObserver = overlayObserver;
-    chatkitElement._overlayResizeHandler = resizeHandler;
-    chatkitElement._overlayUpdatePosition = updateOverlayPosition;
-    
-    // Update button states
-    updateResizeButtons();
+  }
+
+  function showUserError(message) {
+    const errorDiv = document.createElement('div');
+    errorDiv.style.cssText = 'position: fixed; bottom: 20px; right: 20px; padding: 15px 20px; background: #f8d7da; color: #721c24; border-radius: 8px; box-shadow: 0 4px 16px rgba(0,0,0,0.15); z-index: 9999; max-width: 300px; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;';
+    errorDiv.setAttribute('role', 'alert');
+    const text = document.createElement('p');
+    text.style.cssText = 'margin: 0; font-size: 14px;';
+    text.textContent = message;
+    errorDiv.appendChild(text);
+    document.body.appendChild(errorDiv);
+
+    setTimeout(() => {
+      if (errorDiv.parentNode) {
+        errorDiv.style.opacity = '0';
+        errorDiv.style.transition = 'opacity 0.3s ease';
+        setTimeout(() => errorDiv.remove(), 300);
+      }
+    }, 5000);
   }
   
-  
-  // Setup keyboard shortcuts
-  function setupKeyboardShortcuts(chatkitElement) {
+  // Setup keyboard shortcuts (Escape is handled in setupToggle)
+  function setupKeyboardShortcuts(instance) {
     document.addEventListener('keydown', (e) => {
-      if (!isOpen) return;
-      
-      // Escape key - minimize/close (existing behavior, but ensure it works)
-      if (e.key === 'Escape') {
-        const button = document.getElementById('chatToggleBtn');
-        if (button) {
-          button.click();
-        }
-        return;
-      }
+      if (!isInstanceOpen(instance)) return;
       
       // Cmd/Ctrl + M for maximize toggle
       if ((e.metaKey || e.ctrlKey) && e.key === 'm') {
         e.preventDefault();
-        toggleMaximize();
+        instance.manager.toggleMaximize();
         return;
       }
     });
   }
   
   // Setup double-click header to maximize
-  function setupDoubleClickMaximize(chatkitElement) {
+  function setupDoubleClickMaximize(instance) {
+    const chatkitElement = instance.elements.chatkit;
     let clickTimeout = null;
     let lastClickTarget = null;
     
@@ -1283,7 +4308,7 @@
         // Double click detected
         e.preventDefault();
         e.stopPropagation();
-        toggleMaximize();
+        instance.manager.toggleMaximize();
       } else {
         lastClickTarget = e.target;
         clickTimeout = setTimeout(() => {
@@ -1318,37 +4343,48 @@
     setTimeout(tryAttachToHeader, 500);
   }
 
-  async function initChatKit() {
+  async function initChatKit(instance) {
+    // Per-instance config: global chatkitConfig merged with shortcode overrides
+    const config = instance.config;
+
     try {
       if (!config.restUrl) {
         console.error('ChatKit configuration missing: restUrl not defined');
-        const errorMsg = config.i18n?.configError || '⚠️ Chat configuration error. Please contact support.';
+        const errorMsg = i18nText('configError', '⚠️ Chat configuration error. Please contact support.');
         showUserError(errorMsg);
+        instance.ready.reject(new Error('restUrl not defined'));
         return;
       }
 
-      await loadChatkitScript();
+      await withReconnect(instance, loadChatkitScript);
 
       if (!customElements.get('openai-chatkit')) {
         await customElements.whenDefined('openai-chatkit');
       }
 
-      const chatkitElement = document.getElementById('myChatkit');
-      if (!chatkitElement) {
-        console.error('Element #myChatkit not found in DOM');
+      const chatkitElement = instance.elements.chatkit;
+      if (!chatkitElement || !chatkitElement.isConnected) {
+        console.error(`ChatKit element for instance "${instance.id}" not found in DOM`);
         
-        if (retryCount < MAX_RETRIES) {
-          retryCount++;
-          console.log(`Retrying ChatKit initialization (${retryCount}/${MAX_RETRIES})...`);
-          setTimeout(initChatKit, 1000);
+        if (instance.retryCount < MAX_RETRIES) {
+          instance.retryCount++;
+          console.log(`Retrying ChatKit initialization (${instance.retryCount}/${MAX_RETRIES})...`);
+          emitEvent('retry', { instanceId: instance.id, attempt: instance.retryCount, maxAttempts: MAX_RETRIES, reason: 'element_missing' });
+          setTimeout(() => initChatKit(instance), 1000);
         } else {
-          const errorMsg = config.i18n?.loadFailed || '⚠️ Chat widget failed to load. Please refresh the page.';
+          const errorMsg = i18nText('loadFailed', '⚠️ Chat widget failed to load. Please refresh the page.');
           showUserError(errorMsg);
+          instance.ready.reject(new Error('ChatKit element not found'));
         }
         return;
       }
 
-      setupToggle();
+      // Inline widgets have no toggle, popup window or resize controls
+      if (!instance.manager && !instance.inline) {
+        setupToggle(instance);
+      } else if (instance.inline) {
+        createInlineToolbar(instance);
+      }
 
       console.log('📋 ChatKit Config Received:', {
         showHeader: config.showHeader,
@@ -1361,15 +4397,14 @@
       // ✅ BUILD BASE OPTIONS with SAFE values
       const options = {
         api: {
-          getClientSecret: getClientSecret
+          getClientSecret: (currentClientSecret) => getClientSecret(instance, currentClientSecret)
         },
         // Add deployment URL if available (fixes relative path issues)
-        ...(deploymentUrl && { deploymentUrl: deploymentUrl }),
+        ...(instance.deploymentUrl && { deploymentUrl: instance.deploymentUrl }),
         theme: {
           colorScheme: config.themeMode || 'dark',
-          // ✅ ALWAYS FIXED (CSS handles visual customization)
-          radius: 'round',
-          density: 'normal',
+          radius: RADIUS_MAP[config.borderRadius] || 'round',
+          density: DENSITY_MAP[config.density] || 'normal',
           color: {
             accent: {
               primary: config.accentColor || '#FF4500',
@@ -1389,8 +4424,8 @@
           placeholder: config.placeholderText || 'Send a message...'
         },
         startScreen: {
-          greeting: config.greetingText || 'How can I help you today?',
-          prompts: buildPrompts()
+          greeting: buildGreeting(config),
+          prompts: buildPrompts(config)
         }
       };
 
@@ -1417,8 +4452,30 @@
         }
       }
 
-      // ✅ INITIAL THREAD ID
-      if (config.initialThreadId && config.initialThreadId.trim() !== '') {
+      // ✅ MODEL PICKER / TOOLS
+      const models = buildComposerModels(config);
+      if (models) {
+        options.composer.models = models;
+      }
+
+      const tools = buildComposerTools(config);
+      if (tools) {
+        options.composer.tools = tools;
+      }
+
+      // ✅ ENTITY TAGS
+      const entities = buildEntitiesOptions(config);
+      if (entities) {
+        options.entities = entities;
+      }
+
+      // ✅ INITIAL THREAD ID - the visitor's own last thread wins over the admin default
+      const storedThreadId = loadStoredThread(instance);
+      if (storedThreadId) {
+        options.initialThread = storedThreadId;
+        instance.threadId = storedThreadId;
+        instance.resumedThreadId = storedThreadId;
+      } else if (config.initialThreadId && config.initialThreadId.trim() !== '') {
         options.initialThread = config.initialThreadId;
         console.log('✅ Initial thread set:', config.initialThreadId);
       }
@@ -1503,22 +4560,36 @@
       };
       console.log('✅ History:', toBool(config.historyEnabled) ? 'enabled' : 'disabled');
 
-      // ✅ LOCALE
-      if (config.locale && config.locale.trim() !== '') {
+      // ✅ CLIENT TOOLS
+      options.onClientTool = (toolCall) => handleClientTool(instance, toolCall);
+
+      // ✅ LOCALE - the chat language when languages are configured
+      if (instance.language) {
+        options.locale = instance.language;
+      } else if (config.locale && config.locale.trim() !== '') {
         options.locale = config.locale;
         console.log('✅ Locale set to:', config.locale);
       }
 
+      // Kept for setLanguage(), which changes the texts and locale in place
+      instance.options = options;
+
       // Initialize ChatKit
       console.log('🚀 Initializing ChatKit with final config:', options);
       chatkitElement.setOptions(options);
-      
-      // Wait for ChatKit to initialize, then setup resize controls
-      setTimeout(() => {
-        setupResizeControls(chatkitElement);
-        setupKeyboardShortcuts(chatkitElement);
-        setupDoubleClickMaximize(chatkitElement);
-      }, 500);
+      if (!instance.eventsBound) {
+        bindChatkitEvents(instance);
+        instance.eventsBound = true;
+
+        // Wait for ChatKit to initialize, then setup resize controls
+        if (!instance.inline) {
+          setTimeout(() => {
+            instance.manager.setupResizeControls(chatkitElement);
+            setupKeyboardShortcuts(instance);
+            setupDoubleClickMaximize(instance);
+          }, 500);
+        }
+      }
 
       // Monitor for iframe creation and fix relative URLs
       const observer = new MutationObserver((mutations) => {
@@ -1554,33 +4625,685 @@
         subtree: true
       });
 
-      console.log('✅ ChatKit initialized successfully');
+      console.log(`✅ ChatKit instance "${instance.id}" initialized successfully`);
+      instance.ready.resolve(instance.api);
 
-      if (typeof gtag !== 'undefined') {
-        gtag('event', 'chatkit_initialized', {
-          event_category: 'engagement',
-          event_label: 'ChatKit Ready'
-        });
-      }
+      emitEvent('initialized', { instanceId: instance.id, workflow: config.workflow || '', label: 'ChatKit Ready' });
 
     } catch (error) {
       console.error('❌ ChatKit Initialization Error:', error);
       
-      if (retryCount < MAX_RETRIES) {
-        retryCount++;
-        console.log(`Retrying after error (${retryCount}/${MAX_RETRIES})...`);
-        setTimeout(initChatKit, 2000);
+      if (instance.retryCount < MAX_RETRIES) {
+        instance.retryCount++;
+        console.log(`Retrying after error (${instance.retryCount}/${MAX_RETRIES})...`);
+        emitEvent('retry', { instanceId: instance.id, attempt: instance.retryCount, maxAttempts: MAX_RETRIES, reason: error.message });
+        setTimeout(() => initChatKit(instance), 2000);
       } else {
-        const errorMsg = config.i18n?.loadFailed || '⚠️ Chat initialization failed. Please refresh the page.';
+        const errorMsg = i18nText('loadFailed', '⚠️ Chat initialization failed. Please refresh the page.');
         showUserError(errorMsg);
+        emitEvent('error', { instanceId: instance.id, message: error.message, fatal: true });
+        instance.ready.reject(error);
+      }
+    }
+  }
+
+  // Public JavaScript API - lets theme/page code control the widget
+  // without faking clicks on #chatToggleBtn. See README "JavaScript API".
+  // resolveInstance() is called lazily because instances register on DOM ready.
+  function createInstanceApi(resolveInstance, readyPromise) {
+    // Methods that need a live ChatKit element load a lazy widget on demand
+    const requireReadyInstance = async (opensChat) => {
+      await instancesRegistered.promise;
+      const instance = resolveInstance();
+      if (!instance) {
+        throw new Error('ChatKit widget not found');
+      }
+      // Calls that open the chat show the consent notice or pre-chat form
+      // first and go through once the visitor is past them
+      if (opensChat && nextPanel(instance)) {
+        openChat(instance);
+      }
+      await loadInstance(instance);
+      return instance;
+    };
+
+    return {
+      get id() {
+        const instance = resolveInstance();
+        return instance ? instance.id : null;
+      },
+
+      get ready() {
+        return readyPromise;
+      },
+
+      // Load the bundle and start the session now, whatever the load strategy
+      async load() {
+        await requireReadyInstance();
+      },
+
+      get isOpen() {
+        return isInstanceOpen(resolveInstance());
+      },
+
+      get state() {
+        const instance = resolveInstance();
+        const windowState = instance && instance.manager ? instance.manager.state : loadSizePreference();
+        return {
+          isOpen: isInstanceOpen(instance),
+          size: windowState.size,
+          width: windowState.width,
+          height: windowState.height,
+          left: windowState.left,
+          top: windowState.top
+        };
+      },
+
+      open() {
+        openChat(resolveInstance());
+      },
+
+      close() {
+        closeChat(resolveInstance());
+      },
+
+      toggle() {
+        const instance = resolveInstance();
+        if (instance) toggleChat(instance);
+      },
+
+      // size: 'small' | 'medium' | 'large' | 'maximized', or custom width/height in px
+      setSize(size, width, height) {
+        const instance = resolveInstance();
+        if (!instance || !instance.manager) return;
+        const manager = instance.manager;
+
+        if (size === 'maximized' || size === 'maximize') {
+          this.maximize();
+          return;
+        }
+
+        const preset = SIZE_PRESETS[size];
+        if (preset) {
+          manager.setSize(size, preset.width, preset.height);
+        } else if (parseInt(width) > 0 && parseInt(height) > 0) {
+          manager.setSize('custom', parseInt(width), parseInt(height));
+        } else {
+          console.warn('ChatKitWP.setSize: unknown size', size);
+          return;
+        }
+        emitEvent('resize', { instanceId: instance.id, size: manager.state.size, width: manager.state.width, height: manager.state.height, label: manager.state.size });
+      },
+
+      // Move the window to left/top in px; setPosition(null) docks it next to the button again
+      setPosition(left, top) {
+        const instance = resolveInstance();
+        if (!instance || !instance.manager || instance.inline) return;
+        const manager = instance.manager;
+
+        if (left === null || left === undefined) {
+          manager.resetPosition();
+          return;
+        }
+        if (!manager.canUseFreeLayout()) return;
+
+        const rect = instance.elements.chatkit.getBoundingClientRect();
+        manager.moveTo(parseInt(left) || 0, parseInt(top) || 0, rect.width, rect.height);
+        manager.savePreferences();
+        emitEvent('move', { instanceId: instance.id, left: manager.state.left, top: manager.state.top });
+      },
+
+      maximize() {
+        const instance = resolveInstance();
+        if (!instance || instance.inline) return;
+        if (!instance.manager) {
+          loadInstance(instance).then(() => this.maximize(), () => {});
+          return;
+        }
+        openChat(instance);
+        if (instance.manager.state.size !== 'maximized') {
+          instance.manager.toggleMaximize();
+        }
+      },
+
+      // Subscribe to a lifecycle event ('open', 'session.failed', ...); returns an unsubscribe function.
+      // The global ChatKitWP.on() hears every instance, ChatKitWP.get(id).on() only that one.
+      on(name, handler) {
+        const listener = (e) => {
+          const instance = resolveInstance();
+          if (resolveInstance === getPrimaryInstance || !instance || e.detail.instanceId === instance.id) {
+            handler(e.detail, e);
+          }
+        };
+        document.addEventListener(EVENT_PREFIX + name, listener);
+        return () => document.removeEventListener(EVENT_PREFIX + name, listener);
+      },
+
+      async sendMessage(text) {
+        if (!text || typeof text !== 'string') return;
+        const instance = await requireReadyInstance(true);
+        openChat(instance);
+        instance.replyCause = 'api';
+        emitMessageSent(instance, 'api');
+        try {
+          await instance.elements.chatkit.sendUserMessage({ text: text });
+        } catch (error) {
+          instance.replyCause = null;
+          throw error;
+        }
+      },
+
+      async newConversation() {
+        const instance = await requireReadyInstance();
+        await startNewConversation(instance);
+      },
+
+      get language() {
+        const instance = resolveInstance();
+        return instance ? instance.language : '';
+      },
+
+      // Switch to one of the configured languages; returns false for others
+      setLanguage(code) {
+        return setLanguage(resolveInstance(), code, 'api');
+      },
+
+      async setComposerValue(text) {
+        const instance = await requireReadyInstance(true);
+        openChat(instance);
+        const chatkit = instance.elements.chatkit;
+        await chatkit.setComposerValue({ text: typeof text === 'string' ? text : '' });
+        if (typeof chatkit.focusComposer === 'function') {
+          chatkit.focusComposer();
+        }
+      }
+    };
+  }
+
+  function getPrimaryInstance() {
+    return primaryInstance;
+  }
+
+  // Default API targets the first widget on the page; get(id) targets a specific one
+  const publicApi = Object.assign(createInstanceApi(getPrimaryInstance, primaryReady.promise), {
+    get(id) {
+      const instance = instances.get(String(id));
+      return instance ? instance.api : null;
+    },
+
+    get instances() {
+      return Array.from(instances.keys());
+    },
+
+    // Record the visitor's answer to the site's conversation logging consent prompt
+    setLoggingConsent(granted) {
+      setLoggingConsent(!!granted);
+    },
+
+    get hasLoggingConsent() {
+      return hasLoggingConsent();
+    },
+
+    // Record the visitor's answer to the site's own storage consent prompt
+    setConsent(granted) {
+      setStorageConsent(!!granted, 'api');
+    },
+
+    get hasConsent() {
+      return hasStorageConsent();
+    },
+
+    forgetMe() {
+      return forgetMe();
+    },
+
+    // Add or replace a client tool the workflow can call: handler(params, context)
+    registerClientTool(name, handler) {
+      registerClientTool(name, handler);
+    }
+  });
+
+  window.ChatKitWP = publicApi;
+
+  function parseInstanceContext(root) {
+    const raw = root ? root.getAttribute('data-chatkit-context') : null;
+    if (!raw) return {};
+    try {
+      const parsed = JSON.parse(raw);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (e) {
+      console.warn('Invalid data-chatkit-context on ChatKit instance:', e);
+      return {};
+    }
+  }
+
+  // Display rules that depend on the visitor's browser. The server already
+  // applied the rest; the widget shows only if every include rule matches and
+  // no exclude rule does. A comma-separated value matches any of its entries.
+  const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+  function ruleValues(value) {
+    return String(value || '').split(',').map((v) => v.trim()).filter(Boolean);
+  }
+
+  function wildcardMatch(pattern, text) {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp('^' + escaped + '$', 'i').test(text);
+  }
+
+  function getDeviceClass() {
+    const width = window.innerWidth;
+    if (width < 768) return 'mobile';
+    if (width <= 1024) return 'tablet';
+    return 'desktop';
+  }
+
+  // Day and minutes in the site timezone (Settings → General), not the visitor's
+  function getSiteTime() {
+    const now = new Date();
+    const tz = config.timezone || '';
+    const offset = tz.match(/^([+-])(\d{2}):(\d{2})$/);
+
+    if (offset) {
+      const minutes = (offset[1] === '-' ? -1 : 1) * (parseInt(offset[2], 10) * 60 + parseInt(offset[3], 10));
+      const shifted = new Date(now.getTime() + minutes * 60000);
+      return { day: shifted.getUTCDay(), minutes: shifted.getUTCHours() * 60 + shifted.getUTCMinutes() };
+    }
+
+    try {
+      const parts = {};
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: tz || undefined,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }).formatToParts(now).forEach((part) => { parts[part.type] = part.value; });
+
+      return {
+        day: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+        minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+      };
+    } catch (e) {
+      return { day: now.getDay(), minutes: now.getHours() * 60 + now.getMinutes() };
+    }
+  }
+
+  // One window: "mon-fri 09:00-17:00", "sat 10:00-14:00", "sun" or "09:00-17:00".
+  // Windows ending before they start run past midnight (22:00-06:00).
+  function scheduleWindowMatches(range, time) {
+    const match = range.toLowerCase().match(/^(?:([a-z]{3})(?:-([a-z]{3}))?)?\s*(?:(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2}))?$/);
+    if (!match || (!match[1] && !match[3])) return false;
+
+    if (match[1]) {
+      const from = WEEKDAYS.indexOf(match[1]);
+      const to = match[2] ? WEEKDAYS.indexOf(match[2]) : from;
+      if (from < 0 || to < 0) return false;
+      const inDays = from <= to ? (time.day >= from && time.day <= to) : (time.day >= from || time.day <= to);
+      if (!inDays) return false;
+    }
+
+    if (!match[3]) return true;
+
+    const start = parseInt(match[3], 10) * 60 + parseInt(match[4], 10);
+    const end = parseInt(match[5], 10) * 60 + parseInt(match[6], 10);
+    return start <= end
+      ? time.minutes >= start && time.minutes < end
+      : time.minutes >= start || time.minutes < end;
+  }
+
+  function displayRuleMatches(rule) {
+    const values = ruleValues(rule.value);
+
+    switch (rule.type) {
+      case 'device':
+        return values.indexOf(getDeviceClass()) !== -1;
+      case 'referrer':
+        return values.some((pattern) => wildcardMatch(pattern, document.referrer || ''));
+      case 'query': {
+        const params = new URLSearchParams(window.location.search);
+        return values.some((pair) => {
+          const [key, expected] = pair.split('=').map((v) => v.trim());
+          if (!params.has(key)) return false;
+          return expected === undefined || params.get(key).toLowerCase() === expected.toLowerCase();
+        });
+      }
+      case 'schedule': {
+        const time = getSiteTime();
+        return values.some((range) => scheduleWindowMatches(range, time));
+      }
+      default:
+        // Unknown types never block the widget
+        return rule.action !== 'exclude';
+    }
+  }
+
+  function passesDisplayRules(rules) {
+    return (Array.isArray(rules) ? rules : []).every((rule) => {
+      const matches = displayRuleMatches(rule);
+      return rule.action === 'exclude' ? !matches : matches;
+    });
+  }
+
+  // Proactive engagement: a trigger shows a teaser bubble next to the button or
+  // opens the chat. At most one fires per page view, and after the visitor
+  // engages (trigger fired, chat opened) all triggers rest for triggerCapHours.
+  const TRIGGER_STORAGE_KEY = 'chatkit_trigger_last';
+  const PAGEVIEW_STORAGE_KEY = 'chatkit_pageviews';
+
+  function isTriggerCapped() {
+    try {
+      const last = parseInt(localStorage.getItem(TRIGGER_STORAGE_KEY), 10) || 0;
+      return Date.now() - last < (config.triggerCapHours || 0) * 3600 * 1000;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function markEngaged() {
+    if (!hasStorageConsent()) return;
+    try {
+      localStorage.setItem(TRIGGER_STORAGE_KEY, String(Date.now()));
+    } catch (e) {
+      // Storage disabled - the cap only holds for this page view
+    }
+  }
+
+  // Page views in this visit (tab session), for "pageview" triggers
+  function countPageview() {
+    if (!hasStorageConsent()) return 1;
+    try {
+      const count = (parseInt(sessionStorage.getItem(PAGEVIEW_STORAGE_KEY), 10) || 0) + 1;
+      sessionStorage.setItem(PAGEVIEW_STORAGE_KEY, String(count));
+      return count;
+    } catch (e) {
+      return 1;
+    }
+  }
+
+  function triggerAppliesToPage(trigger) {
+    const pages = Array.isArray(trigger.pages) ? trigger.pages : [];
+    return pages.length === 0 || pages.some((pattern) => wildcardMatch(pattern, window.location.pathname));
+  }
+
+  // Starts watching for one trigger; returns a function that stops watching
+  function watchTrigger(trigger, pageviews, fire) {
+    const value = parseInt(trigger.value, 10) || 0;
+
+    switch (trigger.type) {
+      case 'time': {
+        const timer = setTimeout(fire, value * 1000);
+        return () => clearTimeout(timer);
+      }
+
+      case 'scroll': {
+        const onScroll = () => {
+          const height = document.documentElement.scrollHeight - window.innerHeight;
+          if (height <= 0 || (window.scrollY / height) * 100 >= value) fire();
+        };
+        window.addEventListener('scroll', onScroll, { passive: true });
+        return () => window.removeEventListener('scroll', onScroll);
+      }
+
+      case 'exit': {
+        // Touch devices have no pointer to leave the page with
+        if (!window.matchMedia('(pointer: fine)').matches) return () => {};
+        const onLeave = (e) => {
+          if (!e.relatedTarget && e.clientY <= 0) fire();
+        };
+        document.addEventListener('mouseout', onLeave);
+        return () => document.removeEventListener('mouseout', onLeave);
+      }
+
+      case 'idle': {
+        const activity = ['pointermove', 'keydown', 'scroll', 'touchstart'];
+        let timer = setTimeout(fire, value * 1000);
+        const reset = () => {
+          clearTimeout(timer);
+          timer = setTimeout(fire, value * 1000);
+        };
+        activity.forEach((name) => window.addEventListener(name, reset, { passive: true }));
+        return () => {
+          clearTimeout(timer);
+          activity.forEach((name) => window.removeEventListener(name, reset));
+        };
+      }
+
+      case 'pageview': {
+        if (pageviews < value) return () => {};
+        const timer = setTimeout(fire, 0);
+        return () => clearTimeout(timer);
+      }
+
+      case 'element': {
+        let target = null;
+        try {
+          target = document.querySelector(trigger.value);
+        } catch (e) {
+          console.warn('Invalid ChatKit trigger selector:', trigger.value);
+        }
+        if (!target || typeof IntersectionObserver === 'undefined') return () => {};
+
+        const observer = new IntersectionObserver((entries) => {
+          if (entries.some((entry) => entry.isIntersecting)) fire();
+        }, { threshold: 0.5 });
+        observer.observe(target);
+        return () => observer.disconnect();
       }
     }
+
+    return () => {};
+  }
+
+  function setupTriggers(instance) {
+    const pageviews = countPageview();
+    const triggers = (Array.isArray(config.triggers) ? config.triggers : []).filter(triggerAppliesToPage);
+    if (!instance || instance.inline || triggers.length === 0) return;
+
+    let stops = [];
+    const stopAll = () => {
+      stops.forEach((stop) => stop());
+      stops = [];
+    };
+
+    // Opening the chat counts as engagement and makes triggers pointless
+    document.addEventListener(EVENT_PREFIX + 'open', (e) => {
+      if (e.detail.instanceId !== instance.id) return;
+      markEngaged();
+      stopAll();
+      hideTeaser(instance);
+    });
+
+    const fire = (trigger) => {
+      if (stops.length === 0 || isInstanceOpen(instance) || isTriggerCapped()) return;
+      stopAll();
+      markEngaged();
+      emitEvent('trigger.fired', { instanceId: instance.id, triggerId: trigger.id, type: trigger.type, action: trigger.action });
+
+      if (trigger.action === 'open') {
+        if (trigger.text) {
+          instance.api.setComposerValue(trigger.text).catch(() => {});
+        } else {
+          openChat(instance);
+        }
+      } else {
+        showTeaser(instance, trigger);
+      }
+    };
+
+    if (isTriggerCapped()) return;
+    stops = triggers.map((trigger) => watchTrigger(trigger, pageviews, () => fire(trigger)));
+  }
+
+  function showTeaser(instance, trigger) {
+    const button = instance.elements.button;
+    if (!button || !trigger.text) return;
+
+    const teaser = document.createElement('div');
+    teaser.className = 'chatkit-teaser';
+    teaser.setAttribute('role', 'status');
+
+    const message = document.createElement('button');
+    message.type = 'button';
+    message.className = 'chatkit-teaser-message';
+    message.textContent = trigger.text;
+    message.addEventListener('click', () => {
+      emitEvent('teaser.clicked', { instanceId: instance.id, triggerId: trigger.id });
+      hideTeaser(instance);
+      openChat(instance);
+    });
+
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.className = 'chatkit-teaser-dismiss';
+    dismiss.setAttribute('aria-label', i18nText('dismissTeaser', 'Dismiss'));
+    dismiss.textContent = '✕';
+    dismiss.addEventListener('click', () => {
+      emitEvent('teaser.dismissed', { instanceId: instance.id, triggerId: trigger.id });
+      hideTeaser(instance);
+    });
+
+    teaser.appendChild(message);
+    teaser.appendChild(dismiss);
+    (instance.elements.root || document.body).appendChild(teaser);
+    instance.teaser = teaser;
+    positionTeaser(instance);
+    requestAnimationFrame(() => teaser.classList.add('chatkit-teaser--visible'));
+  }
+
+  function hideTeaser(instance) {
+    if (!instance.teaser) return;
+    instance.teaser.remove();
+    instance.teaser = null;
+  }
+
+  // Above a bottom button, below a top one, aligned with its outer edge
+  function positionTeaser(instance) {
+    const teaser = instance.teaser;
+    const button = instance.elements.button;
+    if (!teaser || !button) return;
+
+    const rect = button.getBoundingClientRect();
+    const onRight = rect.left + rect.width / 2 > window.innerWidth / 2;
+    const onBottom = rect.top + rect.height / 2 > window.innerHeight / 2;
+
+    teaser.style.left = onRight ? '' : Math.max(rect.left, 8) + 'px';
+    teaser.style.right = onRight ? Math.max(window.innerWidth - rect.right, 8) + 'px' : '';
+    teaser.style.top = onBottom ? '' : (rect.bottom + 12) + 'px';
+    teaser.style.bottom = onBottom ? (window.innerHeight - rect.top + 12) + 'px' : '';
+    teaser.setAttribute('data-placement', onBottom ? 'above' : 'below');
+  }
+
+  window.addEventListener('resize', () => {
+    instances.forEach((instance) => positionTeaser(instance));
+  });
+
+  function parseInstanceConfig(root) {
+    const raw = root ? root.getAttribute('data-chatkit-config') : null;
+    if (!raw) return {};
+    try {
+      const parsed = JSON.parse(raw);
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (e) {
+      console.warn('Invalid data-chatkit-config on ChatKit instance:', e);
+      return {};
+    }
+  }
+
+  // Register a widget rendered by the shortcode. root is the .chatkit-instance
+  // wrapper, or null for legacy markup that only has #chatToggleBtn/#myChatkit.
+  function registerInstance(root) {
+    const id = root ? root.getAttribute('data-chatkit-instance') : 'default';
+    if (!id || instances.has(id)) return null;
+
+    const elements = {
+      root: root,
+      button: root ? root.querySelector('.chatkit-toggle-btn') : document.getElementById('chatToggleBtn'),
+      chatkit: root ? root.querySelector('.chatkit-window') : document.getElementById('myChatkit')
+    };
+
+    const instanceConfig = Object.assign({}, config, parseInstanceConfig(root), { instanceId: id });
+
+    const instance = {
+      id: id,
+      config: instanceConfig,
+      context: parseInstanceContext(root),
+      inline: instanceConfig.mode === 'inline',
+      elements: elements,
+      manager: null,
+      retryCount: 0,
+      deploymentUrl: null,
+      threadId: null,
+      resumedThreadId: null,
+      connection: { state: 'online', wake: null, banner: null },
+      eventsBound: false,
+      loadStarted: false,
+      pendingOpen: false,
+      teaser: null,
+      responding: false,
+      replyCause: null,
+      unread: 0,
+      panel: null,
+      handoffForm: null,
+      prechatAnswers: null,
+      feedback: { bar: null, threadId: null, itemId: '', pending: false, hideTimer: null },
+      citations: { strip: null, cards: [], pending: false, request: 0 },
+      language: '',
+      options: null,
+      ready: primaryInstance ? createDeferred() : primaryReady
+    };
+    instance.api = createInstanceApi(() => instance, instance.ready.promise);
+
+    if (config.languages) {
+      applyLanguageTexts(instance, detectLanguage(instance));
+    }
+
+    if (!primaryInstance) {
+      primaryInstance = instance;
+    }
+    instances.set(id, instance);
+    return instance;
+  }
+
+  function initAllInstances() {
+    document.querySelectorAll('.chatkit-instance').forEach((root) => {
+      if (toBool(parseInstanceConfig(root).applyDisplayRules) && !passesDisplayRules(config.displayRules)) {
+        // Never loaded, so no session is created for a hidden widget
+        root.hidden = true;
+        return;
+      }
+      registerInstance(root);
+    });
+
+    if (instances.size === 0 && document.getElementById('myChatkit')) {
+      registerInstance(null);
+    }
+
+    instancesRegistered.resolve();
+
+    // Theme code that loaded first registers its client tools here
+    try {
+      document.dispatchEvent(new CustomEvent(EVENT_PREFIX + 'tools.register', { detail: { register: registerClientTool } }));
+    } catch (e) {
+      console.warn('Failed to register client tools:', e);
+    }
+
+    if (instances.size === 0) {
+      console.warn('ChatKit elements not found');
+      return;
+    }
+
+    instances.forEach((instance) => {
+      scheduleLoad(instance);
+    });
+
+    setupTriggers(Array.from(instances.values()).find((instance) => !instance.inline));
   }
 
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initChatKit);
+    document.addEventListener('DOMContentLoaded', initAllInstances);
   } else {
-    setTimeout(initChatKit, 0);
+    setTimeout(initAllInstances, 0);
   }
 
   window.addEventListener('beforeunload', () => {
@@ -20,9 +20,41 @@ define('CHATKIT_WP_PLUGIN_DIR', plugin_dir_path(__FILE__));
 define('CHATKIT_WP_PLUGIN_URL', plugin_dir_url(__FILE__));
 
 class ChatKit_WordPress {
+    // Secrets closer than this (seconds) to expiry are replaced, not reused
+    const SESSION_REFRESH_MARGIN = 60;
+
+    // Bump when the conversation log tables change; maybe_install_tables()
+    // runs dbDelta again on the next request
+    const DB_VERSION = '4';
+
+    // Words per search index chunk, and posts indexed per cron batch when
+    // the index is rebuilt
+    const SEARCH_CHUNK_WORDS = 150;
+    const SEARCH_BATCH_SIZE = 50;
+
+    // Display rule types and where they are evaluated. Client rules depend on
+    // the browser (viewport, referrer, query string, local time) and are
+    // checked in chatkit-embed.js before the widget initializes.
+    const DISPLAY_RULE_TYPES = [
+        'page_type' => 'server',
+        'post_id' => 'server',
+        'post_type' => 'server',
+        'taxonomy' => 'server',
+        'url' => 'server',
+        'url_regex' => 'server',
+        'user_role' => 'server',
+        'logged_in' => 'server',
+        'device' => 'client',
+        'referrer' => 'client',
+        'query' => 'client',
+        'schedule' => 'client',
+    ];
+
     private static $instance = null;
     private $options_cache = null;
     private $widget_loaded = false;
+    private $instance_ids = [];
+    private $auto_injecting = false;
 
     public static function get_instance() {
         if (null === self::$instance) {
@@ -38,8 +70,21 @@ class ChatKit_WordPress {
         add_action('rest_api_init', [$this, 'register_rest_routes']);
         add_shortcode('openai_chatkit', [$this, 'render_chatkit_shortcode']);
         add_shortcode('chatkit', [$this, 'render_chatkit_shortcode']);
+        add_shortcode('chatkit_forget_me', [$this, 'render_forget_me_shortcode']);
+        add_action('init', [$this, 'register_block']);
+        add_action('wp_login', [$this, 'merge_anonymous_history'], 10, 2);
+        add_action('wp_logout', [$this, 'clear_anonymous_user_id']);
         add_action('wp_enqueue_scripts', [$this, 'enqueue_frontend_assets']);
         add_action('wp_footer', [$this, 'maybe_auto_inject_widget'], 999);
+        add_action('plugins_loaded', [$this, 'maybe_install_tables']);
+        add_action('init', [$this, 'schedule_log_purge']);
+        add_action('chatkit_purge_logs', [$this, 'purge_expired_logs']);
+        add_action('init', [$this, 'register_ticket_post_type']);
+        add_filter('manage_chatkit_ticket_posts_columns', [$this, 'ticket_columns']);
+        add_action('manage_chatkit_ticket_posts_custom_column', [$this, 'render_ticket_column'], 10, 2);
+        add_action('save_post', [$this, 'index_post'], 20, 2);
+        add_action('deleted_post', [$this, 'unindex_post']);
+        add_action('chatkit_index_batch', [$this, 'index_batch']);
         
         if (get_option('chatkit_show_everywhere', false)) {
             add_action('wp_footer', [$this, 'add_body_attributes_script'], 1);
@@ -50,11 +95,62 @@ class ChatKit_WordPress {
     
     public function conditional_body_attributes() {
         global $post;
-        if ($post && (has_shortcode($post->post_content, 'openai_chatkit') || has_shortcode($post->post_content, 'chatkit'))) {
+        if ($this->post_has_chatkit($post)) {
             $this->add_body_attributes_script();
         }
     }
 
+    private function post_has_chatkit($post) {
+        if (!$post) {
+            return false;
+        }
+        return has_shortcode($post->post_content, 'openai_chatkit')
+            || has_shortcode($post->post_content, 'chatkit')
+            || has_shortcode($post->post_content, 'chatkit_forget_me')
+            || (function_exists('has_block') && has_block('chatkit-wp/chat', $post));
+    }
+
+    /**
+     * Registers the "ChatKit Chat" block, a server-rendered equivalent of the
+     * shortcode that defaults to inline mode.
+     */
+    public function register_block() {
+        if (!function_exists('register_block_type')) {
+            return;
+        }
+
+        wp_register_script(
+            'chatkit-block-editor',
+            CHATKIT_WP_PLUGIN_URL . 'assets/chatkit-block.js',
+            ['wp-blocks', 'wp-element', 'wp-components', 'wp-block-editor', 'wp-i18n'],
+            CHATKIT_WP_VERSION,
+            true
+        );
+
+        register_block_type('chatkit-wp/chat', [
+            'editor_script' => 'chatkit-block-editor',
+            'render_callback' => [$this, 'render_chatkit_block'],
+            'attributes' => [
+                'mode' => ['type' => 'string', 'default' => 'inline'],
+                'height' => ['type' => 'string', 'default' => '600px'],
+                'workflow' => ['type' => 'string', 'default' => ''],
+                'buttonText' => ['type' => 'string', 'default' => ''],
+            ],
+        ]);
+    }
+
+    public function render_chatkit_block($attributes) {
+        $atts = [
+            'mode' => $attributes['mode'] ?? 'inline',
+            'height' => $attributes['height'] ?? '600px',
+            'workflow' => $attributes['workflow'] ?? '',
+        ];
+        if (!empty($attributes['buttonText'])) {
+            $atts['button_text'] = $attributes['buttonText'];
+        }
+        return $this->render_chatkit_shortcode($atts);
+    }
+
     public function load_textdomain() {
         load_plugin_textdomain('chatkit-wp', false, dirname(plugin_basename(__FILE__)) . '/languages');
     }
@@ -67,12 +163,37 @@ class ChatKit_WordPress {
             'chatkit-settings',
             [$this, 'render_settings_page']
         );
+
+        add_management_page(
+            __('ChatKit Conversations', 'chatkit-wp'),
+            __('ChatKit Conversations', 'chatkit-wp'),
+            'manage_options',
+            'chatkit-conversations',
+            [$this, 'render_conversations_page']
+        );
+
+        add_management_page(
+            __('ChatKit Feedback', 'chatkit-wp'),
+            __('ChatKit Feedback', 'chatkit-wp'),
+            'manage_options',
+            'chatkit-feedback',
+            [$this, 'render_feedback_page']
+        );
+
+        add_management_page(
+            __('ChatKit Search Index', 'chatkit-wp'),
+            __('ChatKit Search Index', 'chatkit-wp'),
+            'manage_options',
+            'chatkit-search',
+            [$this, 'render_search_page']
+        );
     }
 
     public function register_settings() {
         $settings = [
             'chatkit_api_key' => ['type' => 'string', 'default' => ''],
             'chatkit_workflow_id' => ['type' => 'string', 'default' => ''],
+            'chatkit_workflow_allowlist' => ['type' => 'textarea', 'default' => ''],
             'chatkit_accent_color' => ['type' => 'string', 'default' => '#FF4500'],
             'chatkit_accent_level' => ['type' => 'string', 'default' => '2'],
             'chatkit_button_text' => ['type' => 'string', 'default' => __('Chat now', 'chatkit-wp')],
@@ -80,8 +201,10 @@ class ChatKit_WordPress {
             'chatkit_theme_mode' => ['type' => 'string', 'default' => 'dark'],
             'chatkit_enable_attachments' => ['type' => 'boolean', 'default' => false],
             'chatkit_persistent_sessions' => ['type' => 'boolean', 'default' => true],
+            'chatkit_merge_anonymous_history' => ['type' => 'boolean', 'default' => false],
             'chatkit_show_everywhere' => ['type' => 'boolean', 'default' => false],
             'chatkit_greeting_text' => ['type' => 'string', 'default' => __('How can I help you today?', 'chatkit-wp')],
+            'chatkit_member_greeting_text' => ['type' => 'string', 'default' => ''],
             'chatkit_placeholder_text' => ['type' => 'string', 'default' => __('Send a message...', 'chatkit-wp')],
             'chatkit_button_size' => ['type' => 'string', 'default' => 'medium'],
             'chatkit_button_position' => ['type' => 'string', 'default' => 'bottom-right'],
@@ -95,19 +218,21 @@ class ChatKit_WordPress {
             'chatkit_default_prompt_3' => ['type' => 'string', 'default' => ''],
             'chatkit_default_prompt_3_text' => ['type' => 'string', 'default' => ''],
             
-            'chatkit_exclude_ids' => ['type' => 'string', 'default' => ''],
-            'chatkit_exclude_home' => ['type' => 'boolean', 'default' => false],
-            'chatkit_exclude_archive' => ['type' => 'boolean', 'default' => false],
-            'chatkit_exclude_search' => ['type' => 'boolean', 'default' => false],
-            'chatkit_exclude_404' => ['type' => 'boolean', 'default' => false],
+            'chatkit_display_rules' => ['type' => 'array', 'default' => []],
             
             'chatkit_attachment_max_size' => ['type' => 'string', 'default' => '20'],
             'chatkit_attachment_max_count' => ['type' => 'string', 'default' => '3'],
             'chatkit_enable_model_picker' => ['type' => 'boolean', 'default' => false],
             'chatkit_enable_tools' => ['type' => 'boolean', 'default' => false],
             'chatkit_enable_entity_tags' => ['type' => 'boolean', 'default' => false],
+            'chatkit_composer_tools' => ['type' => 'textarea', 'default' => ''],
+            'chatkit_composer_models' => ['type' => 'textarea', 'default' => ''],
             'chatkit_density' => ['type' => 'string', 'default' => 'normal'],
             'chatkit_locale' => ['type' => 'string', 'default' => ''],
+            'chatkit_languages' => ['type' => 'textarea', 'default' => ''],
+            'chatkit_language_detection' => ['type' => 'string', 'default' => 'page'],
+            'chatkit_language_switcher' => ['type' => 'boolean', 'default' => true],
+            'chatkit_translations' => ['type' => 'translations', 'default' => []],
             
             'chatkit_enable_custom_font' => ['type' => 'boolean', 'default' => false],
             'chatkit_font_family' => ['type' => 'string', 'default' => ''],
@@ -131,14 +256,45 @@ class ChatKit_WordPress {
             'chatkit_default_prompt_5_text' => ['type' => 'string', 'default' => ''],
             'chatkit_default_prompt_5_icon' => ['type' => 'string', 'default' => 'circle-question'],
             
-            'chatkit_disclaimer_text' => ['type' => 'string', 'default' => ''],
+            'chatkit_disclaimer_text' => ['type' => 'textarea', 'default' => ''],
             'chatkit_disclaimer_high_contrast' => ['type' => 'boolean', 'default' => false],
             'chatkit_initial_thread_id' => ['type' => 'string', 'default' => ''],
+            'chatkit_analytics_provider' => ['type' => 'string', 'default' => 'gtag'],
+            'chatkit_analytics_callback' => ['type' => 'string', 'default' => ''],
+            'chatkit_load_strategy' => ['type' => 'string', 'default' => 'interaction'],
+            'chatkit_page_context' => ['type' => 'boolean', 'default' => true],
+            'chatkit_context_fields' => ['type' => 'textarea', 'default' => ''],
+            'chatkit_triggers' => ['type' => 'textarea', 'default' => ''],
+            'chatkit_trigger_cap_hours' => ['type' => 'string', 'default' => '24'],
+            'chatkit_prechat_enabled' => ['type' => 'boolean', 'default' => false],
+            'chatkit_prechat_intro' => ['type' => 'string', 'default' => ''],
+            'chatkit_prechat_fields' => ['type' => 'textarea', 'default' => ''],
+            'chatkit_prechat_submit' => ['type' => 'string', 'default' => ''],
+            'chatkit_handoff_enabled' => ['type' => 'boolean', 'default' => false],
+            'chatkit_handoff_hours' => ['type' => 'string', 'default' => 'mon-fri 09:00-17:00'],
+            'chatkit_handoff_live_mode' => ['type' => 'string', 'default' => 'callback'],
+            'chatkit_handoff_live_chat' => ['type' => 'string', 'default' => ''],
+            'chatkit_handoff_delivery' => ['type' => 'string', 'default' => 'email'],
+            'chatkit_handoff_email' => ['type' => 'string', 'default' => ''],
+            'chatkit_reply_notifications' => ['type' => 'boolean', 'default' => false],
+            'chatkit_enable_export' => ['type' => 'boolean', 'default' => true],
+            'chatkit_transcript_email' => ['type' => 'boolean', 'default' => false],
+            'chatkit_enable_feedback' => ['type' => 'boolean', 'default' => true],
+            'chatkit_enable_citations' => ['type' => 'boolean', 'default' => true],
+            'chatkit_enable_logging' => ['type' => 'boolean', 'default' => false],
+            'chatkit_log_consent' => ['type' => 'string', 'default' => 'required'],
+            'chatkit_consent_mode' => ['type' => 'string', 'default' => 'off'],
+            'chatkit_consent_category' => ['type' => 'string', 'default' => 'functional'],
+            'chatkit_consent_notice' => ['type' => 'string', 'default' => ''],
+            'chatkit_log_retention_days' => ['type' => 'string', 'default' => '90'],
         ];
 
+        // Types WordPress does not know map to the storage type it does
+        $storage_types = ['textarea' => 'string', 'translations' => 'array'];
+
         foreach ($settings as $option => $args) {
             register_setting('chatkit_wp_settings', $option, [
-                'type' => $args['type'],
+                'type' => $storage_types[$args['type']] ?? $args['type'],
                 'sanitize_callback' => $this->get_sanitize_callback($args['type']),
                 'default' => $args['default']
             ]);
@@ -151,6 +307,13 @@ class ChatKit_WordPress {
                 return null;
             case 'string':
                 return 'sanitize_text_field';
+            case 'textarea':
+                // Multi-line, one-entry-per-line settings must keep their newlines
+                return 'sanitize_textarea_field';
+            case 'array':
+                return [$this, 'sanitize_display_rules'];
+            case 'translations':
+                return [$this, 'sanitize_translations'];
             default:
                 return 'sanitize_text_field';
         }
@@ -161,6 +324,7 @@ class ChatKit_WordPress {
             $this->options_cache = [
                 'api_key' => $this->get_api_key(),
                 'workflow_id' => $this->get_workflow_id(),
+                'workflow_allowlist' => get_option('chatkit_workflow_allowlist', ''),
                 'accent_color' => get_option('chatkit_accent_color', '#FF4500'),
                 'accent_level' => get_option('chatkit_accent_level', '2'),
                 'button_text' => get_option('chatkit_button_text', __('Chat now', 'chatkit-wp')),
@@ -168,8 +332,10 @@ class ChatKit_WordPress {
                 'theme_mode' => get_option('chatkit_theme_mode', 'dark'),
                 'enable_attachments' => get_option('chatkit_enable_attachments', false),
                 'persistent_sessions' => get_option('chatkit_persistent_sessions', true),
+                'merge_anonymous_history' => get_option('chatkit_merge_anonymous_history', false),
                 'show_everywhere' => get_option('chatkit_show_everywhere', false),
                 'greeting_text' => get_option('chatkit_greeting_text', __('How can I help you today?', 'chatkit-wp')),
+                'member_greeting_text' => get_option('chatkit_member_greeting_text', ''),
                 'placeholder_text' => get_option('chatkit_placeholder_text', __('Send a message...', 'chatkit-wp')),
                 'button_size' => get_option('chatkit_button_size', 'medium'),
                 'button_position' => get_option('chatkit_button_position', 'bottom-right'),
@@ -177,6 +343,10 @@ class ChatKit_WordPress {
                 'shadow_style' => get_option('chatkit_shadow_style', 'normal'),
                 'density' => get_option('chatkit_density', 'normal'),
                 'locale' => get_option('chatkit_locale', ''),
+                'languages' => get_option('chatkit_languages', ''),
+                'language_detection' => get_option('chatkit_language_detection', 'page'),
+                'language_switcher' => get_option('chatkit_language_switcher', true),
+                'translations' => get_option('chatkit_translations', []),
                 
                 'default_prompt_1' => get_option('chatkit_default_prompt_1', __('How can I assist you?', 'chatkit-wp')),
                 'default_prompt_1_text' => get_option('chatkit_default_prompt_1_text', __('Hi! How can I assist you today?', 'chatkit-wp')),
@@ -199,6 +369,8 @@ class ChatKit_WordPress {
                 'enable_model_picker' => get_option('chatkit_enable_model_picker', false),
                 'enable_tools' => get_option('chatkit_enable_tools', false),
                 'enable_entity_tags' => get_option('chatkit_enable_entity_tags', false),
+                'composer_tools' => get_option('chatkit_composer_tools', ''),
+                'composer_models' => get_option('chatkit_composer_models', ''),
                 'enable_custom_font' => get_option('chatkit_enable_custom_font', false),
                 'font_family' => get_option('chatkit_font_family', ''),
                 'font_size' => get_option('chatkit_font_size', '16'),
@@ -212,6 +384,34 @@ class ChatKit_WordPress {
                 'disclaimer_text' => get_option('chatkit_disclaimer_text', ''),
                 'disclaimer_high_contrast' => get_option('chatkit_disclaimer_high_contrast', false),
                 'initial_thread_id' => get_option('chatkit_initial_thread_id', ''),
+                'analytics_provider' => get_option('chatkit_analytics_provider', 'gtag'),
+                'analytics_callback' => get_option('chatkit_analytics_callback', ''),
+                'load_strategy' => get_option('chatkit_load_strategy', 'interaction'),
+                'page_context' => get_option('chatkit_page_context', true),
+                'context_fields' => get_option('chatkit_context_fields', ''),
+                'triggers' => get_option('chatkit_triggers', ''),
+                'trigger_cap_hours' => get_option('chatkit_trigger_cap_hours', '24'),
+                'prechat_enabled' => get_option('chatkit_prechat_enabled', false),
+                'prechat_intro' => get_option('chatkit_prechat_intro', ''),
+                'prechat_fields' => get_option('chatkit_prechat_fields', ''),
+                'prechat_submit' => get_option('chatkit_prechat_submit', ''),
+                'handoff_enabled' => get_option('chatkit_handoff_enabled', false),
+                'handoff_hours' => get_option('chatkit_handoff_hours', 'mon-fri 09:00-17:00'),
+                'handoff_live_mode' => get_option('chatkit_handoff_live_mode', 'callback'),
+                'handoff_live_chat' => get_option('chatkit_handoff_live_chat', ''),
+                'handoff_delivery' => get_option('chatkit_handoff_delivery', 'email'),
+                'handoff_email' => get_option('chatkit_handoff_email', ''),
+                'reply_notifications' => get_option('chatkit_reply_notifications', false),
+                'enable_export' => get_option('chatkit_enable_export', true),
+                'transcript_email' => get_option('chatkit_transcript_email', false),
+                'enable_feedback' => get_option('chatkit_enable_feedback', true),
+                'enable_citations' => get_option('chatkit_enable_citations', true),
+                'enable_logging' => get_option('chatkit_enable_logging', false),
+                'log_consent' => get_option('chatkit_log_consent', 'required'),
+                'consent_mode' => get_option('chatkit_consent_mode', 'off'),
+                'consent_category' => get_option('chatkit_consent_category', 'functional'),
+                'consent_notice' => get_option('chatkit_consent_notice', ''),
+                'log_retention_days' => get_option('chatkit_log_retention_days', '90'),
             ];
         }
         return $this->options_cache;
@@ -222,24 +422,61 @@ class ChatKit_WordPress {
             return false;
         }
 
-        if (is_front_page() && get_option('chatkit_exclude_home', false)) {
-            return false;
+        return $this->passes_display_rules('server');
+    }
+
+    /**
+     * Display rules: the widget shows when every include rule matches and no
+     * exclude rule does. Values holding a list match if any entry matches.
+     */
+    private function get_display_rules($location = null) {
+        $rules = get_option('chatkit_display_rules', null);
+
+        if (!is_array($rules)) {
+            $rules = $this->get_legacy_exclusion_rules();
         }
-        if (is_archive() && get_option('chatkit_exclude_archive', false)) {
-            return false;
+
+        if ($location === null) {
+            return $rules;
         }
-        if (is_search() && get_option('chatkit_exclude_search', false)) {
-            return false;
+
+        return array_values(array_filter($rules, function($rule) use ($location) {
+            return (self::DISPLAY_RULE_TYPES[$rule['type']] ?? '') === $location;
+        }));
+    }
+
+    /**
+     * Sites upgrading from the old exclusion checkboxes keep their behavior
+     * until the rules are saved for the first time.
+     */
+    private function get_legacy_exclusion_rules() {
+        $rules = [];
+        $page_types = [
+            'home' => 'chatkit_exclude_home',
+            'archive' => 'chatkit_exclude_archive',
+            'search' => 'chatkit_exclude_search',
+            '404' => 'chatkit_exclude_404',
+        ];
+
+        foreach ($page_types as $page_type => $option) {
+            if (get_option($option, false)) {
+                $rules[] = ['action' => 'exclude', 'type' => 'page_type', 'value' => $page_type];
+            }
         }
-        if (is_404() && get_option('chatkit_exclude_404', false)) {
-            return false;
+
+        $exclude_ids = trim((string) get_option('chatkit_exclude_ids', ''));
+        if ($exclude_ids !== '') {
+            $rules[] = ['action' => 'exclude', 'type' => 'post_id', 'value' => $exclude_ids];
         }
 
-        $exclude_ids = get_option('chatkit_exclude_ids', '');
-        if (!empty($exclude_ids)) {
-            $excluded_array = array_map('trim', explode(',', $exclude_ids));
-            $current_id = get_queried_object_id();
-            if (in_array($current_id, $excluded_array)) {
+        return $rules;
+    }
+
+    private function passes_display_rules($location) {
+        foreach ($this->get_display_rules($location) as $rule) {
+            $matches = $this->display_rule_matches($rule);
+
+            if ($rule['action'] === 'exclude' ? $matches : !$matches) {
                 return false;
             }
         }
@@ -247,13 +484,131 @@ class ChatKit_WordPress {
         return true;
     }
 
+    private function display_rule_matches($rule) {
+        $values = array_filter(array_map('trim', explode(',', $rule['value'])), 'strlen');
+
+        switch ($rule['type']) {
+            case 'page_type':
+                $checks = [
+                    'home' => is_front_page(),
+                    'blog' => is_home(),
+                    'single' => is_singular(),
+                    'archive' => is_archive(),
+                    'search' => is_search(),
+                    '404' => is_404(),
+                ];
+                foreach ($values as $value) {
+                    if (!empty($checks[$value])) {
+                        return true;
+                    }
+                }
+                return false;
+
+            case 'post_id':
+                return is_singular() && in_array((string) get_queried_object_id(), $values, true);
+
+            case 'post_type':
+                return is_singular($values) || is_post_type_archive($values);
+
+            case 'taxonomy':
+                // taxonomy:term-slug, e.g. category:services
+                foreach ($values as $value) {
+                    $parts = explode(':', $value, 2);
+                    if (count($parts) !== 2) {
+                        continue;
+                    }
+                    if (is_singular() && has_term($parts[1], $parts[0], get_queried_object_id())) {
+                        return true;
+                    }
+                    if (is_tax($parts[0], $parts[1]) || ($parts[0] === 'category' && is_category($parts[1])) || ($parts[0] === 'post_tag' && is_tag($parts[1]))) {
+                        return true;
+                    }
+                }
+                return false;
+
+            case 'url':
+                $path = wp_parse_url($_SERVER['REQUEST_URI'] ?? '/', PHP_URL_PATH) ?: '/';
+                foreach ($values as $value) {
+                    $pattern = '#^' . str_replace('\\*', '.*', preg_quote($value, '#')) . '$#i';
+                    if (preg_match($pattern, $path)) {
+                        return true;
+                    }
+                }
+                return false;
+
+            case 'url_regex':
+                $matched = preg_match($this->get_url_regex($rule['value']), $_SERVER['REQUEST_URI'] ?? '/');
+                if ($matched === false) {
+                    error_log('ChatKit: Invalid URL regex display rule: ' . $rule['value']);
+                }
+                return (bool) $matched;
+
+            case 'user_role':
+                $user = wp_get_current_user();
+                return (bool) array_intersect($values, (array) $user->roles);
+
+            case 'logged_in':
+                return is_user_logged_in() === ($rule['value'] === 'yes');
+        }
+
+        return false;
+    }
+
+    private function get_url_regex($value) {
+        return '#' . str_replace('#', '\\#', $value) . '#i';
+    }
+
+    // Compiles the pattern without letting PCRE warnings reach the settings page
+    private function is_valid_url_regex($value) {
+        set_error_handler('__return_true');
+        $valid = preg_match($this->get_url_regex($value), '') !== false;
+        restore_error_handler();
+
+        return $valid;
+    }
+
+    public function sanitize_display_rules($rules) {
+        $clean = [];
+
+        foreach ((array) $rules as $rule) {
+            if (!is_array($rule) || !isset($rule['type'], $rule['value'])) {
+                continue;
+            }
+
+            $type = sanitize_key($rule['type']);
+            if (!isset(self::DISPLAY_RULE_TYPES[$type])) {
+                continue;
+            }
+
+            // Regexes need their backslashes; everything else is plain text
+            $value = $type === 'url_regex'
+                ? trim(wp_strip_all_tags((string) $rule['value']))
+                : sanitize_text_field((string) $rule['value']);
+
+            if ($value === '' || ($type === 'url_regex' && !$this->is_valid_url_regex($value))) {
+                continue;
+            }
+
+            $clean[] = [
+                'action' => ($rule['action'] ?? '') === 'exclude' ? 'exclude' : 'include',
+                'type' => $type,
+                'value' => $value,
+            ];
+        }
+
+        return $clean;
+    }
+
     public function maybe_auto_inject_widget() {
         if ($this->widget_loaded) {
             return;
         }
 
         if ($this->should_show_widget()) {
+            // Client-side display rules only apply to the auto-injected widget
+            $this->auto_injecting = true;
             echo $this->render_chatkit_shortcode([]);
+            $this->auto_injecting = false;
         }
     }
 
@@ -297,6 +652,7 @@ class ChatKit_WordPress {
                 'chatkit_close_text',
                 'chatkit_theme_mode',
                 'chatkit_greeting_text',
+                'chatkit_member_greeting_text',
                 'chatkit_placeholder_text',
                 'chatkit_button_size',
                 'chatkit_button_position',
@@ -304,7 +660,7 @@ class ChatKit_WordPress {
                 'chatkit_shadow_style',
                 'chatkit_density',
                 'chatkit_locale',
-                'chatkit_exclude_ids',
+                'chatkit_language_detection',
                 'chatkit_accent_level',
                 'chatkit_attachment_max_size',
                 'chatkit_attachment_max_count',
@@ -316,6 +672,22 @@ class ChatKit_WordPress {
                 'chatkit_header_right_icon',
                 'chatkit_header_right_url',
                 'chatkit_initial_thread_id',
+                'chatkit_analytics_provider',
+                'chatkit_analytics_callback',
+                'chatkit_load_strategy',
+                'chatkit_trigger_cap_hours',
+                'chatkit_prechat_intro',
+                'chatkit_prechat_submit',
+                'chatkit_handoff_hours',
+                'chatkit_handoff_live_mode',
+                'chatkit_handoff_live_chat',
+                'chatkit_handoff_delivery',
+                'chatkit_handoff_email',
+                'chatkit_log_consent',
+                'chatkit_consent_mode',
+                'chatkit_consent_category',
+                'chatkit_consent_notice',
+                'chatkit_log_retention_days',
                 'chatkit_default_prompt_1',
                 'chatkit_default_prompt_1_text',
                 'chatkit_default_prompt_1_icon',
@@ -343,6 +715,25 @@ class ChatKit_WordPress {
                 update_option('chatkit_disclaimer_text', sanitize_textarea_field($_POST['chatkit_disclaimer_text']));
             }
 
+            if (isset($_POST['chatkit_workflow_allowlist'])) {
+                update_option('chatkit_workflow_allowlist', sanitize_textarea_field($_POST['chatkit_workflow_allowlist']));
+            }
+
+            foreach (['chatkit_composer_tools', 'chatkit_composer_models', 'chatkit_context_fields', 'chatkit_triggers', 'chatkit_prechat_fields', 'chatkit_languages'] as $field) {
+                if (isset($_POST[$field])) {
+                    update_option($field, sanitize_textarea_field($_POST[$field]));
+                }
+            }
+
+            if (isset($_POST['chatkit_translations']) && is_array($_POST['chatkit_translations'])) {
+                update_option('chatkit_translations', $this->sanitize_translations(wp_unslash($_POST['chatkit_translations'])));
+            }
+
+            if (isset($_POST['chatkit_display_rules_submitted'])) {
+                $rules = isset($_POST['chatkit_display_rules']) ? wp_unslash($_POST['chatkit_display_rules']) : [];
+                update_option('chatkit_display_rules', $this->sanitize_display_rules($rules));
+            }
+
             if (isset($_POST['chatkit_accent_color'])) {
                 update_option('chatkit_accent_color', sanitize_hex_color($_POST['chatkit_accent_color']));
             }
@@ -350,11 +741,18 @@ class ChatKit_WordPress {
             $boolean_fields = [
                 'chatkit_enable_attachments',
                 'chatkit_persistent_sessions',
+                'chatkit_merge_anonymous_history',
+                'chatkit_page_context',
+                'chatkit_reply_notifications',
+                'chatkit_prechat_enabled',
+                'chatkit_handoff_enabled',
+                'chatkit_language_switcher',
+                'chatkit_enable_export',
+                'chatkit_transcript_email',
+                'chatkit_enable_feedback',
+                'chatkit_enable_citations',
+                'chatkit_enable_logging',
                 'chatkit_show_everywhere',
-                'chatkit_exclude_home',
-                'chatkit_exclude_archive',
-                'chatkit_exclude_search',
-                'chatkit_exclude_404',
                 'chatkit_enable_model_picker',
                 'chatkit_enable_tools',
                 'chatkit_enable_entity_tags',
@@ -375,6 +773,7 @@ class ChatKit_WordPress {
 
         $options = $this->get_all_options();
         extract($options);
+        $display_rules = $this->get_display_rules();
 
         require_once CHATKIT_WP_PLUGIN_DIR . 'admin/settings-page.php';
     }
@@ -407,6 +806,134 @@ class ChatKit_WordPress {
             }
         ]);
 
+        register_rest_route('chatkit/v1', '/entities', [
+            'methods' => 'GET',
+            'callback' => [$this, 'search_entities'],
+            'permission_callback' => '__return_true',
+            'args' => [
+                'search' => ['type' => 'string', 'default' => ''],
+            ]
+        ]);
+
+        register_rest_route('chatkit/v1', '/entities/(?P<id>\d+)', [
+            'methods' => 'GET',
+            'callback' => [$this, 'get_entity'],
+            'permission_callback' => '__return_true',
+        ]);
+
+        register_rest_route('chatkit/v1', '/posts', [
+            'methods' => 'GET',
+            'callback' => [$this, 'get_post_summary'],
+            'permission_callback' => '__return_true',
+            'args' => [
+                'id' => ['type' => 'integer', 'default' => 0],
+                'url' => ['type' => 'string', 'default' => ''],
+            ]
+        ]);
+
+        register_rest_route('chatkit/v1', '/search', [
+            'methods' => 'GET',
+            'callback' => [$this, 'search_content'],
+            'permission_callback' => '__return_true',
+            'args' => [
+                'query' => ['type' => 'string', 'required' => true],
+                'limit' => ['type' => 'integer', 'default' => 5],
+                'type' => ['type' => 'string', 'default' => ''],
+            ]
+        ]);
+
+        // The client secret proves the caller owns the thread, so these stay
+        // unauthenticated like /session
+        register_rest_route('chatkit/v1', '/transcript', [
+            'methods' => 'POST',
+            'callback' => [$this, 'get_transcript'],
+            'permission_callback' => '__return_true',
+            'args' => [
+                'thread_id' => ['type' => 'string', 'required' => true],
+                'client_secret' => ['type' => 'string', 'required' => true],
+            ]
+        ]);
+
+        register_rest_route('chatkit/v1', '/transcript/email', [
+            'methods' => 'POST',
+            'callback' => [$this, 'email_transcript'],
+            'permission_callback' => '__return_true',
+            'args' => [
+                'thread_id' => ['type' => 'string', 'required' => true],
+                'client_secret' => ['type' => 'string', 'required' => true],
+            ]
+        ]);
+
+        register_rest_route('chatkit/v1', '/feedback', [
+            'methods' => 'POST',
+            'callback' => [$this, 'save_feedback'],
+            'permission_callback' => '__return_true',
+            'args' => [
+                'thread_id' => ['type' => 'string', 'required' => true],
+                'client_secret' => ['type' => 'string', 'required' => true],
+                'rating' => ['type' => 'string', 'required' => true, 'enum' => ['up', 'down']],
+                'item_id' => ['type' => 'string', 'default' => ''],
+                'comment' => ['type' => 'string', 'default' => ''],
+            ]
+        ]);
+
+        register_rest_route('chatkit/v1', '/citations', [
+            'methods' => 'POST',
+            'callback' => [$this, 'get_citations'],
+            'permission_callback' => '__return_true',
+            'args' => [
+                'thread_id' => ['type' => 'string', 'required' => true],
+                'client_secret' => ['type' => 'string', 'required' => true],
+                'item_id' => ['type' => 'string', 'default' => ''],
+            ]
+        ]);
+
+        register_rest_route('chatkit/v1', '/link-preview', [
+            'methods' => 'GET',
+            'callback' => [$this, 'get_link_preview'],
+            'permission_callback' => '__return_true',
+            'args' => [
+                'url' => ['type' => 'string', 'required' => true],
+            ]
+        ]);
+
+        register_rest_route('chatkit/v1', '/log', [
+            'methods' => 'POST',
+            'callback' => [$this, 'log_event'],
+            'permission_callback' => '__return_true',
+            'args' => [
+                'event' => ['type' => 'string', 'required' => true],
+                'thread_id' => ['type' => 'string', 'required' => true],
+                'client_secret' => ['type' => 'string', 'required' => true],
+            ]
+        ]);
+
+        register_rest_route('chatkit/v1', '/handoff', [
+            'methods' => 'POST',
+            'callback' => [$this, 'request_handoff'],
+            'permission_callback' => '__return_true',
+            'args' => [
+                'type' => ['type' => 'string', 'required' => true, 'enum' => ['contact', 'callback']],
+                'name' => ['type' => 'string', 'required' => true],
+                'email' => ['type' => 'string', 'default' => ''],
+                'phone' => ['type' => 'string', 'default' => ''],
+                'when' => ['type' => 'string', 'default' => ''],
+                'message' => ['type' => 'string', 'default' => ''],
+                'summary' => ['type' => 'string', 'default' => ''],
+                'thread_id' => ['type' => 'string', 'default' => ''],
+                'client_secret' => ['type' => 'string', 'default' => ''],
+            ]
+        ]);
+
+        register_rest_route('chatkit/v1', '/forget', [
+            'methods' => 'POST',
+            'callback' => [$this, 'forget_visitor'],
+            'permission_callback' => '__return_true',
+            'args' => [
+                'client_secret' => ['type' => 'string', 'default' => ''],
+            ]
+        ]);
+
         register_rest_route('chatkit/v1', '/test', [
             'methods' => 'POST',
             'callback' => [$this, 'test_connection'],
@@ -420,25 +947,83 @@ class ChatKit_WordPress {
         $ip = filter_var($_SERVER['REMOTE_ADDR'] ?? '', FILTER_VALIDATE_IP) ?: 'unknown';
         $user_agent = sanitize_text_field($_SERVER['HTTP_USER_AGENT'] ?? '');
         $fingerprint = md5($ip . $user_agent);
-        
-        $transient_key = 'chatkit_ratelimit_' . $fingerprint;
-        $requests = get_transient($transient_key) ?: 0;
 
-        $limit = current_user_can('manage_options') ? 100 : 10;
+        $api_key = $this->get_api_key();
+        $workflow_id = $this->resolve_workflow_id((string) $request->get_param('workflow'));
 
-        if ($requests >= $limit) {
-            error_log(sprintf('ChatKit rate limit exceeded for IP: %s', $ip));
-            return new \WP_Error(
-                'rate_limit_exceeded',
-                __('Too many requests. Please try again in a minute.', 'chatkit-wp'),
-                ['status' => 429]
-            );
+        if (is_wp_error($workflow_id)) {
+            return $workflow_id;
         }
 
-        set_transient($transient_key, $requests + 1, 60);
+        // ChatKit passes the secret it already holds when asking for a new one.
+        // A secret we issued for this workflow is reused while still valid, or
+        // renewed for the same user and context without counting against the rate limit.
+        $current_secret = (string) $request->get_param('current_client_secret');
+        $previous = $current_secret !== '' ? $this->get_issued_session($current_secret) : null;
 
-        $api_key = $this->get_api_key();
-        $workflow_id = $this->get_workflow_id();
+        if ($previous && $previous['workflow'] !== $workflow_id) {
+            $previous = null;
+        }
+
+        // Without the pre-chat answers the form requires, no session is created
+        $prechat = $this->validate_prechat_answers($request->get_param('prechat'));
+        if (is_wp_error($prechat)) {
+            return $prechat;
+        }
+
+        $state_variables = $this->build_context_state($request->get_param('context'));
+
+        // The chat language the embed picked, so the workflow can reply in it
+        $language = $this->find_language((string) $request->get_param('language'));
+        if ($language) {
+            $state_variables['language'] = $language['code'];
+            $state_variables['language_name'] = $language['label'];
+        }
+
+        // Validated answers win over the client-supplied context.extra keys and
+        // the chat language, but never replace the server's page_* values
+        foreach ($prechat as $key => $value) {
+            if (strpos($key, 'page_') !== 0 || !isset($state_variables[$key])) {
+                $state_variables[$key] = $value;
+            }
+        }
+
+        $context_hash = md5(wp_json_encode($state_variables));
+
+        // After logging in or out, the old secret belongs to another identity.
+        // Non-persistent guests get a fresh ID per request, so only check the rest.
+        // In consent mode the visitor cookie waits until the embed reports consent
+        $may_store = get_option('chatkit_consent_mode', 'off') !== 'required' || rest_sanitize_boolean($request->get_param('storage_consent'));
+        $user_id = $this->get_or_create_user_id($may_store);
+        if ($previous && strpos($user_id, 'guest_') !== 0 && $previous['user'] !== $user_id) {
+            $previous = null;
+        }
+
+        $same_context = $previous && ($previous['context_hash'] ?? '') === $context_hash;
+        if ($same_context && $previous['expires_at'] - time() > self::SESSION_REFRESH_MARGIN) {
+            return rest_ensure_response($this->build_session_response($current_secret, $previous));
+        }
+
+        // Only renewing an expiring secret for an unchanged context is free. The
+        // client controls page context and language, so a different context
+        // mints a new session and counts against the limit like any other
+        if (!$same_context) {
+            $transient_key = 'chatkit_ratelimit_' . $fingerprint;
+            $requests = get_transient($transient_key) ?: 0;
+
+            $limit = current_user_can('manage_options') ? 100 : 10;
+
+            if ($requests >= $limit) {
+                error_log(sprintf('ChatKit rate limit exceeded for IP: %s', $ip));
+                return new \WP_Error(
+                    'rate_limit_exceeded',
+                    __('Too many requests. Please try again in a minute.', 'chatkit-wp'),
+                    ['status' => 429]
+                );
+            }
+
+            set_transient($transient_key, $requests + 1, 60);
+        }
 
         if (empty($api_key) || empty($workflow_id)) {
             return new \WP_Error(
@@ -457,7 +1042,9 @@ class ChatKit_WordPress {
             );
         }
 
-        $user_id = $this->get_or_create_user_id();
+        if ($previous) {
+            $user_id = $previous['user'];
+        }
 
         // Build session body with ChatKit configuration
         $session_body = [
@@ -465,6 +1052,11 @@ class ChatKit_WordPress {
             'user' => $user_id
         ];
 
+        // Page context reaches the workflow as state variables
+        if (!empty($state_variables)) {
+            $session_body['workflow']['state_variables'] = $state_variables;
+        }
+
         // Add file upload configuration if enabled
         $enable_attachments = get_option('chatkit_enable_attachments', false);
         if ($enable_attachments) {
@@ -526,97 +1118,2001 @@ class ChatKit_WordPress {
             error_log('ChatKit: Session created WITHOUT file upload ❌');
         }
 
-        // Build response with all relevant session data
-        $response_data = [
-            'client_secret' => $body['client_secret']
-        ];
-
-        // Include deployment URL if present in response
         if (!empty($body['deployment_url'])) {
-            $response_data['deployment_url'] = $body['deployment_url'];
             error_log('ChatKit: Deployment URL found: ' . $body['deployment_url']);
         }
 
-        // Include any other deployment-related data
-        if (!empty($body['deployment'])) {
-            $response_data['deployment'] = $body['deployment'];
+        // ChatKit sessions default to a 10 minute lifetime when none is reported
+        $session = [
+            'user' => $user_id,
+            'workflow' => $workflow_id,
+            'expires_at' => !empty($body['expires_at']) ? (int) $body['expires_at'] : time() + 10 * MINUTE_IN_SECONDS,
+            'deployment_url' => $body['deployment_url'] ?? '',
+            'deployment' => $body['deployment'] ?? null,
+            'context_hash' => $context_hash,
+        ];
+
+        $this->remember_issued_session($body['client_secret'], $session);
+
+        if (!empty($prechat)) {
+            $this->record_prechat_answers($user_id, $prechat);
         }
 
-        return rest_ensure_response($response_data);
+        return rest_ensure_response($this->build_session_response($body['client_secret'], $session));
     }
 
-    public function test_connection() {
-        $api_key = $this->get_api_key();
-        $workflow_id = $this->get_workflow_id();
-
-        if (empty($api_key)) {
-            return new \WP_Error('missing_api_key', __('API Key not configured', 'chatkit-wp'), ['status' => 400]);
+    /**
+     * Checks the pre-chat answers sent with a session request against the
+     * configured form. Returns them keyed by field as workflow state
+     * variables, or a WP_Error when a required answer is missing or invalid.
+     */
+    private function validate_prechat_answers($answers) {
+        if (!get_option('chatkit_prechat_enabled', false)) {
+            return [];
         }
 
-        if (empty($workflow_id)) {
-            return new \WP_Error('missing_workflow_id', __('Workflow ID not configured', 'chatkit-wp'), ['status' => 400]);
-        }
+        $fields = $this->get_prechat_fields(get_option('chatkit_prechat_fields', ''));
+        $answers = is_array($answers) ? $answers : [];
+        $state = [];
 
-        $response = wp_remote_post('https://api.openai.com/v1/chatkit/sessions', [
-            'headers' => [
-                'Authorization' => 'Bearer ' . $api_key,
-                'Content-Type' => 'application/json',
-                'OpenAI-Beta' => 'chatkit_beta=v1'
-            ],
-            'body' => wp_json_encode([
-                'workflow' => ['id' => $workflow_id],
-                'user' => 'test_' . time()
-            ]),
-            'timeout' => 10,
-            'sslverify' => true
-        ]);
+        foreach ($fields as $field) {
+            $value = $answers[$field['key']] ?? '';
 
-        if (is_wp_error($response)) {
-            return new \WP_Error('connection_failed', $response->get_error_message(), ['status' => 502]);
+            if ($field['type'] === 'consent') {
+                $value = rest_sanitize_boolean($value);
+                $valid = $value || !$field['required'];
+            } else {
+                $value = mb_substr(sanitize_text_field(is_scalar($value) ? (string) $value : ''), 0, 200);
+                if ($value === '') {
+                    $valid = !$field['required'];
+                } elseif ($field['type'] === 'email') {
+                    $valid = (bool) is_email($value);
+                } elseif ($field['type'] === 'select') {
+                    $valid = in_array($value, $field['options'], true);
+                } else {
+                    $valid = true;
+                }
+            }
+
+            if (!$valid) {
+                return new \WP_Error(
+                    'prechat_required',
+                    /* translators: %s: pre-chat form field label */
+                    sprintf(__('Please check the "%s" field before starting the chat.', 'chatkit-wp'), wp_strip_all_tags($field['label'])),
+                    ['status' => 400]
+                );
+            }
+
+            if ($value !== '') {
+                $state[$field['key']] = $value;
+            }
         }
 
-        $status_code = wp_remote_retrieve_response_code($response);
+        return $state;
+    }
 
-        if ($status_code === 200) {
-            return rest_ensure_response(['message' => __('Connection successful! Plugin is correctly configured.', 'chatkit-wp')]);
+    /**
+     * Keeps the latest answers per visitor, and when consent was first given,
+     * as the site's record of what the visitor agreed to.
+     */
+    private function record_prechat_answers($user_id, $answers) {
+        global $wpdb;
+
+        $consented = false;
+        foreach ($this->get_prechat_fields(get_option('chatkit_prechat_fields', '')) as $field) {
+            if ($field['type'] === 'consent' && !empty($answers[$field['key']])) {
+                $consented = true;
+            }
         }
 
-        $body = wp_remote_retrieve_body($response);
-        return new \WP_Error('api_error', sprintf(__('API Error (status %d): %s', 'chatkit-wp'), $status_code, $body), ['status' => $status_code]);
+        $now = current_time('mysql', true);
+        $wpdb->query($wpdb->prepare(
+            "INSERT INTO {$wpdb->prefix}chatkit_prechat (user_hash, answers, consented_at, created_at, updated_at)
+             VALUES (%s, %s, " . ($consented ? '%s' : 'NULL') . ", %s, %s)
+             ON DUPLICATE KEY UPDATE answers = VALUES(answers), updated_at = VALUES(updated_at),
+                 consented_at = COALESCE(consented_at, VALUES(consented_at))",
+            array_merge(
+                [$this->get_user_key($user_id), wp_json_encode($answers)],
+                $consented ? [$now] : [],
+                [$now, $now]
+            )
+        ));
     }
 
-    public function enqueue_frontend_assets() {
-        $show_everywhere = get_option('chatkit_show_everywhere', false);
-        global $post;
-        
-        $should_load = false;
-        
-        if ($show_everywhere && $this->should_show_widget()) {
-            $should_load = true;
-        } elseif ($post && (has_shortcode($post->post_content, 'openai_chatkit') || has_shortcode($post->post_content, 'chatkit'))) {
-            $should_load = true;
+    private function get_stored_prechat_answers($user_id) {
+        global $wpdb;
+
+        $answers = $wpdb->get_var($wpdb->prepare(
+            "SELECT answers FROM {$wpdb->prefix}chatkit_prechat WHERE user_hash = %s",
+            $this->get_user_key($user_id)
+        ));
+
+        return $answers ? json_decode($answers, true) : null;
+    }
+
+    /**
+     * Turns the page context sent by the embed into workflow state variables.
+     * Post details are looked up server-side from the post ID; only the URL,
+     * language and shortcode context values come from the browser.
+     */
+    private function build_context_state($context) {
+        if (!get_option('chatkit_page_context', true) || !is_array($context)) {
+            return [];
         }
-        
-        if (!$should_load) {
-            return;
+
+        $state = [];
+
+        // Shortcode context first so it can never override the page_* values
+        $extra = isset($context['extra']) && is_array($context['extra']) ? $context['extra'] : [];
+        foreach (array_slice($extra, 0, 10, true) as $key => $value) {
+            $key = sanitize_key($key);
+            if ($key !== '' && is_scalar($value)) {
+                $state[$key] = mb_substr(sanitize_text_field((string) $value), 0, 500);
+            }
         }
 
-        wp_enqueue_script(
-            'chatkit-embed',
-            CHATKIT_WP_PLUGIN_URL . 'assets/chatkit-embed.js',
-            [],
-            CHATKIT_WP_VERSION,
-            true
-        );
+        $url = isset($context['url']) ? esc_url_raw((string) $context['url']) : '';
+        if ($url && wp_parse_url($url, PHP_URL_HOST) === wp_parse_url(home_url(), PHP_URL_HOST)) {
+            $state['page_url'] = $url;
+        }
 
-        wp_enqueue_style(
-            'chatkit-embed',
-            CHATKIT_WP_PLUGIN_URL . 'assets/chatkit-embed.css',
-            [],
-            CHATKIT_WP_VERSION
-        );
+        $language = isset($context['language']) ? (string) $context['language'] : '';
+        $state['page_language'] = preg_match('/^[a-zA-Z]{2,3}([-_][a-zA-Z0-9]{2,8})*$/', $language) ? $language : get_locale();
 
-        $options = $this->get_all_options();
+        $post = !empty($context['post_id']) ? get_post(absint($context['post_id'])) : null;
+        if ($post && $post->post_status === 'publish' && is_post_type_viewable($post->post_type)) {
+            $state['page_title'] = html_entity_decode(get_the_title($post), ENT_QUOTES, 'UTF-8');
+            $state['page_type'] = $post->post_type;
+            $state['page_url'] = get_permalink($post);
+
+            $categories = get_the_terms($post, 'category');
+            if ($categories && !is_wp_error($categories)) {
+                $state['page_categories'] = implode(', ', wp_list_pluck($categories, 'name'));
+            }
+
+            $tags = get_the_terms($post, 'post_tag');
+            if ($tags && !is_wp_error($tags)) {
+                $state['page_tags'] = implode(', ', wp_list_pluck($tags, 'name'));
+            }
+
+            foreach ($this->get_context_fields() as $field) {
+                $value = get_post_meta($post->ID, $field, true);
+                if (is_scalar($value) && $value !== '') {
+                    $state[sanitize_key($field)] = mb_substr(wp_strip_all_tags((string) $value), 0, 500);
+                }
+            }
+        }
+
+        return $state;
+    }
+
+    private function get_context_fields() {
+        $lines = preg_split('/\r\n|\r|\n/', (string) get_option('chatkit_context_fields', ''));
+        // Protected meta (leading underscore) is never exposed to the workflow
+        return array_values(array_filter(array_map('trim', $lines), function($field) {
+            return $field !== '' && !is_protected_meta($field, 'post');
+        }));
+    }
+
+    private function build_session_response($client_secret, $session) {
+        // Build response with all relevant session data
+        $response_data = [
+            'client_secret' => $client_secret,
+            'expires_at' => (int) $session['expires_at'],
+            'user_key' => $this->get_user_key($session['user']),
+        ];
+
+        // Include deployment URL if present in response
+        if (!empty($session['deployment_url'])) {
+            $response_data['deployment_url'] = $session['deployment_url'];
+        }
+
+        // Include any other deployment-related data
+        if (!empty($session['deployment'])) {
+            $response_data['deployment'] = $session['deployment'];
+        }
+
+        return $response_data;
+    }
+
+    /**
+     * Opaque per-visitor key the embed uses to namespace what it stores in
+     * localStorage (e.g. the active thread), without exposing the user ID.
+     */
+    private function get_user_key($user_id) {
+        return substr(hash_hmac('sha256', $user_id, wp_salt('auth')), 0, 16);
+    }
+
+    /**
+     * Issued secrets are tracked by hash until they expire so a refresh can be
+     * tied back to the user and workflow it was created for.
+     */
+    private function remember_issued_session($client_secret, $session) {
+        $ttl = max(MINUTE_IN_SECONDS, $session['expires_at'] - time());
+        set_transient('chatkit_session_' . md5($client_secret), $session, $ttl);
+    }
+
+    private function get_issued_session($client_secret) {
+        $session = get_transient('chatkit_session_' . md5($client_secret));
+        return is_array($session) ? $session : null;
+    }
+
+    public function get_transcript(\WP_REST_Request $request) {
+        $transcript = $this->load_transcript($request);
+        if (is_wp_error($transcript)) {
+            return $transcript;
+        }
+
+        return rest_ensure_response($transcript);
+    }
+
+    /**
+     * Emails a plain-text transcript to the logged-in member's own account
+     * address. Visitors never choose the recipient, so the route cannot be
+     * used to send site mail to arbitrary addresses.
+     */
+    public function email_transcript(\WP_REST_Request $request) {
+        if (!get_option('chatkit_transcript_email', false)) {
+            return new \WP_Error(
+                'transcript_email_disabled',
+                __('Emailing conversations is disabled.', 'chatkit-wp'),
+                ['status' => 403]
+            );
+        }
+
+        $email = is_user_logged_in() ? wp_get_current_user()->user_email : '';
+        if (!is_email($email)) {
+            return new \WP_Error(
+                'login_required',
+                __('Log in to email this conversation to your account address.', 'chatkit-wp'),
+                ['status' => 403]
+            );
+        }
+
+        $ip = filter_var($_SERVER['REMOTE_ADDR'] ?? '', FILTER_VALIDATE_IP) ?: 'unknown';
+        $transient_key = 'chatkit_mailcount_' . md5($ip);
+        $sent = (int) get_transient($transient_key);
+
+        if ($sent >= 3) {
+            return new \WP_Error(
+                'rate_limit_exceeded',
+                __('Too many emails. Please try again later.', 'chatkit-wp'),
+                ['status' => 429]
+            );
+        }
+
+        $transcript = $this->load_transcript($request);
+        if (is_wp_error($transcript)) {
+            return $transcript;
+        }
+
+        set_transient($transient_key, $sent + 1, HOUR_IN_SECONDS);
+
+        $subject = sprintf(
+            /* translators: %s: site name */
+            __('Your conversation on %s', 'chatkit-wp'),
+            wp_specialchars_decode(get_bloginfo('name'), ENT_QUOTES)
+        );
+
+        if (!wp_mail($email, $subject, $this->format_transcript_text($transcript))) {
+            return new \WP_Error(
+                'mail_failed',
+                __('The email could not be sent.', 'chatkit-wp'),
+                ['status' => 500]
+            );
+        }
+
+        return rest_ensure_response(['sent' => true]);
+    }
+
+    /**
+     * Fetches a thread and its items from the ChatKit API after checking that
+     * the caller's client secret was issued to the thread's owner.
+     */
+    private function load_transcript(\WP_REST_Request $request) {
+        if (!get_option('chatkit_enable_export', true)) {
+            return new \WP_Error(
+                'export_disabled',
+                __('Conversation export is disabled.', 'chatkit-wp'),
+                ['status' => 403]
+            );
+        }
+
+        $thread_id = (string) $request->get_param('thread_id');
+        $session = $this->get_thread_session($request);
+        if (is_wp_error($session)) {
+            return $session;
+        }
+
+        $thread = $this->get_owned_thread($thread_id, $session);
+        if (is_wp_error($thread)) {
+            return $thread;
+        }
+
+        $items = $this->fetch_thread_items($thread_id);
+        if (is_wp_error($items)) {
+            return $items;
+        }
+
+        return [
+            'thread_id' => $thread_id,
+            'title' => (string) ($thread['title'] ?? ''),
+            'created_at' => (int) ($thread['created_at'] ?? 0),
+            'items' => $items,
+        ];
+    }
+
+    /**
+     * The session behind a thread request's client_secret. Callers prove who
+     * they are with the secret this site issued them, so guests without a
+     * persistent ID can still reach their own threads.
+     */
+    private function get_thread_session(\WP_REST_Request $request) {
+        $thread_id = (string) $request->get_param('thread_id');
+        $session = $this->get_issued_session((string) $request->get_param('client_secret'));
+
+        if (!preg_match('/^[A-Za-z0-9_-]+$/', $thread_id) || !$session) {
+            return new \WP_Error(
+                'invalid_session',
+                __('Your chat session has expired. Please reload the page.', 'chatkit-wp'),
+                ['status' => 403]
+            );
+        }
+
+        return $session;
+    }
+
+    private function get_owned_thread($thread_id, $session) {
+        $thread = $this->request_chatkit_api('threads/' . $thread_id);
+        if (is_wp_error($thread)) {
+            return $thread;
+        }
+
+        if (($thread['user'] ?? '') !== $session['user']) {
+            return new \WP_Error(
+                'forbidden',
+                __('This conversation is not available.', 'chatkit-wp'),
+                ['status' => 403]
+            );
+        }
+
+        return $thread;
+    }
+
+    /**
+     * User and assistant messages of a thread, oldest first, optionally only
+     * those after item $after.
+     */
+    private function fetch_thread_items($thread_id, $after = '') {
+        $items = [];
+
+        // Threads are paged 100 items at a time; 10 pages covers any real chat
+        for ($page = 0; $page < 10; $page++) {
+            $query = ['limit' => 100, 'order' => 'asc'];
+            if ($after !== '') {
+                $query['after'] = $after;
+            }
+
+            $list = $this->request_chatkit_api('threads/' . $thread_id . '/items', $query);
+            if (is_wp_error($list)) {
+                return $list;
+            }
+
+            foreach ($list['data'] ?? [] as $item) {
+                $message = $this->format_transcript_item($item);
+                if ($message) {
+                    $items[] = $message;
+                }
+            }
+
+            if (empty($list['has_more']) || empty($list['last_id'])) {
+                break;
+            }
+            $after = $list['last_id'];
+        }
+
+        return $items;
+    }
+
+    /**
+     * Reduces a ChatKit thread item to {id, role, text, created_at}. Only user and
+     * assistant messages carry transcript text; widgets and tool calls are skipped.
+     */
+    private function format_transcript_item($item) {
+        $roles = [
+            'chatkit.user_message' => 'user',
+            'chatkit.assistant_message' => 'assistant',
+        ];
+
+        $role = $roles[$item['type'] ?? ''] ?? null;
+        if (!$role) {
+            return null;
+        }
+
+        $text = [];
+        foreach ((array) ($item['content'] ?? []) as $part) {
+            if (isset($part['text']) && in_array($part['type'] ?? '', ['input_text', 'output_text'], true)) {
+                $text[] = $part['text'];
+            }
+        }
+
+        $text = trim(implode("\n\n", $text));
+        if ($text === '') {
+            return null;
+        }
+
+        return [
+            'id' => (string) ($item['id'] ?? ''),
+            'role' => $role,
+            'text' => $text,
+            'created_at' => (int) ($item['created_at'] ?? 0),
+        ];
+    }
+
+    private function format_transcript_text($transcript) {
+        $labels = [
+            'user' => __('You', 'chatkit-wp'),
+            'assistant' => __('Assistant', 'chatkit-wp'),
+        ];
+
+        $lines = [];
+        if ($transcript['title'] !== '') {
+            $lines[] = $transcript['title'];
+            $lines[] = '';
+        }
+
+        foreach ($transcript['items'] as $item) {
+            $lines[] = $labels[$item['role']] . ':';
+            $lines[] = $item['text'];
+            $lines[] = '';
+        }
+
+        $lines[] = '--';
+        $lines[] = home_url('/');
+
+        return implode("\n", $lines);
+    }
+
+    private function request_chatkit_api($path, $query = [], $method = 'GET') {
+        $api_key = $this->get_api_key();
+        if (empty($api_key)) {
+            return new \WP_Error(
+                'missing_config',
+                __('Plugin not configured. Contact administrator.', 'chatkit-wp'),
+                ['status' => 500]
+            );
+        }
+
+        $response = wp_remote_request(add_query_arg($query, 'https://api.openai.com/v1/chatkit/' . $path), [
+            'method' => $method,
+            'headers' => [
+                'Authorization' => 'Bearer ' . $api_key,
+                'OpenAI-Beta' => 'chatkit_beta=v1'
+            ],
+            'timeout' => 30,
+            'sslverify' => true
+        ]);
+
+        if (is_wp_error($response)) {
+            error_log('ChatKit API Error: ' . $response->get_error_message());
+            return new \WP_Error(
+                'api_error',
+                $response->get_error_message(),
+                ['status' => 502]
+            );
+        }
+
+        $status_code = wp_remote_retrieve_response_code($response);
+        $body = json_decode(wp_remote_retrieve_body($response), true);
+
+        if ($status_code !== 200 || !is_array($body)) {
+            error_log('ChatKit API Error (Status ' . $status_code . '): ' . wp_remote_retrieve_body($response));
+            return new \WP_Error(
+                'invalid_response',
+                __('Error loading the conversation', 'chatkit-wp'),
+                ['status' => $status_code === 404 ? 404 : 502]
+            );
+        }
+
+        return $body;
+    }
+
+    /**
+     * "Forget me": deletes the visitor's threads at OpenAI and everything this
+     * site keeps under their user ID (logged conversations, ratings, pre-chat
+     * answers, handoff tickets), then expires the visitor cookie. The visitor is identified by
+     * that cookie, their login, or a client secret this site issued them.
+     */
+    public function forget_visitor(\WP_REST_Request $request) {
+        global $wpdb;
+
+        $ip = filter_var($_SERVER['REMOTE_ADDR'] ?? '', FILTER_VALIDATE_IP) ?: 'unknown';
+        $transient_key = 'chatkit_forgetcount_' . md5($ip);
+        $requests = (int) get_transient($transient_key);
+
+        if ($requests >= 5) {
+            return new \WP_Error(
+                'rate_limit_exceeded',
+                __('Too many requests. Please try again later.', 'chatkit-wp'),
+                ['status' => 429]
+            );
+        }
+        set_transient($transient_key, $requests + 1, HOUR_IN_SECONDS);
+
+        $user_ids = [];
+        if (is_user_logged_in()) {
+            $user_ids[] = $this->get_member_user_id(get_current_user_id());
+        }
+
+        $anonymous_id = $this->get_anonymous_user_id();
+        if ($anonymous_id) {
+            $user_ids[] = $anonymous_id;
+        }
+
+        $client_secret = (string) $request->get_param('client_secret');
+        $session = $client_secret !== '' ? $this->get_issued_session($client_secret) : null;
+        if ($session) {
+            $user_ids[] = $session['user'];
+        }
+
+        $threads = 0;
+        foreach (array_unique($user_ids) as $user_id) {
+            $threads += $this->delete_user_threads($user_id);
+
+            $user_hash = $this->get_user_key($user_id);
+            $this->delete_conversations($wpdb->get_col($wpdb->prepare(
+                "SELECT id FROM {$wpdb->prefix}chatkit_conversations WHERE user_hash = %s",
+                $user_hash
+            )));
+            $wpdb->delete($wpdb->prefix . 'chatkit_feedback', ['user_hash' => $user_hash]);
+            $wpdb->delete($wpdb->prefix . 'chatkit_prechat', ['user_hash' => $user_hash]);
+
+            $tickets = get_posts([
+                'post_type' => 'chatkit_ticket',
+                'post_status' => 'any',
+                'numberposts' => -1,
+                'fields' => 'ids',
+                'meta_key' => '_chatkit_user_hash',
+                'meta_value' => $user_hash,
+            ]);
+            foreach ($tickets as $ticket_id) {
+                wp_delete_post($ticket_id, true);
+            }
+        }
+
+        if (is_user_logged_in()) {
+            delete_user_meta(get_current_user_id(), 'chatkit_user_id');
+        }
+        if ($anonymous_id) {
+            $this->clear_anonymous_user_id();
+        }
+        if ($session) {
+            delete_transient('chatkit_session_' . md5($client_secret));
+        }
+
+        return rest_ensure_response(['forgotten' => true, 'threads' => $threads]);
+    }
+
+    /**
+     * Deletes a user's ChatKit threads, up to 1,000. Only threads that report
+     * the same user are deleted, whatever the list endpoint returns.
+     */
+    private function delete_user_threads($user_id) {
+        $deleted = 0;
+
+        for ($page = 0; $page < 10; $page++) {
+            $list = $this->request_chatkit_api('threads', ['user' => $user_id, 'limit' => 100]);
+            if (is_wp_error($list) || empty($list['data'])) {
+                break;
+            }
+
+            $page_deleted = 0;
+            foreach ($list['data'] as $thread) {
+                if (empty($thread['id']) || ($thread['user'] ?? '') !== $user_id) {
+                    continue;
+                }
+                if (!is_wp_error($this->request_chatkit_api('threads/' . $thread['id'], [], 'DELETE'))) {
+                    $page_deleted++;
+                }
+            }
+
+            // Deleted threads drop out of the list, so the next page is the first again
+            $deleted += $page_deleted;
+            if (!$page_deleted || empty($list['has_more'])) {
+                break;
+            }
+        }
+
+        return $deleted;
+    }
+
+    /**
+     * Conversation log tables. Messages are keyed by their ChatKit item ID so
+     * a thread can be synced repeatedly without duplicates.
+     */
+    public function install_tables() {
+        global $wpdb;
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        $charset_collate = $wpdb->get_charset_collate();
+        $conversations = $wpdb->prefix . 'chatkit_conversations';
+        $messages = $wpdb->prefix . 'chatkit_messages';
+
+        dbDelta("CREATE TABLE {$conversations} (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            thread_id varchar(64) NOT NULL,
+            user_hash varchar(32) NOT NULL,
+            workflow varchar(64) NOT NULL DEFAULT '',
+            title varchar(255) NOT NULL DEFAULT '',
+            page_url text NOT NULL,
+            post_id bigint(20) unsigned NOT NULL DEFAULT 0,
+            message_count int(10) unsigned NOT NULL DEFAULT 0,
+            last_item_id varchar(64) NOT NULL DEFAULT '',
+            started_at datetime NOT NULL,
+            updated_at datetime NOT NULL,
+            PRIMARY KEY  (id),
+            UNIQUE KEY thread_id (thread_id),
+            KEY user_hash (user_hash),
+            KEY post_id (post_id),
+            KEY updated_at (updated_at)
+        ) {$charset_collate};");
+
+        dbDelta("CREATE TABLE {$messages} (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            conversation_id bigint(20) unsigned NOT NULL,
+            item_id varchar(64) NOT NULL,
+            role varchar(16) NOT NULL,
+            content longtext NOT NULL,
+            created_at datetime NOT NULL,
+            PRIMARY KEY  (id),
+            UNIQUE KEY conversation_item (conversation_id,item_id)
+        ) {$charset_collate};");
+
+        dbDelta("CREATE TABLE {$wpdb->prefix}chatkit_prechat (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            user_hash varchar(32) NOT NULL,
+            answers text NOT NULL,
+            consented_at datetime DEFAULT NULL,
+            created_at datetime NOT NULL,
+            updated_at datetime NOT NULL,
+            PRIMARY KEY  (id),
+            UNIQUE KEY user_hash (user_hash)
+        ) {$charset_collate};");
+
+        dbDelta("CREATE TABLE {$wpdb->prefix}chatkit_feedback (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            thread_id varchar(64) NOT NULL,
+            item_id varchar(64) NOT NULL,
+            user_hash varchar(32) NOT NULL,
+            rating tinyint(1) NOT NULL,
+            comment text NOT NULL,
+            response text NOT NULL,
+            page_url text NOT NULL,
+            post_id bigint(20) unsigned NOT NULL DEFAULT 0,
+            created_at datetime NOT NULL,
+            updated_at datetime NOT NULL,
+            PRIMARY KEY  (id),
+            UNIQUE KEY item_user (item_id,user_hash),
+            KEY created_at (created_at),
+            KEY post_id (post_id)
+        ) {$charset_collate};");
+
+        dbDelta("CREATE TABLE {$wpdb->prefix}chatkit_search_index (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            post_id bigint(20) unsigned NOT NULL,
+            chunk smallint(5) unsigned NOT NULL,
+            post_type varchar(20) NOT NULL,
+            title varchar(255) NOT NULL,
+            heading varchar(255) NOT NULL DEFAULT '',
+            content text NOT NULL,
+            indexed_at datetime NOT NULL,
+            PRIMARY KEY  (id),
+            UNIQUE KEY post_chunk (post_id,chunk),
+            KEY post_type (post_type),
+            FULLTEXT KEY title (title),
+            FULLTEXT KEY content (heading,content)
+        ) {$charset_collate};");
+
+        // Fill the search index the first time the table exists
+        if (!get_option('chatkit_search_indexed_at') && !get_option('chatkit_search_rebuild')) {
+            $this->rebuild_search_index();
+        }
+
+        update_option('chatkit_db_version', self::DB_VERSION);
+    }
+
+    public function maybe_install_tables() {
+        if (get_option('chatkit_db_version') !== self::DB_VERSION) {
+            $this->install_tables();
+        }
+    }
+
+    public function schedule_log_purge() {
+        if (!wp_next_scheduled('chatkit_purge_logs')) {
+            wp_schedule_event(time() + HOUR_IN_SECONDS, 'daily', 'chatkit_purge_logs');
+        }
+    }
+
+    /**
+     * Daily cron: drops conversations idle for longer than the retention
+     * period. A retention of 0 days keeps everything.
+     */
+    public function purge_expired_logs() {
+        global $wpdb;
+
+        $days = (int) get_option('chatkit_log_retention_days', 90);
+        if ($days <= 0) {
+            return;
+        }
+
+        $cutoff = gmdate('Y-m-d H:i:s', time() - $days * DAY_IN_SECONDS);
+        $ids = $wpdb->get_col($wpdb->prepare(
+            "SELECT id FROM {$wpdb->prefix}chatkit_conversations WHERE updated_at < %s",
+            $cutoff
+        ));
+
+        $this->delete_conversations($ids);
+    }
+
+    /**
+     * Post types the site search indexes. Types that are no longer
+     * registered or viewable are dropped.
+     */
+    private function get_search_post_types() {
+        $types = (array) get_option('chatkit_search_post_types', ['post', 'page']);
+
+        return array_values(array_filter($types, function($type) {
+            return post_type_exists($type) && is_post_type_viewable($type);
+        }));
+    }
+
+    private function is_indexable_post($post) {
+        $indexable = $post
+            && $post->post_status === 'publish'
+            && $post->post_password === ''
+            && in_array($post->post_type, $this->get_search_post_types(), true);
+
+        /**
+         * Filters whether a post is added to the ChatKit search index.
+         *
+         * @param bool    $indexable Whether the post is indexed.
+         * @param WP_Post $post      The post.
+         */
+        return (bool) apply_filters('chatkit_search_index_post', $indexable, $post);
+    }
+
+    /**
+     * Splits a post into chunks of about SEARCH_CHUNK_WORDS words, starting a
+     * new chunk at each h2-h4 so every chunk carries its section heading.
+     */
+    private function chunk_post_content($post) {
+        $html = strip_shortcodes($post->post_content);
+        $parts = preg_split('/<h[2-4][^>]*>(.*?)<\/h[2-4]>/is', $html, -1, PREG_SPLIT_DELIM_CAPTURE);
+        $chunks = [];
+        $heading = '';
+
+        foreach ($parts as $index => $part) {
+            // Odd parts are the captured heading texts
+            $text = html_entity_decode(wp_strip_all_tags(str_replace('<', ' <', $part)), ENT_QUOTES, 'UTF-8');
+            if ($index % 2) {
+                $heading = mb_substr(trim(preg_replace('/\s+/', ' ', $text)), 0, 255);
+                continue;
+            }
+
+            $words = preg_split('/\s+/', $text, -1, PREG_SPLIT_NO_EMPTY);
+            foreach (array_chunk($words, self::SEARCH_CHUNK_WORDS) as $slice) {
+                $chunks[] = ['heading' => $heading, 'content' => implode(' ', $slice)];
+            }
+        }
+
+        if (empty($chunks)) {
+            $chunks[] = ['heading' => '', 'content' => wp_strip_all_tags(get_the_excerpt($post))];
+        }
+
+        return $chunks;
+    }
+
+    /**
+     * save_post: replaces the post's rows in the search index, or removes
+     * them when the post is no longer published or its type is excluded.
+     */
+    public function index_post($post_id, $post = null) {
+        global $wpdb;
+
+        if (wp_is_post_revision($post_id) || wp_is_post_autosave($post_id)) {
+            return;
+        }
+
+        $post = $post ?: get_post($post_id);
+        $table = $wpdb->prefix . 'chatkit_search_index';
+        $had_rows = (bool) $wpdb->get_var($wpdb->prepare("SELECT COUNT(*) FROM {$table} WHERE post_id = %d", $post_id));
+
+        if (!$this->is_indexable_post($post)) {
+            if ($had_rows) {
+                $this->unindex_post($post_id);
+            }
+            return;
+        }
+
+        $wpdb->delete($table, ['post_id' => $post_id], ['%d']);
+
+        $title = mb_substr(html_entity_decode(get_the_title($post), ENT_QUOTES, 'UTF-8'), 0, 255);
+        $now = current_time('mysql', true);
+
+        foreach (array_slice($this->chunk_post_content($post), 0, 500) as $chunk => $row) {
+            $wpdb->insert($table, [
+                'post_id' => $post_id,
+                'chunk' => $chunk,
+                'post_type' => $post->post_type,
+                'title' => $title,
+                'heading' => $row['heading'],
+                'content' => $row['content'],
+                'indexed_at' => $now,
+            ], ['%d', '%d', '%s', '%s', '%s', '%s', '%s']);
+        }
+
+        $this->flush_search_cache();
+    }
+
+    public function unindex_post($post_id) {
+        global $wpdb;
+
+        if ($wpdb->delete($wpdb->prefix . 'chatkit_search_index', ['post_id' => $post_id], ['%d'])) {
+            $this->flush_search_cache();
+        }
+    }
+
+    /**
+     * Cached results are keyed on this version, so bumping it drops them all
+     */
+    private function flush_search_cache() {
+        update_option('chatkit_search_cache_version', (int) get_option('chatkit_search_cache_version', 0) + 1, false);
+    }
+
+    /**
+     * Empties the index and queues chatkit_index_batch to refill it, one
+     * batch of SEARCH_BATCH_SIZE posts per cron run.
+     */
+    private function rebuild_search_index() {
+        global $wpdb;
+
+        $wpdb->query("DELETE FROM {$wpdb->prefix}chatkit_search_index");
+        $this->flush_search_cache();
+
+        update_option('chatkit_search_rebuild', ['last_id' => 0, 'indexed' => 0, 'started_at' => current_time('mysql', true)], false);
+        wp_clear_scheduled_hook('chatkit_index_batch');
+        wp_schedule_single_event(time(), 'chatkit_index_batch');
+    }
+
+    public function index_batch() {
+        $state = get_option('chatkit_search_rebuild');
+        $types = $this->get_search_post_types();
+
+        if (!is_array($state)) {
+            return;
+        }
+
+        $ids = [];
+        if (!empty($types)) {
+            global $wpdb;
+            $placeholders = implode(',', array_fill(0, count($types), '%s'));
+            $ids = $wpdb->get_col($wpdb->prepare(
+                "SELECT ID FROM {$wpdb->posts}
+                 WHERE ID > %d AND post_status = 'publish' AND post_type IN ({$placeholders})
+                 ORDER BY ID ASC LIMIT %d",
+                array_merge([(int) $state['last_id']], $types, [self::SEARCH_BATCH_SIZE])
+            ));
+        }
+
+        foreach ($ids as $id) {
+            $this->index_post((int) $id);
+            $state['last_id'] = (int) $id;
+            $state['indexed']++;
+        }
+
+        if (count($ids) < self::SEARCH_BATCH_SIZE) {
+            delete_option('chatkit_search_rebuild');
+            update_option('chatkit_search_indexed_at', current_time('mysql', true), false);
+            return;
+        }
+
+        update_option('chatkit_search_rebuild', $state, false);
+        wp_schedule_single_event(time(), 'chatkit_index_batch');
+    }
+
+    /**
+     * Ranked full-text search over the index. A title match counts three
+     * times as much as a match in the section text, and each post
+     * contributes at most two chunks.
+     */
+    private function run_search($query, $limit = 5, $type = '') {
+        global $wpdb;
+
+        $cache_key = 'chatkit_search_' . md5(wp_json_encode([
+            (int) get_option('chatkit_search_cache_version', 0), $query, $limit, $type,
+        ]));
+        $cached = get_transient($cache_key);
+        if (is_array($cached)) {
+            return $cached;
+        }
+
+        $table = $wpdb->prefix . 'chatkit_search_index';
+        $args = [$query, $query, $query, $query];
+        $type_sql = '';
+        if ($type !== '') {
+            $type_sql = 'AND post_type = %s';
+            $args[] = $type;
+        }
+        $args[] = $limit * 4;
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT post_id, post_type, title, heading, content,
+                    MATCH(title) AGAINST(%s) * 3 + MATCH(heading, content) AGAINST(%s) AS score
+             FROM {$table}
+             WHERE (MATCH(title) AGAINST(%s) OR MATCH(heading, content) AGAINST(%s)) {$type_sql}
+             ORDER BY score DESC
+             LIMIT %d",
+            $args
+        ));
+
+        $results = [];
+        $per_post = [];
+        foreach ((array) $rows as $row) {
+            $per_post[$row->post_id] = ($per_post[$row->post_id] ?? 0) + 1;
+            if ($per_post[$row->post_id] > 2) {
+                continue;
+            }
+
+            $object = get_post_type_object($row->post_type);
+            $results[] = [
+                'post_id' => (int) $row->post_id,
+                'title' => $row->title,
+                'url' => get_permalink((int) $row->post_id),
+                'type' => $object ? $object->labels->singular_name : $row->post_type,
+                'heading' => $row->heading,
+                'excerpt' => $row->content,
+                'score' => round((float) $row->score, 3),
+            ];
+
+            if (count($results) >= $limit) {
+                break;
+            }
+        }
+
+        set_transient($cache_key, $results, HOUR_IN_SECONDS);
+
+        return $results;
+    }
+
+    /**
+     * /search: site content for the search_articles client tool, so the
+     * assistant answers from the site's own articles.
+     */
+    public function search_content(\WP_REST_Request $request) {
+        $query = mb_substr(trim(sanitize_text_field((string) $request->get_param('query'))), 0, 200);
+        if (mb_strlen($query) < 2) {
+            return new \WP_Error(
+                'invalid_query',
+                __('Enter at least two characters to search.', 'chatkit-wp'),
+                ['status' => 400]
+            );
+        }
+
+        $type = sanitize_key((string) $request->get_param('type'));
+        if ($type !== '' && !in_array($type, $this->get_search_post_types(), true)) {
+            return new \WP_Error(
+                'invalid_type',
+                __('This content type is not searchable.', 'chatkit-wp'),
+                ['status' => 400]
+            );
+        }
+
+        $ip = filter_var($_SERVER['REMOTE_ADDR'] ?? '', FILTER_VALIDATE_IP) ?: 'unknown';
+        $rate_key = 'chatkit_searchcount_' . md5($ip);
+        $count = (int) get_transient($rate_key);
+
+        if ($count >= 30) {
+            return new \WP_Error(
+                'rate_limit_exceeded',
+                __('Too many searches. Please try again in a minute.', 'chatkit-wp'),
+                ['status' => 429]
+            );
+        }
+
+        set_transient($rate_key, $count + 1, 60);
+
+        $limit = min(10, max(1, (int) $request->get_param('limit')));
+
+        return rest_ensure_response([
+            'query' => $query,
+            'results' => $this->run_search($query, $limit, $type),
+        ]);
+    }
+
+    private function delete_conversations($ids) {
+        global $wpdb;
+
+        $ids = array_filter(array_map('absint', (array) $ids));
+        if (empty($ids)) {
+            return 0;
+        }
+
+        $placeholders = implode(',', array_fill(0, count($ids), '%d'));
+        $wpdb->query($wpdb->prepare("DELETE FROM {$wpdb->prefix}chatkit_messages WHERE conversation_id IN ({$placeholders})", $ids));
+
+        return (int) $wpdb->query($wpdb->prepare("DELETE FROM {$wpdb->prefix}chatkit_conversations WHERE id IN ({$placeholders})", $ids));
+    }
+
+    /**
+     * Conversation logging. The embed reports thread events with its client
+     * secret; the messages themselves are pulled from the ChatKit API once a
+     * response has finished, so nothing the browser sends ends up in the log.
+     */
+    public function log_event(\WP_REST_Request $request) {
+        global $wpdb;
+
+        if (!get_option('chatkit_enable_logging', false)) {
+            return new \WP_Error(
+                'logging_disabled',
+                __('Conversation logging is disabled.', 'chatkit-wp'),
+                ['status' => 403]
+            );
+        }
+
+        if (get_option('chatkit_log_consent', 'required') !== 'implied' && !rest_sanitize_boolean($request->get_param('consent'))) {
+            return new \WP_Error(
+                'consent_required',
+                __('The visitor has not agreed to conversation logging.', 'chatkit-wp'),
+                ['status' => 403]
+            );
+        }
+
+        $event = (string) $request->get_param('event');
+        if (!in_array($event, ['thread.started', 'message.sent', 'response.ended'], true)) {
+            return new \WP_Error(
+                'invalid_event',
+                __('Unknown log event.', 'chatkit-wp'),
+                ['status' => 400]
+            );
+        }
+
+        $session = $this->get_thread_session($request);
+        if (is_wp_error($session)) {
+            return $session;
+        }
+
+        $thread_id = (string) $request->get_param('thread_id');
+        $user_hash = $this->get_user_key($session['user']);
+        $table = $wpdb->prefix . 'chatkit_conversations';
+        $conversation = $wpdb->get_row($wpdb->prepare("SELECT * FROM {$table} WHERE thread_id = %s", $thread_id));
+
+        if ($conversation && $conversation->user_hash !== $user_hash) {
+            return new \WP_Error(
+                'forbidden',
+                __('This conversation is not available.', 'chatkit-wp'),
+                ['status' => 403]
+            );
+        }
+
+        // Ownership is checked against the ChatKit API once, when the thread is first seen
+        if (!$conversation) {
+            $thread = $this->get_owned_thread($thread_id, $session);
+            if (is_wp_error($thread)) {
+                return $thread;
+            }
+
+            $page = (array) $request->get_param('page');
+            $now = current_time('mysql', true);
+
+            $wpdb->insert($table, [
+                'thread_id' => $thread_id,
+                'user_hash' => $user_hash,
+                'workflow' => $session['workflow'],
+                'title' => mb_substr(sanitize_text_field((string) ($thread['title'] ?? '')), 0, 255),
+                'page_url' => $this->sanitize_local_page_url($page['url'] ?? ''),
+                'post_id' => absint($page['post_id'] ?? 0),
+                'started_at' => $now,
+                'updated_at' => $now,
+            ]);
+
+            $conversation = $wpdb->get_row($wpdb->prepare("SELECT * FROM {$table} WHERE thread_id = %s", $thread_id));
+            if (!$conversation) {
+                return new \WP_Error(
+                    'log_failed',
+                    __('The conversation could not be logged.', 'chatkit-wp'),
+                    ['status' => 500]
+                );
+            }
+        }
+
+        if ($event === 'response.ended') {
+            $synced = $this->sync_conversation_messages($conversation);
+            if (is_wp_error($synced)) {
+                return $synced;
+            }
+        }
+
+        return rest_ensure_response(['logged' => true]);
+    }
+
+    private function sync_conversation_messages($conversation) {
+        global $wpdb;
+
+        $items = $this->fetch_thread_items($conversation->thread_id, $conversation->last_item_id);
+        if (is_wp_error($items)) {
+            return $items;
+        }
+
+        $messages = $wpdb->prefix . 'chatkit_messages';
+        $title = $conversation->title;
+        $last_item_id = $conversation->last_item_id;
+
+        foreach ($items as $item) {
+            if ($item['id'] === '') {
+                continue;
+            }
+
+            $wpdb->query($wpdb->prepare(
+                "INSERT IGNORE INTO {$messages} (conversation_id, item_id, role, content, created_at) VALUES (%d, %s, %s, %s, %s)",
+                $conversation->id,
+                $item['id'],
+                $item['role'],
+                $item['text'],
+                gmdate('Y-m-d H:i:s', $item['created_at'] ?: time())
+            ));
+
+            // Untitled threads are named after the visitor's first question
+            if ($title === '' && $item['role'] === 'user') {
+                $title = mb_substr(wp_strip_all_tags($item['text']), 0, 120);
+            }
+            $last_item_id = $item['id'];
+        }
+
+        $wpdb->update($wpdb->prefix . 'chatkit_conversations', [
+            'title' => $title,
+            'last_item_id' => $last_item_id,
+            'message_count' => (int) $wpdb->get_var($wpdb->prepare("SELECT COUNT(*) FROM {$messages} WHERE conversation_id = %d", $conversation->id)),
+            'updated_at' => current_time('mysql', true),
+        ], ['id' => $conversation->id]);
+
+        return true;
+    }
+
+    // Only URLs on this site are kept, without query string or fragment
+    private function sanitize_local_page_url($url) {
+        $url = esc_url_raw((string) $url);
+        if ($url === '' || wp_parse_url($url, PHP_URL_HOST) !== wp_parse_url(home_url(), PHP_URL_HOST)) {
+            return '';
+        }
+
+        return strtok($url, '?#');
+    }
+
+    /**
+     * Rates one assistant reply. The first rating of a reply is checked
+     * against the thread (the embed may leave item_id empty to rate the
+     * latest reply); changing the rating or adding a comment afterwards
+     * only touches the visitor's own row.
+     */
+    public function save_feedback(\WP_REST_Request $request) {
+        global $wpdb;
+
+        if (!get_option('chatkit_enable_feedback', true)) {
+            return new \WP_Error(
+                'feedback_disabled',
+                __('Feedback is disabled.', 'chatkit-wp'),
+                ['status' => 403]
+            );
+        }
+
+        $session = $this->get_thread_session($request);
+        if (is_wp_error($session)) {
+            return $session;
+        }
+
+        $table = $wpdb->prefix . 'chatkit_feedback';
+        $thread_id = (string) $request->get_param('thread_id');
+        $item_id = (string) $request->get_param('item_id');
+        $user_hash = $this->get_user_key($session['user']);
+        $rating = $request->get_param('rating') === 'up' ? 1 : -1;
+        $comment = mb_substr(sanitize_textarea_field((string) $request->get_param('comment')), 0, 1000);
+        $now = current_time('mysql', true);
+
+        $existing = $item_id !== '' ? $wpdb->get_row($wpdb->prepare(
+            "SELECT id, thread_id FROM {$table} WHERE item_id = %s AND user_hash = %s",
+            $item_id,
+            $user_hash
+        )) : null;
+
+        if ($existing && $existing->thread_id === $thread_id) {
+            $wpdb->update($table, [
+                'rating' => $rating,
+                'comment' => $rating > 0 ? '' : $comment,
+                'updated_at' => $now,
+            ], ['id' => $existing->id]);
+
+            return rest_ensure_response(['item_id' => $item_id, 'rating' => $rating > 0 ? 'up' : 'down']);
+        }
+
+        $thread = $this->get_owned_thread($thread_id, $session);
+        if (is_wp_error($thread)) {
+            return $thread;
+        }
+
+        $reply = $this->find_assistant_reply($thread_id, $item_id);
+        if (is_wp_error($reply)) {
+            return $reply;
+        }
+
+        $page = (array) $request->get_param('page');
+
+        $wpdb->replace($table, [
+            'thread_id' => $thread_id,
+            'item_id' => $reply['id'],
+            'user_hash' => $user_hash,
+            'rating' => $rating,
+            'comment' => $rating > 0 ? '' : $comment,
+            'response' => mb_substr($reply['text'], 0, 2000),
+            'page_url' => $this->sanitize_local_page_url($page['url'] ?? ''),
+            'post_id' => absint($page['post_id'] ?? 0),
+            'created_at' => $now,
+            'updated_at' => $now,
+        ]);
+
+        return rest_ensure_response(['item_id' => $reply['id'], 'rating' => $rating > 0 ? 'up' : 'down']);
+    }
+
+    /**
+     * The assistant message $item_id among the thread's most recent items,
+     * or the latest assistant message when $item_id is empty.
+     */
+    private function find_assistant_reply($thread_id, $item_id) {
+        $list = $this->request_chatkit_api('threads/' . $thread_id . '/items', ['limit' => 50, 'order' => 'desc']);
+        if (is_wp_error($list)) {
+            return $list;
+        }
+
+        foreach ($list['data'] ?? [] as $item) {
+            $message = $this->format_transcript_item($item);
+            if ($message && $message['role'] === 'assistant' && ($item_id === '' || $message['id'] === $item_id)) {
+                return $message + ['sources' => $this->get_item_sources($item)];
+            }
+        }
+
+        return new \WP_Error(
+            'reply_not_found',
+            __('This reply can no longer be rated.', 'chatkit-wp'),
+            ['status' => 404]
+        );
+    }
+
+    /**
+     * URL citations ChatKit attached to an assistant message's text
+     */
+    private function get_item_sources($item) {
+        $urls = [];
+        foreach ((array) ($item['content'] ?? []) as $part) {
+            foreach ((array) ($part['annotations'] ?? []) as $annotation) {
+                $source = (array) ($annotation['source'] ?? []);
+                if (($source['type'] ?? '') === 'url' && !empty($source['url'])) {
+                    $urls[] = (string) $source['url'];
+                }
+            }
+        }
+        return $urls;
+    }
+
+    /**
+     * Citation cards for the thread's latest reply (or reply $item_id): its
+     * URL citations first, then links in its text, limited to published
+     * content on this site.
+     */
+    public function get_citations(\WP_REST_Request $request) {
+        if (!get_option('chatkit_enable_citations', true)) {
+            return new \WP_Error(
+                'citations_disabled',
+                __('Citation cards are disabled.', 'chatkit-wp'),
+                ['status' => 403]
+            );
+        }
+
+        $session = $this->get_thread_session($request);
+        if (is_wp_error($session)) {
+            return $session;
+        }
+
+        $thread_id = (string) $request->get_param('thread_id');
+        $thread = $this->get_owned_thread($thread_id, $session);
+        if (is_wp_error($thread)) {
+            return $thread;
+        }
+
+        $reply = $this->find_assistant_reply($thread_id, (string) $request->get_param('item_id'));
+        if (is_wp_error($reply)) {
+            return $reply->get_error_code() === 'reply_not_found' ? rest_ensure_response(['item_id' => '', 'cards' => []]) : $reply;
+        }
+
+        // Bare URLs and Markdown link targets; trailing punctuation is the sentence's
+        preg_match_all('#https?://[^\s<>()\[\]"\'`]+#i', $reply['text'], $matches);
+        $urls = array_merge($reply['sources'], array_map(function($url) {
+            return rtrim($url, '.,;:!?*_');
+        }, $matches[0]));
+
+        $cards = [];
+        foreach ($urls as $url) {
+            $post = $this->resolve_site_post($url);
+            if ($post && !isset($cards[$post->ID])) {
+                $cards[$post->ID] = $this->format_link_card($post);
+            }
+            if (count($cards) >= 3) {
+                break;
+            }
+        }
+
+        return rest_ensure_response(['item_id' => $reply['id'], 'cards' => array_values($cards)]);
+    }
+
+    /**
+     * "Talk to a person": a contact or callback request from the widget. The
+     * conversation is attached only when the caller owns the thread, and is
+     * fetched from ChatKit so it can't be made up. Requests are emailed to
+     * staff, saved as tickets, or both.
+     */
+    public function request_handoff(\WP_REST_Request $request) {
+        global $wpdb;
+
+        if (!get_option('chatkit_handoff_enabled', false)) {
+            return new \WP_Error(
+                'handoff_disabled',
+                __('Contact requests are disabled.', 'chatkit-wp'),
+                ['status' => 403]
+            );
+        }
+
+        $type = $request->get_param('type');
+        $handoff = [
+            'type' => $type,
+            'name' => mb_substr(sanitize_text_field((string) $request->get_param('name')), 0, 100),
+            'email' => sanitize_email((string) $request->get_param('email')),
+            'phone' => mb_substr(sanitize_text_field((string) $request->get_param('phone')), 0, 40),
+            'when' => mb_substr(sanitize_text_field((string) $request->get_param('when')), 0, 100),
+            'message' => mb_substr(sanitize_textarea_field((string) $request->get_param('message')), 0, 2000),
+            'summary' => mb_substr(sanitize_textarea_field((string) $request->get_param('summary')), 0, 1000),
+            'thread_id' => '',
+            'items' => [],
+            'page_url' => $this->sanitize_local_page_url(((array) $request->get_param('page'))['url'] ?? ''),
+        ];
+
+        $valid = $type === 'contact'
+            ? is_email($handoff['email']) && $handoff['message'] !== ''
+            : preg_match('/\d.*\d.*\d/', $handoff['phone']);
+        if ($handoff['name'] === '' || !$valid) {
+            return new \WP_Error(
+                'invalid_handoff',
+                __('Please fill in the required fields.', 'chatkit-wp'),
+                ['status' => 400]
+            );
+        }
+
+        $ip = filter_var($_SERVER['REMOTE_ADDR'] ?? '', FILTER_VALIDATE_IP) ?: 'unknown';
+        $transient_key = 'chatkit_handoffcount_' . md5($ip);
+        $sent = (int) get_transient($transient_key);
+
+        if ($sent >= 3) {
+            return new \WP_Error(
+                'rate_limit_exceeded',
+                __('Too many requests. Please try again later.', 'chatkit-wp'),
+                ['status' => 429]
+            );
+        }
+        set_transient($transient_key, $sent + 1, HOUR_IN_SECONDS);
+
+        // An expired session only costs the transcript, never the request
+        $user_hash = '';
+        $thread_id = (string) $request->get_param('thread_id');
+        if ($thread_id !== '') {
+            $session = $this->get_thread_session($request);
+            $thread = is_wp_error($session) ? $session : $this->get_owned_thread($thread_id, $session);
+            if (!is_wp_error($thread)) {
+                $items = $this->fetch_thread_items($thread_id);
+                $handoff['thread_id'] = $thread_id;
+                $handoff['items'] = is_wp_error($items) ? [] : array_slice($items, -30);
+                $user_hash = $this->get_user_key($session['user']);
+            }
+        }
+
+        $conversation_id = $handoff['thread_id'] !== '' ? (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT id FROM {$wpdb->prefix}chatkit_conversations WHERE thread_id = %s",
+            $handoff['thread_id']
+        )) : 0;
+        $text = $this->format_handoff_text($handoff, $conversation_id);
+        $title = $this->get_handoff_title($handoff);
+        $delivery = get_option('chatkit_handoff_delivery', 'email');
+
+        $ticket_id = 0;
+        if ($delivery !== 'email') {
+            $ticket_id = (int) wp_insert_post([
+                'post_type' => 'chatkit_ticket',
+                'post_status' => 'publish',
+                'post_title' => $title,
+                'post_content' => $text,
+                'meta_input' => [
+                    '_chatkit_handoff_type' => $type,
+                    '_chatkit_contact_name' => $handoff['name'],
+                    '_chatkit_contact_email' => $handoff['email'],
+                    '_chatkit_contact_phone' => $handoff['phone'],
+                    '_chatkit_thread_id' => $handoff['thread_id'],
+                    '_chatkit_user_hash' => $user_hash,
+                    '_chatkit_page_url' => $handoff['page_url'],
+                ],
+            ]);
+        }
+
+        $mailed = false;
+        if ($delivery !== 'ticket') {
+            $to = get_option('chatkit_handoff_email', '');
+            $headers = is_email($handoff['email']) ? ['Reply-To: ' . $handoff['name'] . ' <' . $handoff['email'] . '>'] : [];
+            if ($ticket_id) {
+                $text .= "\n" . __('Ticket:', 'chatkit-wp') . ' ' . admin_url('post.php?post=' . $ticket_id . '&action=edit');
+            }
+            $mailed = wp_mail(is_email($to) ? $to : get_option('admin_email'), $title, $text, $headers);
+        }
+
+        if (!$ticket_id && !$mailed) {
+            return new \WP_Error(
+                'handoff_failed',
+                __('Your request could not be sent. Please try again.', 'chatkit-wp'),
+                ['status' => 500]
+            );
+        }
+
+        return rest_ensure_response(['sent' => true, 'type' => $type]);
+    }
+
+    private function get_handoff_title($handoff) {
+        return sprintf(
+            $handoff['type'] === 'callback'
+                /* translators: %s: visitor name */
+                ? __('Callback request from %s', 'chatkit-wp')
+                /* translators: %s: visitor name */
+                : __('Contact request from %s', 'chatkit-wp'),
+            $handoff['name']
+        );
+    }
+
+    private function format_handoff_text($handoff, $conversation_id) {
+        $details = [
+            __('Name', 'chatkit-wp') => $handoff['name'],
+            __('Email', 'chatkit-wp') => $handoff['email'],
+            __('Phone', 'chatkit-wp') => $handoff['phone'],
+            __('Best time to call', 'chatkit-wp') => $handoff['when'],
+            __('Page', 'chatkit-wp') => $handoff['page_url'],
+        ];
+
+        $lines = [];
+        foreach ($details as $label => $value) {
+            if ($value !== '') {
+                $lines[] = $label . ': ' . $value;
+            }
+        }
+
+        if ($handoff['message'] !== '') {
+            $lines[] = '';
+            $lines[] = $handoff['message'];
+        }
+
+        if ($handoff['summary'] !== '') {
+            $lines[] = '';
+            $lines[] = __('Summary from the assistant:', 'chatkit-wp');
+            $lines[] = $handoff['summary'];
+        }
+
+        if ($handoff['items']) {
+            $labels = [
+                'user' => __('Visitor', 'chatkit-wp'),
+                'assistant' => __('Assistant', 'chatkit-wp'),
+            ];
+
+            $lines[] = '';
+            $lines[] = __('Conversation so far:', 'chatkit-wp');
+            $lines[] = '';
+            foreach ($handoff['items'] as $item) {
+                $lines[] = $labels[$item['role']] . ':';
+                $lines[] = $item['text'];
+                $lines[] = '';
+            }
+        }
+
+        if ($handoff['thread_id'] !== '') {
+            $lines[] = '--';
+            $lines[] = __('Thread:', 'chatkit-wp') . ' ' . $handoff['thread_id'];
+            if ($conversation_id) {
+                $lines[] = admin_url('tools.php?page=chatkit-conversations&view=' . $conversation_id);
+            }
+        }
+
+        return implode("\n", $lines);
+    }
+
+    /**
+     * Handoff requests saved as tickets, listed under Tools. Only the handoff
+     * route creates them.
+     */
+    public function register_ticket_post_type() {
+        register_post_type('chatkit_ticket', [
+            'labels' => [
+                'name' => __('ChatKit Tickets', 'chatkit-wp'),
+                'singular_name' => __('ChatKit Ticket', 'chatkit-wp'),
+                'edit_item' => __('Ticket', 'chatkit-wp'),
+                'search_items' => __('Search tickets', 'chatkit-wp'),
+                'not_found' => __('No tickets found.', 'chatkit-wp'),
+                'not_found_in_trash' => __('No tickets found in Trash.', 'chatkit-wp'),
+            ],
+            'public' => false,
+            'show_ui' => true,
+            'show_in_menu' => 'tools.php',
+            'supports' => ['title', 'editor'],
+            'capability_type' => 'post',
+            'capabilities' => ['create_posts' => 'do_not_allow'],
+            'map_meta_cap' => true,
+        ]);
+    }
+
+    public function ticket_columns($columns) {
+        return array_slice($columns, 0, 2, true) + [
+            'chatkit_type' => __('Request', 'chatkit-wp'),
+            'chatkit_contact' => __('Contact', 'chatkit-wp'),
+        ] + array_slice($columns, 2, null, true);
+    }
+
+    public function render_ticket_column($column, $post_id) {
+        if ($column === 'chatkit_type') {
+            echo get_post_meta($post_id, '_chatkit_handoff_type', true) === 'callback'
+                ? esc_html__('Callback', 'chatkit-wp')
+                : esc_html__('Contact form', 'chatkit-wp');
+        } elseif ($column === 'chatkit_contact') {
+            $email = get_post_meta($post_id, '_chatkit_contact_email', true);
+            $phone = get_post_meta($post_id, '_chatkit_contact_phone', true);
+            echo $email ? '<a href="mailto:' . esc_attr($email) . '">' . esc_html($email) . '</a>' : '';
+            echo $email && $phone ? '<br>' : '';
+            echo $phone ? '<a href="tel:' . esc_attr(preg_replace('/[^\d+]/', '', $phone)) . '">' . esc_html($phone) . '</a>' : '';
+        }
+    }
+
+    /**
+     * Tools → ChatKit Conversations: search, filter and read logged
+     * transcripts, and delete them one by one or in bulk.
+     */
+    public function render_conversations_page() {
+        global $wpdb;
+
+        if (!current_user_can('manage_options')) {
+            return;
+        }
+
+        $conversations_table = $wpdb->prefix . 'chatkit_conversations';
+        $messages_table = $wpdb->prefix . 'chatkit_messages';
+        $page_url = admin_url('tools.php?page=chatkit-conversations');
+        $notice = '';
+
+        if (isset($_GET['action'], $_GET['conversation']) && $_GET['action'] === 'delete') {
+            $id = absint($_GET['conversation']);
+            check_admin_referer('chatkit_delete_conversation_' . $id);
+            $this->delete_conversations([$id]);
+            $notice = __('Conversation deleted.', 'chatkit-wp');
+        }
+
+        if (isset($_POST['chatkit_bulk_delete'])) {
+            check_admin_referer('chatkit_bulk_delete');
+            $deleted = $this->delete_conversations(isset($_POST['conversation_ids']) ? (array) $_POST['conversation_ids'] : []);
+            /* translators: %d: number of deleted conversations */
+            $notice = sprintf(_n('%d conversation deleted.', '%d conversations deleted.', $deleted, 'chatkit-wp'), $deleted);
+        }
+
+        $view = isset($_GET['view']) ? absint($_GET['view']) : 0;
+        $conversation = null;
+        $messages = [];
+        $prechat = null;
+
+        if ($view) {
+            $conversation = $wpdb->get_row($wpdb->prepare("SELECT * FROM {$conversations_table} WHERE id = %d", $view));
+            if ($conversation) {
+                $messages = $wpdb->get_results($wpdb->prepare(
+                    "SELECT role, content, created_at FROM {$messages_table} WHERE conversation_id = %d ORDER BY created_at ASC, id ASC",
+                    $view
+                ));
+                $prechat = $wpdb->get_row($wpdb->prepare(
+                    "SELECT answers, consented_at FROM {$wpdb->prefix}chatkit_prechat WHERE user_hash = %s",
+                    $conversation->user_hash
+                ));
+            }
+        }
+
+        $filters = [
+            's' => isset($_GET['s']) ? sanitize_text_field(wp_unslash($_GET['s'])) : '',
+            'from' => isset($_GET['from']) && preg_match('/^\d{4}-\d{2}-\d{2}$/', $_GET['from']) ? $_GET['from'] : '',
+            'to' => isset($_GET['to']) && preg_match('/^\d{4}-\d{2}-\d{2}$/', $_GET['to']) ? $_GET['to'] : '',
+            'post_id' => isset($_GET['post_id']) ? absint($_GET['post_id']) : 0,
+        ];
+
+        $where = ['1=1'];
+        $args = [];
+
+        if ($filters['s'] !== '') {
+            $like = '%' . $wpdb->esc_like($filters['s']) . '%';
+            $where[] = "(c.title LIKE %s OR c.page_url LIKE %s OR c.id IN (SELECT conversation_id FROM {$messages_table} WHERE content LIKE %s))";
+            array_push($args, $like, $like, $like);
+        }
+        if ($filters['from'] !== '') {
+            $where[] = 'c.updated_at >= %s';
+            $args[] = get_gmt_from_date($filters['from'] . ' 00:00:00');
+        }
+        if ($filters['to'] !== '') {
+            $where[] = 'c.started_at <= %s';
+            $args[] = get_gmt_from_date($filters['to'] . ' 23:59:59');
+        }
+        if ($filters['post_id']) {
+            $where[] = 'c.post_id = %d';
+            $args[] = $filters['post_id'];
+        }
+
+        $where_sql = implode(' AND ', $where);
+        $per_page = 20;
+        $paged = max(1, isset($_GET['paged']) ? absint($_GET['paged']) : 1);
+
+        $count_sql = "SELECT COUNT(*) FROM {$conversations_table} c WHERE {$where_sql}";
+        $total = (int) $wpdb->get_var($args ? $wpdb->prepare($count_sql, $args) : $count_sql);
+
+        $list_sql = "SELECT c.* FROM {$conversations_table} c WHERE {$where_sql} ORDER BY c.updated_at DESC LIMIT %d OFFSET %d";
+        $conversations = $wpdb->get_results($wpdb->prepare($list_sql, array_merge($args, [$per_page, ($paged - 1) * $per_page])));
+
+        // Pages that have conversations, for the page filter
+        $logged_pages = $wpdb->get_col("SELECT DISTINCT post_id FROM {$conversations_table} WHERE post_id > 0 ORDER BY post_id DESC LIMIT 200");
+
+        require_once CHATKIT_WP_PLUGIN_DIR . 'admin/conversations-page.php';
+    }
+
+    /**
+     * Tools → ChatKit Feedback: satisfaction over time, the worst-rated
+     * replies and the pages that collect the most thumbs-down.
+     */
+    public function render_feedback_page() {
+        global $wpdb;
+
+        if (!current_user_can('manage_options')) {
+            return;
+        }
+
+        $table = $wpdb->prefix . 'chatkit_feedback';
+        $ranges = [
+            7 => __('Last 7 days', 'chatkit-wp'),
+            30 => __('Last 30 days', 'chatkit-wp'),
+            90 => __('Last 90 days', 'chatkit-wp'),
+            365 => __('Last 12 months', 'chatkit-wp'),
+        ];
+        $range = isset($_GET['range'], $ranges[absint($_GET['range'])]) ? absint($_GET['range']) : 30;
+        $since = gmdate('Y-m-d H:i:s', time() - $range * DAY_IN_SECONDS);
+
+        $summary = $wpdb->get_row($wpdb->prepare(
+            "SELECT COUNT(*) AS total, SUM(rating > 0) AS up, SUM(rating < 0) AS down, SUM(comment <> '') AS comments
+             FROM {$table} WHERE created_at >= %s",
+            $since
+        ));
+
+        // Daily buckets up to 90 days, weekly beyond that
+        $bucket = $range > 90 ? "DATE_FORMAT(created_at, '%%x-W%%v')" : 'DATE(created_at)';
+        $timeline = $wpdb->get_results($wpdb->prepare(
+            "SELECT {$bucket} AS period, SUM(rating > 0) AS up, SUM(rating < 0) AS down
+             FROM {$table} WHERE created_at >= %s GROUP BY period ORDER BY period ASC",
+            $since
+        ));
+
+        $worst = $wpdb->get_results($wpdb->prepare(
+            "SELECT f.*, c.id AS conversation_id
+             FROM {$table} f
+             LEFT JOIN {$wpdb->prefix}chatkit_conversations c ON c.thread_id = f.thread_id
+             WHERE f.rating < 0 AND f.created_at >= %s
+             ORDER BY (f.comment <> '') DESC, f.created_at DESC
+             LIMIT 25",
+            $since
+        ));
+
+        $pages = $wpdb->get_results($wpdb->prepare(
+            "SELECT post_id, MAX(page_url) AS page_url, SUM(rating > 0) AS up, SUM(rating < 0) AS down
+             FROM {$table} WHERE created_at >= %s
+             GROUP BY post_id, IF(post_id = 0, page_url, '')
+             ORDER BY down DESC, up ASC
+             LIMIT 20",
+            $since
+        ));
+
+        require_once CHATKIT_WP_PLUGIN_DIR . 'admin/feedback-page.php';
+    }
+
+    public function render_search_page() {
+        global $wpdb;
+
+        if (!current_user_can('manage_options')) {
+            return;
+        }
+
+        $notice = '';
+
+        if (isset($_POST['chatkit_search_save'])) {
+            check_admin_referer('chatkit_search_index');
+            $types = isset($_POST['chatkit_search_post_types']) ? array_map('sanitize_key', (array) wp_unslash($_POST['chatkit_search_post_types'])) : [];
+            update_option('chatkit_search_post_types', $types);
+            $this->rebuild_search_index();
+            $notice = __('Post types saved. The index is being rebuilt.', 'chatkit-wp');
+        } elseif (isset($_POST['chatkit_search_rebuild'])) {
+            check_admin_referer('chatkit_search_index');
+            $this->rebuild_search_index();
+            $notice = __('The index is being rebuilt.', 'chatkit-wp');
+        }
+
+        $post_types = get_post_types(['public' => true], 'objects');
+        unset($post_types['attachment']);
+        $selected_types = $this->get_search_post_types();
+
+        $stats = $wpdb->get_row("SELECT COUNT(DISTINCT post_id) AS posts, COUNT(*) AS chunks FROM {$wpdb->prefix}chatkit_search_index");
+        $rebuild = get_option('chatkit_search_rebuild');
+        $indexed_at = get_option('chatkit_search_indexed_at', '');
+
+        $test_query = isset($_GET['q']) ? sanitize_text_field(wp_unslash($_GET['q'])) : '';
+        $test_results = $test_query !== '' ? $this->run_search($test_query, 10) : [];
+
+        require_once CHATKIT_WP_PLUGIN_DIR . 'admin/search-index-page.php';
+    }
+
+    /**
+     * Entity-tag search for the composer's @-mentions. Only published posts of
+     * public post types are returned, so the route can stay unauthenticated.
+     */
+    public function search_entities(\WP_REST_Request $request) {
+        if (!get_option('chatkit_enable_entity_tags', false)) {
+            return new \WP_Error(
+                'entity_tags_disabled',
+                __('Entity tags are disabled.', 'chatkit-wp'),
+                ['status' => 403]
+            );
+        }
+
+        $search = sanitize_text_field((string) $request->get_param('search'));
+
+        $query = new \WP_Query([
+            's' => $search,
+            'post_type' => get_post_types(['public' => true]),
+            'post_status' => 'publish',
+            'posts_per_page' => 8,
+            'no_found_rows' => true,
+            'ignore_sticky_posts' => true,
+        ]);
+
+        return rest_ensure_response(array_map([$this, 'format_entity'], $query->posts));
+    }
+
+    public function get_entity(\WP_REST_Request $request) {
+        if (!get_option('chatkit_enable_entity_tags', false)) {
+            return new \WP_Error(
+                'entity_tags_disabled',
+                __('Entity tags are disabled.', 'chatkit-wp'),
+                ['status' => 403]
+            );
+        }
+
+        $post = get_post((int) $request['id']);
+
+        if (!$post || $post->post_status !== 'publish' || !is_post_type_viewable($post->post_type)) {
+            return new \WP_Error(
+                'entity_not_found',
+                __('Entity not found.', 'chatkit-wp'),
+                ['status' => 404]
+            );
+        }
+
+        return rest_ensure_response($this->format_entity($post));
+    }
+
+    /**
+     * A published post by ID or permalink, for the get_post client tool.
+     * Password-protected posts are treated as missing.
+     */
+    public function get_post_summary(\WP_REST_Request $request) {
+        $id = (int) $request->get_param('id');
+        if (!$id && $request->get_param('url') !== '') {
+            $id = url_to_postid(esc_url_raw((string) $request->get_param('url')));
+        }
+
+        $post = $id ? get_post($id) : null;
+
+        if (!$this->is_public_post($post)) {
+            return new \WP_Error(
+                'post_not_found',
+                __('Post not found.', 'chatkit-wp'),
+                ['status' => 404]
+            );
+        }
+
+        $type = get_post_type_object($post->post_type);
+
+        return rest_ensure_response([
+            'id' => $post->ID,
+            'title' => html_entity_decode(get_the_title($post), ENT_QUOTES, 'UTF-8'),
+            'url' => get_permalink($post),
+            'type' => $type ? $type->labels->singular_name : $post->post_type,
+            'date' => get_post_time('c', true, $post),
+            'modified' => get_post_modified_time('c', true, $post),
+            'excerpt' => wp_trim_words(wp_strip_all_tags(get_the_excerpt($post)), 55),
+            // Enough of the article for the assistant to summarize it
+            'content' => wp_trim_words(wp_strip_all_tags(strip_shortcodes($post->post_content)), 600),
+        ]);
+    }
+
+    /**
+     * Card data for a permalink on this site, for citation cards
+     */
+    public function get_link_preview(\WP_REST_Request $request) {
+        $post = $this->resolve_site_post((string) $request->get_param('url'));
+
+        if (!$post) {
+            return new \WP_Error(
+                'post_not_found',
+                __('Post not found.', 'chatkit-wp'),
+                ['status' => 404]
+            );
+        }
+
+        return rest_ensure_response($this->format_link_card($post));
+    }
+
+    private function is_public_post($post) {
+        return $post
+            && $post->post_status === 'publish'
+            && $post->post_password === ''
+            && is_post_type_viewable($post->post_type);
+    }
+
+    /**
+     * The public post behind a URL on this site's host, or null
+     */
+    private function resolve_site_post($url) {
+        $url = esc_url_raw(trim((string) $url));
+        $host = (string) wp_parse_url($url, PHP_URL_HOST);
+
+        if ($host === '' || strcasecmp($host, (string) wp_parse_url(home_url(), PHP_URL_HOST)) !== 0) {
+            return null;
+        }
+
+        $id = url_to_postid($url);
+        $post = $id ? get_post($id) : null;
+
+        return $this->is_public_post($post) ? $post : null;
+    }
+
+    private function format_link_card($post) {
+        $type = get_post_type_object($post->post_type);
+        $image = null;
+
+        $thumbnail_id = get_post_thumbnail_id($post);
+        $src = $thumbnail_id ? wp_get_attachment_image_src($thumbnail_id, 'medium') : false;
+        if ($src) {
+            $image = [
+                'url' => $src[0],
+                'width' => (int) $src[1],
+                'height' => (int) $src[2],
+                'alt' => (string) get_post_meta($thumbnail_id, '_wp_attachment_image_alt', true),
+            ];
+        }
+
+        // The site icon, or the theme's logo when there is none
+        $logo_id = (int) get_theme_mod('custom_logo');
+        $icon = get_site_icon_url(64) ?: ($logo_id ? wp_get_attachment_image_url($logo_id, 'thumbnail') : '');
+
+        return [
+            'id' => $post->ID,
+            'title' => html_entity_decode(get_the_title($post), ENT_QUOTES, 'UTF-8'),
+            'url' => get_permalink($post),
+            'type' => $type ? $type->labels->singular_name : $post->post_type,
+            'excerpt' => html_entity_decode(wp_trim_words(wp_strip_all_tags(get_the_excerpt($post)), 25), ENT_QUOTES, 'UTF-8'),
+            'image' => $image,
+            'site' => [
+                'name' => wp_specialchars_decode(get_bloginfo('name'), ENT_QUOTES),
+                'icon' => $icon ?: '',
+            ],
+        ];
+    }
+
+    /**
+     * Shapes a post as a ChatKit entity; `data` values must be strings.
+     */
+    private function format_entity($post) {
+        $type = get_post_type_object($post->post_type);
+
+        return [
+            'id' => (string) $post->ID,
+            'title' => html_entity_decode(get_the_title($post), ENT_QUOTES, 'UTF-8'),
+            'group' => $type ? $type->labels->singular_name : $post->post_type,
+            'interactive' => true,
+            'data' => [
+                'url' => get_permalink($post),
+                'type' => $post->post_type,
+                'excerpt' => wp_trim_words(wp_strip_all_tags(get_the_excerpt($post)), 30),
+            ],
+        ];
+    }
+
+    public function test_connection() {
+        $api_key = $this->get_api_key();
+        $workflow_id = $this->get_workflow_id();
+
+        if (empty($api_key)) {
+            return new \WP_Error('missing_api_key', __('API Key not configured', 'chatkit-wp'), ['status' => 400]);
+        }
+
+        if (empty($workflow_id)) {
+            return new \WP_Error('missing_workflow_id', __('Workflow ID not configured', 'chatkit-wp'), ['status' => 400]);
+        }
+
+        $response = wp_remote_post('https://api.openai.com/v1/chatkit/sessions', [
+            'headers' => [
+                'Authorization' => 'Bearer ' . $api_key,
+                'Content-Type' => 'application/json',
+                'OpenAI-Beta' => 'chatkit_beta=v1'
+            ],
+            'body' => wp_json_encode([
+                'workflow' => ['id' => $workflow_id],
+                'user' => 'test_' . time()
+            ]),
+            'timeout' => 10,
+            'sslverify' => true
+        ]);
+
+        if (is_wp_error($response)) {
+            return new \WP_Error('connection_failed', $response->get_error_message(), ['status' => 502]);
+        }
+
+        $status_code = wp_remote_retrieve_response_code($response);
+
+        if ($status_code === 200) {
+            return rest_ensure_response(['message' => __('Connection successful! Plugin is correctly configured.', 'chatkit-wp')]);
+        }
+
+        $body = wp_remote_retrieve_body($response);
+        return new \WP_Error('api_error', sprintf(__('API Error (status %d): %s', 'chatkit-wp'), $status_code, $body), ['status' => $status_code]);
+    }
+
+    public function enqueue_frontend_assets() {
+        $show_everywhere = get_option('chatkit_show_everywhere', false);
+        global $post;
+        
+        $should_load = false;
+        
+        if ($show_everywhere && $this->should_show_widget()) {
+            $should_load = true;
+        } elseif ($this->post_has_chatkit($post)) {
+            $should_load = true;
+        }
+        
+        if (!$should_load) {
+            return;
+        }
+
+        wp_enqueue_script(
+            'chatkit-embed',
+            CHATKIT_WP_PLUGIN_URL . 'assets/chatkit-embed.js',
+            [],
+            CHATKIT_WP_VERSION,
+            true
+        );
+
+        wp_enqueue_style(
+            'chatkit-embed',
+            CHATKIT_WP_PLUGIN_URL . 'assets/chatkit-embed.css',
+            [],
+            CHATKIT_WP_VERSION
+        );
+
+        $options = $this->get_all_options();
         
         $prompts_config = [];
         for ($i = 1; $i <= 5; $i++) {
@@ -644,11 +3140,22 @@ class ChatKit_WordPress {
             'buttonText' => $options['button_text'],
             'closeText' => $options['close_text'],
             'greetingText' => $options['greeting_text'],
+            'memberGreetingText' => $options['member_greeting_text'],
             'placeholderText' => $options['placeholder_text'],
             'density' => $options['density'],
             'borderRadius' => $options['border_radius'],
+            'enableModelPicker' => $options['enable_model_picker'] ? true : false,
+            'composerModels' => $this->parse_option_list($options['composer_models'], ['id', 'label', 'description']),
+            'enableTools' => $options['enable_tools'] ? true : false,
+            'composerTools' => $this->parse_option_list($options['composer_tools'], ['id', 'label', 'icon', 'placeholder']),
+            'enableEntityTags' => $options['enable_entity_tags'] ? true : false,
+            'entitiesUrl' => rest_url('chatkit/v1/entities'),
+            'searchUrl' => rest_url('wp/v2/search'),
+            'postsUrl' => rest_url('chatkit/v1/posts'),
+            'contentSearchUrl' => rest_url('chatkit/v1/search'),
             'locale' => $options['locale'],
             'prompts' => $prompts_config,
+            'languages' => $this->get_language_config($options),
             'customFont' => $options['enable_custom_font'] && !empty($options['font_family']) ? [
                 'fontFamily' => $options['font_family'],
                 'baseSize' => (int) $options['font_size']
@@ -663,42 +3170,260 @@ class ChatKit_WordPress {
             'disclaimerText' => $options['disclaimer_text'],
             'disclaimerHighContrast' => $options['disclaimer_high_contrast'] ? true : false,
             'initialThreadId' => $options['initial_thread_id'],
+            'analyticsProvider' => $options['analytics_provider'],
+            'analyticsCallback' => $options['analytics_callback'],
+            'persistentSessions' => $options['persistent_sessions'] ? true : false,
+            'isAuthenticated' => is_user_logged_in(),
+            'userDisplayName' => is_user_logged_in() ? wp_get_current_user()->display_name : '',
+            // Separates cached secrets per identity; REST cookie auth needs the nonce
+            'identityKey' => is_user_logged_in() ? $this->get_user_key($this->get_member_user_id(get_current_user_id())) : 'guest',
+            'restNonce' => is_user_logged_in() ? wp_create_nonce('wp_rest') : '',
+            'displayRules' => $this->get_display_rules('client'),
+            'timezone' => wp_timezone_string(),
+            'pageContext' => $options['page_context'] ? [
+                'postId' => is_singular() ? get_queried_object_id() : 0,
+            ] : null,
+            'triggers' => $this->get_triggers($options['triggers']),
+            'triggerCapHours' => max(0, (int) $options['trigger_cap_hours']),
+            'prechat' => $this->get_prechat_config($options),
+            'replyNotifications' => $options['reply_notifications'] ? true : false,
+            'enableExport' => $options['enable_export'] ? true : false,
+            'transcriptUrl' => rest_url('chatkit/v1/transcript'),
+            'transcriptEmail' => $options['enable_export'] && $options['transcript_email'] && is_user_logged_in(),
+            'userEmail' => is_user_logged_in() ? wp_get_current_user()->user_email : '',
+            'siteName' => get_bloginfo('name'),
+            'citations' => $options['enable_citations'] ? [
+                'url' => rest_url('chatkit/v1/citations'),
+                'previewUrl' => rest_url('chatkit/v1/link-preview'),
+            ] : null,
+            'feedback' => $options['enable_feedback'] ? [
+                'url' => rest_url('chatkit/v1/feedback'),
+                'postId' => is_singular() ? get_queried_object_id() : 0,
+            ] : null,
+            'consent' => $options['consent_mode'] === 'required' ? [
+                'category' => in_array($options['consent_category'], ['functional', 'preferences', 'statistics', 'marketing'], true) ? $options['consent_category'] : 'functional',
+                'notice' => $options['consent_notice'] !== '' ? $options['consent_notice'] : __('This chat stores a visitor ID and your conversation so the assistant can answer you. Do you agree?', 'chatkit-wp'),
+                'privacyUrl' => get_privacy_policy_url(),
+            ] : null,
+            'forgetUrl' => rest_url('chatkit/v1/forget'),
+            'handoff' => $options['handoff_enabled'] ? [
+                'url' => rest_url('chatkit/v1/handoff'),
+                'hours' => $options['handoff_hours'],
+                'liveMode' => $options['handoff_live_mode'] === 'live_chat' && $options['handoff_live_chat'] !== '' ? 'live_chat' : 'callback',
+                'liveChat' => $options['handoff_live_chat'],
+            ] : null,
+            'logging' => $options['enable_logging'] ? [
+                'url' => rest_url('chatkit/v1/log'),
+                'consent' => $options['log_consent'] === 'implied' ? 'implied' : 'required',
+                'postId' => is_singular() ? get_queried_object_id() : 0,
+            ] : null,
+            'loadStrategy' => in_array($options['load_strategy'], ['eager', 'idle', 'interaction'], true) ? $options['load_strategy'] : 'interaction',
             'i18n' => [
                 'unableToStart' => __('Unable to start chat. Please try again later.', 'chatkit-wp'),
                 'configError' => __('Chat configuration error. Please contact support.', 'chatkit-wp'),
                 'loadFailed' => __('Chat widget failed to load. Please refresh the page.', 'chatkit-wp'),
+                'newConversation' => __('Start new conversation', 'chatkit-wp'),
+                'offline' => __('You are offline. The chat will reconnect automatically.', 'chatkit-wp'),
+                'reconnecting' => __('Reconnecting…', 'chatkit-wp'),
+                'connectionFailed' => __('Unable to reach the chat service.', 'chatkit-wp'),
+                'retry' => __('Retry', 'chatkit-wp'),
+                'dismissTeaser' => __('Dismiss', 'chatkit-wp'),
+                /* translators: %d: number of unread replies */
+                'unreadTitle' => __('(%d) New reply', 'chatkit-wp'),
+                'newReply' => __('New reply', 'chatkit-wp'),
+                'newReplyBody' => __('The assistant answered your question.', 'chatkit-wp'),
+                'exportTranscript' => __('Export conversation', 'chatkit-wp'),
+                'copyTranscript' => __('Copy to clipboard', 'chatkit-wp'),
+                'downloadMarkdown' => __('Download as Markdown', 'chatkit-wp'),
+                'downloadText' => __('Download as text', 'chatkit-wp'),
+                'printTranscript' => __('Print or save as PDF', 'chatkit-wp'),
+                'emailTranscript' => __('Email me this conversation', 'chatkit-wp'),
+                'send' => __('Send', 'chatkit-wp'),
+                'copied' => __('Conversation copied.', 'chatkit-wp'),
+                /* translators: %s: the member's account email address */
+                'emailSent' => __('Conversation sent to %s.', 'chatkit-wp'),
+                'exportFailed' => __('Could not export the conversation. Please try again.', 'chatkit-wp'),
+                'noTranscript' => __('There is no conversation to export yet.', 'chatkit-wp'),
+                'you' => __('You', 'chatkit-wp'),
+                'assistant' => __('Assistant', 'chatkit-wp'),
+                'prechatRequired' => __('Please fill in this field.', 'chatkit-wp'),
+                'prechatEmail' => __('Please enter a valid email address.', 'chatkit-wp'),
+                'prechatChoose' => __('Choose…', 'chatkit-wp'),
+                'privacyPolicy' => __('Privacy policy', 'chatkit-wp'),
+                'feedbackPrompt' => __('Was this reply helpful?', 'chatkit-wp'),
+                'feedbackUp' => __('Helpful', 'chatkit-wp'),
+                'feedbackDown' => __('Not helpful', 'chatkit-wp'),
+                'feedbackComment' => __('What was wrong with this reply? (optional)', 'chatkit-wp'),
+                'feedbackSkip' => __('Skip', 'chatkit-wp'),
+                'feedbackThanks' => __('Thanks for your feedback!', 'chatkit-wp'),
+                'feedbackFailed' => __('Your feedback could not be sent.', 'chatkit-wp'),
+                'citationsLabel' => __('Sources from this site', 'chatkit-wp'),
+                'language' => __('Language', 'chatkit-wp'),
+                'consentAccept' => __('Accept and chat', 'chatkit-wp'),
+                'consentDecline' => __('Not now', 'chatkit-wp'),
+                'forgetConfirm' => __('Delete your conversations and everything this site stores about your chats?', 'chatkit-wp'),
+                'forgotten' => __('Your chat data has been deleted.', 'chatkit-wp'),
+                'forgetFailed' => __('Your chat data could not be deleted. Please try again.', 'chatkit-wp'),
+                /* translators: %s: page title or URL */
+                'navigateConfirm' => __('The assistant wants to open "%s". Go there now?', 'chatkit-wp'),
+                'talkToPerson' => __('Talk to a person', 'chatkit-wp'),
+                'handoffContactIntro' => __('Our team is away right now. Leave a message and we will get back to you by email.', 'chatkit-wp'),
+                'handoffCallbackIntro' => __('Leave your number and someone from our team will call you back.', 'chatkit-wp'),
+                'handoffName' => __('Your name', 'chatkit-wp'),
+                'handoffEmail' => __('Email address', 'chatkit-wp'),
+                'handoffPhone' => __('Phone number', 'chatkit-wp'),
+                'handoffWhen' => __('Best time to call', 'chatkit-wp'),
+                'handoffMessage' => __('How can we help?', 'chatkit-wp'),
+                'handoffSend' => __('Send request', 'chatkit-wp'),
+                'handoffBack' => __('Back to chat', 'chatkit-wp'),
+                'handoffSent' => __('Thank you! Our team will be in touch soon.', 'chatkit-wp'),
+                'handoffFailed' => __('Your request could not be sent. Please try again.', 'chatkit-wp'),
+                'handoffRequired' => __('Please fill in the required fields.', 'chatkit-wp'),
             ]
         ]);
     }
 
+    /**
+     * [chatkit_forget_me] - a button for the privacy page that deletes the
+     * visitor's chat data through the embed's forgetMe().
+     */
+    public function render_forget_me_shortcode($atts) {
+        $atts = shortcode_atts([
+            'label' => __('Delete my chat data', 'chatkit-wp'),
+        ], $atts, 'chatkit_forget_me');
+
+        return '<button type="button" class="chatkit-forget-me" data-chatkit-forget>' . esc_html($atts['label']) . '</button>';
+    }
+
     public function render_chatkit_shortcode($atts) {
         $this->widget_loaded = true;
         
         $atts = shortcode_atts([
+            'id' => '',
             'button_text' => get_option('chatkit_button_text', __('Chat now', 'chatkit-wp')),
             'accent_color' => get_option('chatkit_accent_color', '#FF4500'),
+            'workflow' => '',
+            'mode' => 'floating',
+            'height' => '600px',
+            'position' => '',
+            'title' => '',
+            'greeting' => '',
+            'context' => '',
+            'language' => '',
         ], $atts, 'openai_chatkit');
 
         $atts['button_text'] = sanitize_text_field($atts['button_text']);
         $atts['accent_color'] = sanitize_hex_color($atts['accent_color']) ?: '#FF4500';
+        $atts['workflow'] = sanitize_text_field($atts['workflow']);
+        $atts['title'] = sanitize_text_field($atts['title']);
+        $atts['greeting'] = sanitize_text_field($atts['greeting']);
+        $language = $this->find_language(sanitize_text_field($atts['language']));
+
+        $inline = $atts['mode'] === 'inline';
+        // Inline height accepts a plain number (px) or a CSS length such as 70vh
+        $height = trim($atts['height']);
+        if (preg_match('/^\d+$/', $height)) {
+            $height .= 'px';
+        }
+        if (!preg_match('/^\d+(\.\d+)?(px|vh|em|rem|%)$/', $height)) {
+            $height = '600px';
+        }
+
+        $positions = ['bottom-right', 'bottom-left', 'top-right', 'top-left'];
+        $position = !$inline && in_array($atts['position'], $positions, true) ? $atts['position'] : '';
+
+        // The first widget keeps the legacy element IDs so existing theme CSS/JS still match
+        $instance_id = $this->next_instance_id($atts['id']);
+        $id_suffix = count($this->instance_ids) === 1 ? '' : '-' . $instance_id;
+
+        $instance_config = array_filter([
+            'buttonText' => $atts['button_text'],
+            'accentColor' => $atts['accent_color'],
+            'workflow' => $atts['workflow'],
+            'mode' => $inline ? 'inline' : '',
+            'headerTitleText' => $atts['title'],
+            'greetingText' => $atts['greeting'],
+            'memberGreetingText' => $atts['greeting'],
+            'language' => $language ? $language['code'] : '',
+        ], 'strlen');
+
+        if ($this->auto_injecting) {
+            $instance_config['applyDisplayRules'] = true;
+        }
+
+        // context="topic=Opening a bank account; audience=newcomers"
+        $context = [];
+        foreach (explode(';', $atts['context']) as $pair) {
+            $parts = array_map('trim', explode('=', $pair, 2));
+            if (count($parts) === 2 && sanitize_key($parts[0]) !== '') {
+                $context[sanitize_key($parts[0])] = sanitize_text_field($parts[1]);
+            }
+        }
 
         ob_start();
+
+        if ($inline) {
+            ?>
+            <div class="chatkit-instance chatkit-instance--inline"
+                 id="chatkit-instance-<?php echo esc_attr($instance_id); ?>"
+                 data-chatkit-instance="<?php echo esc_attr($instance_id); ?>"
+                 data-chatkit-config="<?php echo esc_attr(wp_json_encode($instance_config)); ?>"
+                 <?php if ($context): ?>data-chatkit-context="<?php echo esc_attr(wp_json_encode($context)); ?>"<?php endif; ?>
+                 style="--chatkit-inline-height: <?php echo esc_attr($height); ?>;">
+                <openai-chatkit id="myChatkit<?php echo esc_attr($id_suffix); ?>" 
+                                class="chatkit-window chatkit-window--inline"
+                                role="region" 
+                                aria-label="<?php echo esc_attr__('Chat assistant', 'chatkit-wp'); ?>"></openai-chatkit>
+            </div>
+            <?php
+            return ob_get_clean();
+        }
         ?>
-        <button id="chatToggleBtn" 
-                type="button" 
-                aria-label="<?php echo esc_attr__('Toggle chat window', 'chatkit-wp'); ?>"
-                aria-expanded="false"
-                style="background-color: <?php echo esc_attr($atts['accent_color']); ?>">
-            <?php echo esc_html($atts['button_text']); ?>
-        </button>
-        <openai-chatkit id="myChatkit" 
-                        role="dialog" 
-                        aria-modal="false"
-                        aria-label="<?php echo esc_attr__('Chat assistant', 'chatkit-wp'); ?>"></openai-chatkit>
+        <div class="chatkit-instance"
+             id="chatkit-instance-<?php echo esc_attr($instance_id); ?>"
+             data-chatkit-instance="<?php echo esc_attr($instance_id); ?>"
+             data-chatkit-config="<?php echo esc_attr(wp_json_encode($instance_config)); ?>"
+             <?php if ($context): ?>data-chatkit-context="<?php echo esc_attr(wp_json_encode($context)); ?>"<?php endif; ?>
+             <?php if ($position): ?>data-chatkit-position="<?php echo esc_attr($position); ?>"<?php endif; ?>>
+            <button id="chatToggleBtn<?php echo esc_attr($id_suffix); ?>" 
+                    class="chatkit-toggle-btn"
+                    type="button" 
+                    aria-label="<?php echo esc_attr__('Toggle chat window', 'chatkit-wp'); ?>"
+                    aria-expanded="false"
+                    aria-controls="myChatkit<?php echo esc_attr($id_suffix); ?>"
+                    style="background-color: <?php echo esc_attr($atts['accent_color']); ?>">
+                <?php echo esc_html($atts['button_text']); ?>
+            </button>
+            <openai-chatkit id="myChatkit<?php echo esc_attr($id_suffix); ?>" 
+                            class="chatkit-window"
+                            role="dialog" 
+                            aria-modal="false"
+                            aria-label="<?php echo esc_attr__('Chat assistant', 'chatkit-wp'); ?>"></openai-chatkit>
+        </div>
         <?php
         return ob_get_clean();
     }
 
+    /**
+     * Returns a page-unique instance ID for a rendered widget, preferring the
+     * shortcode's own `id` attribute when given.
+     */
+    private function next_instance_id($requested) {
+        $base = sanitize_key($requested);
+        if ($base === '') {
+            $base = (string) (count($this->instance_ids) + 1);
+        }
+
+        $instance_id = $base;
+        $suffix = 2;
+        while (in_array($instance_id, $this->instance_ids, true)) {
+            $instance_id = $base . '-' . $suffix++;
+        }
+
+        $this->instance_ids[] = $instance_id;
+        return $instance_id;
+    }
+
     private function get_api_key() {
         if (defined('CHATKIT_OPENAI_API_KEY') && !empty(CHATKIT_OPENAI_API_KEY)) {
             return CHATKIT_OPENAI_API_KEY;
@@ -713,7 +3438,306 @@ class ChatKit_WordPress {
         return get_option('chatkit_workflow_id', '');
     }
 
-    private function get_or_create_user_id() {
+    /**
+     * Chat languages, one per line as "code | Label", e.g. "fr | Français".
+     * The first line is the default language, whose texts are the regular
+     * greeting, placeholder, prompts and disclaimer settings.
+     */
+    private function get_languages($value = null) {
+        $languages = [];
+        foreach ($this->parse_option_list($value ?? get_option('chatkit_languages', ''), ['code', 'label']) as $language) {
+            $code = str_replace('_', '-', $language['code']);
+            if (preg_match('/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/', $code) && !isset($languages[strtolower($code)])) {
+                $languages[strtolower($code)] = [
+                    'code' => $code,
+                    'label' => $language['label'] !== '' ? $language['label'] : $code,
+                ];
+            }
+        }
+        return array_values($languages);
+    }
+
+    private function find_language($code) {
+        foreach ($this->get_languages() as $language) {
+            if (strcasecmp($language['code'], $code) === 0) {
+                return $language;
+            }
+        }
+        return null;
+    }
+
+    public function sanitize_translations($input) {
+        $translations = [];
+
+        foreach ((array) $input as $code => $texts) {
+            if (!preg_match('/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/', $code) || !is_array($texts)) {
+                continue;
+            }
+
+            $prompts = [];
+            for ($i = 1; $i <= 5; $i++) {
+                $prompts[$i] = [
+                    'label' => sanitize_text_field($texts['prompts'][$i]['label'] ?? ''),
+                    'text' => sanitize_text_field($texts['prompts'][$i]['text'] ?? ''),
+                ];
+            }
+
+            $translations[$code] = [
+                'greeting' => sanitize_text_field($texts['greeting'] ?? ''),
+                'member_greeting' => sanitize_text_field($texts['member_greeting'] ?? ''),
+                'placeholder' => sanitize_text_field($texts['placeholder'] ?? ''),
+                'disclaimer' => sanitize_textarea_field($texts['disclaimer'] ?? ''),
+                'prompts' => $prompts,
+            ];
+        }
+
+        return $translations;
+    }
+
+    /**
+     * The language of the current page according to Polylang or WPML
+     */
+    private function get_site_language() {
+        if (function_exists('pll_current_language')) {
+            return (string) pll_current_language('locale');
+        }
+
+        $language = apply_filters('wpml_current_language', null);
+        return is_string($language) ? $language : '';
+    }
+
+    /**
+     * Languages for the embed with each language's texts. Empty translations
+     * fall back to the default language's text, prompt by prompt.
+     */
+    private function get_language_config($options) {
+        $languages = $this->get_languages($options['languages']);
+        if (empty($languages)) {
+            return null;
+        }
+
+        $texts = [];
+        foreach (array_slice($languages, 1) as $language) {
+            $translation = $options['translations'][$language['code']] ?? [];
+
+            $localized_prompts = [];
+            for ($i = 1; $i <= 5; $i++) {
+                $label = ($translation['prompts'][$i]['label'] ?? '') ?: $options["default_prompt_{$i}"];
+                $text = ($translation['prompts'][$i]['text'] ?? '') ?: $options["default_prompt_{$i}_text"];
+                if ($label !== '' && $text !== '') {
+                    $localized_prompts[] = ['label' => $label, 'text' => $text, 'icon' => $options["default_prompt_{$i}_icon"]];
+                }
+            }
+
+            $texts[$language['code']] = [
+                'greetingText' => ($translation['greeting'] ?? '') ?: $options['greeting_text'],
+                // A translated greeting beats the default language's member greeting
+                'memberGreetingText' => ($translation['member_greeting'] ?? '') ?: (($translation['greeting'] ?? '') ? '' : $options['member_greeting_text']),
+                'placeholderText' => ($translation['placeholder'] ?? '') ?: $options['placeholder_text'],
+                'disclaimerText' => ($translation['disclaimer'] ?? '') ?: $options['disclaimer_text'],
+                'prompts' => $localized_prompts,
+            ];
+        }
+
+        return [
+            'list' => $languages,
+            'detection' => in_array($options['language_detection'], ['page', 'browser', 'off'], true) ? $options['language_detection'] : 'page',
+            'switcher' => $options['language_switcher'] && count($languages) > 1,
+            'siteLanguage' => $this->get_site_language(),
+            'texts' => $texts,
+        ];
+    }
+
+    /**
+     * Parses a "one entry per line, fields separated by |" setting into a list
+     * of associative arrays keyed by $fields. Lines without an ID are skipped.
+     */
+    private function parse_option_list($value, $fields) {
+        $list = [];
+        $lines = preg_split('/\r\n|\r|\n/', (string) $value);
+
+        foreach ($lines as $line) {
+            $parts = array_map('trim', explode('|', $line, count($fields)));
+            if ($parts[0] === '') {
+                continue;
+            }
+
+            $entry = [];
+            foreach ($fields as $i => $field) {
+                $entry[$field] = $parts[$i] ?? '';
+            }
+            if (isset($entry['label'], $entry['id'])) {
+                $entry['label'] = $entry['label'] !== '' ? $entry['label'] : $entry['id'];
+            }
+            $list[] = $entry;
+        }
+
+        return $list;
+    }
+
+    /**
+     * Parses the engagement triggers setting, one per line:
+     * type|value|action|text|pages, e.g. "time|45|teaser|Need help?|/checklist*".
+     * The ID only identifies the trigger in lifecycle events.
+     */
+    private function get_triggers($value) {
+        $types = ['time', 'scroll', 'exit', 'idle', 'pageview', 'element'];
+        $triggers = [];
+
+        foreach ($this->parse_option_list($value, ['type', 'value', 'action', 'text', 'pages']) as $trigger) {
+            $trigger['type'] = strtolower($trigger['type']);
+            if (!in_array($trigger['type'], $types, true)) {
+                continue;
+            }
+            if ($trigger['type'] === 'element' ? $trigger['value'] === '' : ($trigger['type'] !== 'exit' && (int) $trigger['value'] <= 0)) {
+                continue;
+            }
+
+            $trigger['id'] = substr(md5(implode('|', $trigger)), 0, 8);
+            $trigger['action'] = $trigger['action'] === 'open' ? 'open' : 'teaser';
+            $trigger['pages'] = array_values(array_filter(array_map('trim', explode(',', $trigger['pages'])), 'strlen'));
+            $triggers[] = $trigger;
+        }
+
+        return $triggers;
+    }
+
+    /**
+     * Parses the pre-chat form setting, one field per line:
+     * key|type|label|required|options, e.g. "language|select|Preferred
+     * language|optional|English,Français". Provinces are a built-in select.
+     */
+    private function get_prechat_fields($value) {
+        $types = ['text', 'email', 'tel', 'select', 'province', 'consent'];
+        $fields = [];
+
+        foreach ($this->parse_option_list($value, ['key', 'type', 'label', 'required', 'options']) as $field) {
+            $field['key'] = sanitize_key($field['key']);
+            $field['type'] = strtolower($field['type']) ?: 'text';
+            if ($field['key'] === '' || isset($fields[$field['key']]) || !in_array($field['type'], $types, true)) {
+                continue;
+            }
+
+            if ($field['type'] === 'province') {
+                $field['type'] = 'select';
+                $field['options'] = $this->get_provinces();
+            } else {
+                $field['options'] = $field['type'] === 'select'
+                    ? array_values(array_filter(array_map('trim', explode(',', $field['options'])), 'strlen'))
+                    : [];
+            }
+            if ($field['type'] === 'select' && empty($field['options'])) {
+                continue;
+            }
+
+            $field['label'] = $field['label'] !== '' ? $field['label'] : $field['key'];
+            $field['required'] = strtolower($field['required']) === 'required';
+            $fields[$field['key']] = $field;
+        }
+
+        return array_values($fields);
+    }
+
+    private function get_provinces() {
+        return [
+            __('Alberta', 'chatkit-wp'),
+            __('British Columbia', 'chatkit-wp'),
+            __('Manitoba', 'chatkit-wp'),
+            __('New Brunswick', 'chatkit-wp'),
+            __('Newfoundland and Labrador', 'chatkit-wp'),
+            __('Northwest Territories', 'chatkit-wp'),
+            __('Nova Scotia', 'chatkit-wp'),
+            __('Nunavut', 'chatkit-wp'),
+            __('Ontario', 'chatkit-wp'),
+            __('Prince Edward Island', 'chatkit-wp'),
+            __('Quebec', 'chatkit-wp'),
+            __('Saskatchewan', 'chatkit-wp'),
+            __('Yukon', 'chatkit-wp'),
+        ];
+    }
+
+    /**
+     * Pre-chat form for the embed. The version changes with the fields, so
+     * visitors who answered an older form are asked again. Members who have
+     * answered on another device get their answers back and skip the form.
+     */
+    private function get_prechat_config($options) {
+        $fields = $this->get_prechat_fields($options['prechat_fields']);
+        if (!$options['prechat_enabled'] || empty($fields)) {
+            return null;
+        }
+
+        $answers = is_user_logged_in() ? $this->get_stored_prechat_answers($this->get_member_user_id(get_current_user_id())) : null;
+        $user = wp_get_current_user();
+
+        return [
+            'version' => substr(md5(wp_json_encode($fields)), 0, 8),
+            'intro' => $options['prechat_intro'],
+            'submit' => $options['prechat_submit'] !== '' ? $options['prechat_submit'] : __('Start chat', 'chatkit-wp'),
+            'fields' => $fields,
+            'answers' => $answers ?: null,
+            'prefill' => is_user_logged_in() ? ['name' => $user->display_name, 'email' => $user->user_email] : null,
+            'privacyUrl' => get_privacy_policy_url(),
+        ];
+    }
+
+    /**
+     * Parses the workflow allowlist setting into a key => workflow ID map.
+     * Each line is either "key|wf_..." or a bare "wf_..." ID.
+     */
+    private function get_workflow_allowlist() {
+        $allowlist = [];
+        $lines = preg_split('/\r\n|\r|\n/', (string) get_option('chatkit_workflow_allowlist', ''));
+
+        foreach ($lines as $line) {
+            $parts = array_map('trim', explode('|', $line, 2));
+            $key = $parts[0];
+            $id = isset($parts[1]) ? $parts[1] : $parts[0];
+
+            if ($key === '' || !preg_match('/^wf_[a-zA-Z0-9_-]+$/', $id)) {
+                continue;
+            }
+            $allowlist[$key] = $id;
+        }
+
+        return $allowlist;
+    }
+
+    /**
+     * Maps the workflow requested by a widget (shortcode `workflow` attribute)
+     * to an admin-approved workflow ID. Empty means the default workflow.
+     */
+    private function resolve_workflow_id($requested) {
+        $requested = trim(sanitize_text_field($requested));
+        $default = $this->get_workflow_id();
+
+        if ($requested === '' || $requested === $default) {
+            return $default;
+        }
+
+        $allowlist = $this->get_workflow_allowlist();
+
+        if (isset($allowlist[$requested])) {
+            return $allowlist[$requested];
+        }
+        if (in_array($requested, $allowlist, true)) {
+            return $requested;
+        }
+
+        error_log('ChatKit: Rejected workflow not in allowlist: ' . $requested);
+        return new \WP_Error(
+            'workflow_not_allowed',
+            __('This chat workflow is not enabled on this site.', 'chatkit-wp'),
+            ['status' => 403]
+        );
+    }
+
+    private function get_or_create_user_id($may_set_cookie = true) {
+        // Members get the same ID on every device
+        if (is_user_logged_in()) {
+            return $this->get_member_user_id(get_current_user_id());
+        }
+
         $persistent = get_option('chatkit_persistent_sessions', true);
 
         if (!$persistent) {
@@ -722,11 +3746,14 @@ class ChatKit_WordPress {
 
         $cookie_name = 'chatkit_user_id';
 
-        if (!empty($_COOKIE[$cookie_name])) {
-            $user_id = sanitize_text_field($_COOKIE[$cookie_name]);
-            if (preg_match('/^user_[a-f0-9]{32}$/', $user_id)) {
-                return $user_id;
-            }
+        $user_id = $this->get_anonymous_user_id();
+        if ($user_id) {
+            return $user_id;
+        }
+
+        // Without a cookie the ID can't be kept, so it is a per-session guest
+        if (!$may_set_cookie) {
+            return 'guest_' . wp_generate_password(12, false);
         }
 
         $user_id = 'user_' . md5(uniqid('chatkit_', true) . wp_rand());
@@ -738,8 +3765,71 @@ class ChatKit_WordPress {
         return $user_id;
     }
 
-    private function set_user_cookie($name, $value) {
-        $expire = time() + (DAY_IN_SECONDS * 30);
+    private function get_anonymous_user_id() {
+        if (!empty($_COOKIE['chatkit_user_id'])) {
+            $user_id = sanitize_text_field($_COOKIE['chatkit_user_id']);
+            if (preg_match('/^user_[a-f0-9]{32}$/', $user_id)) {
+                return $user_id;
+            }
+        }
+        return '';
+    }
+
+    /**
+     * ChatKit user ID for a WordPress member: an HMAC of the WP user ID with a
+     * site secret, so it is stable across devices but not reversible. It is
+     * recorded in user meta on first use, which also lets an anonymous ID be
+     * adopted on first login (see merge_anonymous_history()).
+     */
+    private function get_member_user_id($wp_user_id) {
+        $stored = get_user_meta($wp_user_id, 'chatkit_user_id', true);
+        if (is_string($stored) && preg_match('/^(wp|user)_[a-f0-9]{32}$/', $stored)) {
+            return $stored;
+        }
+
+        $user_id = 'wp_' . substr(hash_hmac('sha256', 'wp_user:' . $wp_user_id, wp_salt('auth')), 0, 32);
+        update_user_meta($wp_user_id, 'chatkit_user_id', $user_id);
+
+        return $user_id;
+    }
+
+    /**
+     * On login, a member who has never chatted while logged in takes over the
+     * anonymous ID from this browser, so the conversations they had before
+     * logging in stay in their history. The cookie is cleared once adopted,
+     * so nobody chatting anonymously in this browser later runs as the member.
+     */
+    public function merge_anonymous_history($user_login, $user) {
+        if (!get_option('chatkit_merge_anonymous_history', false)) {
+            return;
+        }
+
+        $anonymous_id = $this->get_anonymous_user_id();
+        if (!$anonymous_id || get_user_meta($user->ID, 'chatkit_user_id', true)) {
+            return;
+        }
+
+        update_user_meta($user->ID, 'chatkit_user_id', $anonymous_id);
+        $this->clear_anonymous_user_id();
+    }
+
+    /**
+     * Expire this browser's anonymous ID, e.g. on logout, so the next visitor
+     * starts with a fresh one instead of inheriting someone else's history.
+     */
+    public function clear_anonymous_user_id() {
+        if (empty($_COOKIE['chatkit_user_id'])) {
+            return;
+        }
+
+        unset($_COOKIE['chatkit_user_id']);
+        if (!headers_sent()) {
+            $this->set_user_cookie('chatkit_user_id', '', time() - YEAR_IN_SECONDS);
+        }
+    }
+
+    private function set_user_cookie($name, $value, $expire = null) {
+        $expire = $expire ?? time() + (DAY_IN_SECONDS * 30);
         
         if (PHP_VERSION_ID >= 70300) {
             setcookie($name, $value, [
@@ -757,3 +3847,12 @@ class ChatKit_WordPress {
 }
 
 ChatKit_WordPress::get_instance();
+
+register_activation_hook(__FILE__, function() {
+    ChatKit_WordPress::get_instance()->install_tables();
+});
+
+register_deactivation_hook(__FILE__, function() {
+    wp_clear_scheduled_hook('chatkit_purge_logs');
+    wp_clear_scheduled_hook('chatkit_index_batch');
+});